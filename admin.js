@@ -0,0 +1,565 @@
+// Authenticated admin API for editing and removing submissions and choosing the bot account
+import express from "express";
+import crypto from "crypto";
+import { updateCommand, getCommandById, deleteCommand, deleteChannelCommands, listRejections, getGameCatalog, listWebhookDeliveries, retryWebhookDelivery, listTwitchAccounts, setActiveTwitchAccount, SUBMISSION_TIERS, SUBMISSION_STATUSES } from "./db.js";
+import { normalizeChannel } from "./channels.js";
+import { cacheCommandRow, uncacheCommandRow, clearChannelCache } from "./cache.js";
+import { runDraw } from "./draw.js";
+import { startSubdaySession } from "./sessions.js";
+import { listBannedWords, banWord, unbanWord, REJECTION_REASONS } from "./validation.js";
+import {
+  addCatalogGame, removeCatalogGame, parseCatalogFile, importGameCatalog,
+  assignSubmissionGame, mergeGameCluster, splitGameSubmissions,
+} from "./games.js";
+import { parseImportFile, planImport, applyImport } from "./transfer.js";
+import {
+  WEBHOOK_EVENTS, WEBHOOK_FORMATS, DELIVERY_STATUSES, listWebhooks, getWebhook, createWebhook, changeWebhook, removeWebhook, sendTestEvent,
+} from "./webhooks.js";
+import { reloadCredentials } from "./connection.js";
+import { QueryError, parseChoice, parsePage } from "./query.js";
+
+// Compare secrets without leaking their length or content through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Require "Authorization: Bearer <ADMIN_API_TOKEN>"
+export function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Admin API is disabled. Set ADMIN_API_TOKEN to enable it.' });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, adminToken)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Validate a PATCH body, returning { changes } or { error }
+function parseSubmissionChanges(body) {
+  const { message, tier, status } = body || {};
+  const changes = {};
+
+  if (message !== undefined) {
+    if (typeof message !== 'string' || message.trim() === '') {
+      return { error: 'message must be a non-empty string' };
+    }
+    changes.message = message.trim();
+  }
+  if (tier !== undefined) {
+    if (!SUBMISSION_TIERS.includes(String(tier))) {
+      return { error: `tier must be one of ${SUBMISSION_TIERS.join(', ')}` };
+    }
+    changes.tier = String(tier);
+  }
+  if (status !== undefined) {
+    if (!SUBMISSION_STATUSES.includes(status)) {
+      return { error: `status must be one of ${SUBMISSION_STATUSES.join(', ')}` };
+    }
+    changes.status = status;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to update. Provide message, tier and/or status.' };
+  }
+  return { changes };
+}
+
+// Validate a webhook body, returning { fields } or { error }. With partial,
+// missing fields are left out instead of defaulted.
+function parseWebhookFields(body, partial = false) {
+  const { url, format, secret, events, channel, enabled } = body || {};
+  const fields = {};
+
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { error: 'url must be an http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: 'url must be an http(s) URL' };
+    }
+    fields.url = parsed.toString();
+  }
+  if (format !== undefined || !partial) {
+    fields.format = format ?? 'json';
+    if (!WEBHOOK_FORMATS.includes(fields.format)) {
+      return { error: `format must be one of ${WEBHOOK_FORMATS.join(', ')}` };
+    }
+  }
+  if (secret !== undefined || !partial) {
+    if (secret != null && (typeof secret !== 'string' || secret.length < 16)) {
+      return { error: 'secret must be a string of at least 16 characters, or null' };
+    }
+    fields.secret = secret ?? null;
+  }
+  if (events !== undefined || !partial) {
+    fields.events = events ?? [];
+    if (!Array.isArray(fields.events) || fields.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return { error: `events must be an array of ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+  }
+  if (channel !== undefined || !partial) {
+    fields.channel = channel ? normalizeChannel(channel) : null;
+  }
+  if (enabled !== undefined || !partial) {
+    fields.enabled = enabled ?? true;
+    if (typeof fields.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+  }
+  return { fields };
+}
+
+// Webhooks as returned by the API: the secret itself is never sent back
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, has_secret: Boolean(secret) };
+}
+
+// Routes mounted under /api/admin, behind requireAdmin
+export function createAdminRouter() {
+  const router = express.Router();
+
+  // Edit the message, tier or status of a submission
+  router.patch("/submissions/:id", async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid submission ID' });
+    }
+    const { changes, error } = parseSubmissionChanges(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      let row = await updateCommand(id, changes);
+      if (!row) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+      if (changes.message) {
+        row = await assignSubmissionGame(row);
+      }
+      cacheCommandRow(row);
+      console.log(`[ADMIN] Updated submission ${id} (${row.name} in ${row.channel}):`, changes);
+      res.json({ submission: row });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete one submission
+  router.delete("/submissions/:id", async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid submission ID' });
+    }
+
+    try {
+      const row = await deleteCommand(id);
+      if (!row) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+      uncacheCommandRow(row);
+      console.log(`[ADMIN] Deleted submission ${id} (${row.name} in ${row.channel})`);
+      res.json({ deleted: row });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Clear every submission of a channel. Requires ?confirm=<channel> to avoid accidents.
+  router.delete("/channels/:channel/submissions", async (req, res) => {
+    const channel = normalizeChannel(req.params.channel);
+    if (normalizeChannel(req.query.confirm) !== channel) {
+      return res.status(400).json({ error: `Add ?confirm=${channel} to clear all submissions of this channel` });
+    }
+
+    try {
+      const deleted = await deleteChannelCommands(channel);
+      clearChannelCache(channel);
+      console.log(`[ADMIN] Cleared ${deleted} submissions in ${channel}`);
+      res.json({ channel, deleted });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Import submissions from a CSV (our export or the old sheet) or JSON file.
+  // Returns the planned changes; they are only written with ?apply=true.
+  router.post("/channels/:channel/import", express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    const channel = normalizeChannel(req.params.channel);
+    let parsed;
+    try {
+      parsed = parseImportFile(req.body, req.is('application/json') ? 'json' : null);
+    } catch (error) {
+      return res.status(400).json({ error: `Could not read import: ${error.message}` });
+    }
+    try {
+      const plan = await planImport(channel, parsed);
+      const apply = req.query.apply === 'true';
+      if (apply) {
+        await applyImport(plan, 'admin-api');
+      }
+      res.json({
+        applied: apply,
+        added: plan.added,
+        updated: plan.updated.map(({ row, ...update }) => update),
+        unchanged: plan.unchanged,
+        replaced: plan.replaced,
+        invalid: plan.invalid,
+      });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Draw a pending submission, weighted by tier, and announce it in chat.
+  // Pass { "seed": "..." } to make the draw reproducible with a known seed, and
+  // { "votes": true } to weight it by viewer votes too.
+  router.post("/channels/:channel/draw", async (req, res) => {
+    const channel = normalizeChannel(req.params.channel);
+    const seed = req.body?.seed;
+    if (seed !== undefined && (typeof seed !== 'string' && typeof seed !== 'number' || String(seed).length > 255)) {
+      return res.status(400).json({ error: 'seed must be a string of at most 255 characters' });
+    }
+    const useVotes = req.body?.votes ?? false;
+    if (typeof useVotes !== 'boolean') {
+      return res.status(400).json({ error: 'votes must be a boolean' });
+    }
+
+    try {
+      const draw = await runDraw(channel, { seed, drawnBy: 'admin-api', useVotes });
+      if (!draw) {
+        return res.status(409).json({ error: 'No pending submissions to draw from' });
+      }
+      res.json({ draw });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Archive the current submissions and start a new subday session
+  router.post("/channels/:channel/sessions", async (req, res) => {
+    try {
+      const result = await startSubdaySession(normalizeChannel(req.params.channel), 'admin-api');
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Rejected % messages, newest first, optionally filtered by ?reason=
+  router.get("/channels/:channel/rejections", async (req, res) => {
+    try {
+      const { limit, offset } = parsePage(req.query);
+      const rejections = await listRejections(normalizeChannel(req.params.channel), {
+        reason: parseChoice(req.query.reason, REJECTION_REASONS, 'reason'),
+        limit,
+        offset,
+      });
+      res.json({ rejections, limit, offset });
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Banned words of a channel, including the global BANNED_WORDS
+  router.get("/channels/:channel/banned-words", (req, res) => {
+    res.json({ words: listBannedWords(normalizeChannel(req.params.channel)) });
+  });
+
+  router.post("/channels/:channel/banned-words", async (req, res) => {
+    const word = String(req.body?.word || '').trim();
+    if (!word) {
+      return res.status(400).json({ error: 'word is required' });
+    }
+    try {
+      const added = await banWord(normalizeChannel(req.params.channel), word, 'admin-api');
+      res.status(added ? 201 : 200).json({ word: word.toLowerCase(), added });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete("/channels/:channel/banned-words/:word", async (req, res) => {
+    try {
+      const removed = await unbanWord(normalizeChannel(req.params.channel), req.params.word);
+      if (!removed) {
+        return res.status(404).json({ error: 'Word is not banned in this channel' });
+      }
+      res.json({ word: req.params.word.toLowerCase(), removed });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The game catalog, with aliases
+  router.get("/catalog", async (req, res) => {
+    try {
+      res.json({ games: await getGameCatalog() });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Add a title: { "title": "Elden Ring", "aliases": ["elden", "er"] }
+  router.post("/catalog", async (req, res) => {
+    const { title, aliases = [] } = req.body || {};
+    if (typeof title !== 'string' || !title.trim() || !Array.isArray(aliases)) {
+      return res.status(400).json({ error: 'title must be a non-empty string and aliases an array' });
+    }
+    try {
+      const game = await addCatalogGame(title, aliases.map(String), 'admin-api');
+      res.status(game.created ? 201 : 200).json({ game });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Import a catalog file: a JSON array, or text/plain with one title per line
+  router.post("/catalog/import", express.text({ type: 'text/plain', limit: '1mb' }), async (req, res) => {
+    let entries;
+    try {
+      entries = parseCatalogFile(typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+    } catch (error) {
+      return res.status(400).json({ error: `Could not parse catalog: ${error.message}` });
+    }
+    try {
+      res.json(await importGameCatalog(entries, 'admin-api'));
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete("/catalog/:id", async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid game ID' });
+    }
+    try {
+      const game = await removeCatalogGame(id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      res.json({ game });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Merge a group into a catalog title: { "from": "<group key or text>", "into": "Elden Ring" }
+  router.post("/channels/:channel/games/merge", async (req, res) => {
+    const { from, into } = req.body || {};
+    if (typeof from !== 'string' || !from.trim() || typeof into !== 'string' || !into.trim()) {
+      return res.status(400).json({ error: 'from and into must be non-empty strings' });
+    }
+    try {
+      const result = await mergeGameCluster(normalizeChannel(req.params.channel), from, into, 'admin-api');
+      if (!result) {
+        return res.status(404).json({ error: 'No group matches from' });
+      }
+      res.json(result);
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Take submissions out of their group: { "submissions": [1, 2], "into": "optional title" }
+  router.post("/channels/:channel/games/split", async (req, res) => {
+    const channel = normalizeChannel(req.params.channel);
+    const { submissions, into = null } = req.body || {};
+    const ids = Array.isArray(submissions) ? submissions.map(parseId) : [];
+    if (!ids.length || ids.includes(null)) {
+      return res.status(400).json({ error: 'submissions must be an array of submission IDs' });
+    }
+    if (into !== null && (typeof into !== 'string' || !into.trim())) {
+      return res.status(400).json({ error: 'into must be a non-empty string' });
+    }
+    try {
+      const rows = [];
+      for (const id of ids) {
+        const row = await getCommandById(id);
+        if (!row || row.channel !== channel) {
+          return res.status(404).json({ error: `Submission ${id} not found in ${channel}` });
+        }
+        rows.push(row);
+      }
+      res.json(await splitGameSubmissions(rows, into, 'admin-api'));
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/webhooks", (req, res) => {
+    res.json({ webhooks: listWebhooks().map(publicWebhook), events: WEBHOOK_EVENTS });
+  });
+
+  // { "url": "...", "format": "json|discord", "secret": "...", "events": [...], "channel": "..." }
+  router.post("/webhooks", async (req, res) => {
+    const { fields, error } = parseWebhookFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      const webhook = await createWebhook(fields);
+      console.log(`[ADMIN] Added webhook ${webhook.id} (${webhook.format}) for ${webhook.channel || 'all channels'}`);
+      res.status(201).json({ webhook: publicWebhook(webhook) });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.patch("/webhooks/:id", async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    const { fields, error } = parseWebhookFields(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      const webhook = await changeWebhook(id, fields);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json({ webhook: publicWebhook(webhook) });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete("/webhooks/:id", async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    try {
+      const webhook = await removeWebhook(id);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json({ webhook: publicWebhook(webhook) });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Queue a "ping" event to check the receiver
+  router.post("/webhooks/:id/test", async (req, res) => {
+    const webhook = getWebhook(parseId(req.params.id));
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    try {
+      res.status(202).json({ delivery: await sendTestEvent(webhook) });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delivery log of a webhook, newest first, optionally filtered by ?status=
+  router.get("/webhooks/:id/deliveries", async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    try {
+      const { limit, offset } = parsePage(req.query);
+      const status = parseChoice(req.query.status, DELIVERY_STATUSES, 'status');
+      const deliveries = await listWebhookDeliveries(id, { status, limit, offset });
+      res.json({ deliveries, limit, offset });
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Send a failed delivery again
+  router.post("/webhook-deliveries/:id/retry", async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid delivery ID' });
+    }
+    try {
+      const delivery = await retryWebhookDelivery(id);
+      if (!delivery) {
+        return res.status(404).json({ error: 'No failed delivery with this ID' });
+      }
+      res.json({ delivery });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Accounts that have authorized the bot, and which one is active
+  router.get("/bot-accounts", async (req, res) => {
+    try {
+      res.json({ accounts: await listTwitchAccounts() });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Select the account the bot runs as. A connected bot reconnects as that account.
+  router.put("/bot-account", async (req, res) => {
+    const username = String(req.body?.username || '').trim().toLowerCase();
+    if (!username) {
+      return res.status(400).json({ error: 'username is required' });
+    }
+
+    try {
+      if (!(await setActiveTwitchAccount(username))) {
+        return res.status(404).json({ error: `${username} has not authorized the bot. Visit /auth/twitch while logged in as that account first.` });
+      }
+      console.log(`[ADMIN] Active bot account set to ${username}`);
+      await reloadCredentials();
+      res.json({ active: username });
+    } catch (error) {
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,214 @@
+// Read-only REST API over the stored submissions
+import express from "express";
+import { listCommands, getCommandsForUser, listDraws, listSessions, getSessionById, getSessionEntries, getSessionDraws, getAllCommands, getUserRevisions, getVoteTotals, SUBMISSION_TIERS, SUBMISSION_STATUSES, SUBMISSION_SORT_COLUMNS } from "./db.js";
+import { normalizeChannel, isConfiguredChannel } from "./channels.js";
+import { getSubmissionWindow } from "./windows.js";
+import { getGameClusters } from "./games.js";
+import { EXPORT_FORMATS, getExportRows, formatExport } from "./transfer.js";
+import { QueryError, parseString, parseList, parseDate, parseInteger, parseChoice, parsePage } from "./query.js";
+
+// Turn the query string into listCommands options.
+// sort accepts a column name, prefixed with "-" for descending order.
+function parseSubmissionQuery(query) {
+  let sort = parseString(query.sort, 'sort') || '-updated_at';
+  let order = 'asc';
+  if (sort.startsWith('-')) {
+    sort = sort.slice(1);
+    order = 'desc';
+  }
+  if (!SUBMISSION_SORT_COLUMNS.includes(sort)) {
+    throw new QueryError(`Invalid sort: ${sort}. Expected one of ${SUBMISSION_SORT_COLUMNS.join(', ')}`);
+  }
+
+  const dateField = parseString(query.date_field, 'date_field') || 'updated_at';
+  if (!['created_at', 'updated_at'].includes(dateField)) {
+    throw new QueryError(`Invalid date_field: ${dateField}. Expected created_at or updated_at`);
+  }
+
+  return {
+    tiers: parseList(query.tier, SUBMISSION_TIERS, 'tier'),
+    statuses: parseList(query.status, SUBMISSION_STATUSES, 'status'),
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to'),
+    dateField,
+    sort,
+    order,
+    ...parsePage(query),
+  };
+}
+
+function sendError(res, error) {
+  if (error instanceof QueryError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error('API error:', error);
+  res.status(500).json({ error: error.message });
+}
+
+async function sendSubmissionList(req, res, channel) {
+  try {
+    const options = parseSubmissionQuery(req.query);
+    const { rows, total } = await listCommands({ ...options, channel });
+    res.json({
+      submissions: rows,
+      total,
+      limit: options.limit,
+      offset: options.offset,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+// Routes mounted under /api
+export function createApiRouter() {
+  const router = express.Router();
+
+  // All submissions, across channels
+  router.get("/submissions", (req, res) => sendSubmissionList(req, res, null));
+
+  // Submissions of one channel
+  router.get("/channels/:channel/submissions", (req, res) => {
+    sendSubmissionList(req, res, normalizeChannel(req.params.channel));
+  });
+
+  // A single user's submissions in a channel, by Twitch user ID or login.
+  // submission is the first slot, submissions every slot.
+  router.get("/channels/:channel/submissions/:user", async (req, res) => {
+    try {
+      const rows = await getCommandsForUser(normalizeChannel(req.params.channel), req.params.user);
+      if (!rows.length) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+      res.json({ submission: rows[0], submissions: rows });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Submissions of a channel grouped by game, largest group first
+  router.get("/channels/:channel/games", async (req, res) => {
+    try {
+      const channel = normalizeChannel(req.params.channel);
+      const clusters = await getGameClusters(channel);
+      res.json({
+        channel,
+        games: clusters.map(cluster => ({
+          key: cluster.key,
+          game_id: cluster.gameId,
+          title: cluster.title,
+          count: cluster.count,
+          submitters: cluster.submissions.map(row => ({
+            id: row.id,
+            user_id: row.user_id,
+            name: row.name,
+            display_name: row.display_name,
+            message: row.message,
+            tier: row.tier,
+            status: row.status,
+          })),
+        })),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Weighted vote totals of the current session, most votes first
+  router.get("/channels/:channel/votes", async (req, res) => {
+    try {
+      const channel = normalizeChannel(req.params.channel);
+      res.json({ channel, votes: await getVoteTotals(channel) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Whether a channel accepts submissions, and any scheduled open/close
+  router.get("/channels/:channel/window", (req, res) => {
+    const channel = normalizeChannel(req.params.channel);
+    const window = getSubmissionWindow(channel);
+    res.json({
+      channel,
+      is_open: window.isOpen,
+      opens_at: window.opensAt,
+      closes_at: window.closesAt,
+      updated_by: window.updatedBy,
+    });
+  });
+
+  // Edit timeline of a user's submissions in a channel, by Twitch user ID or login.
+  // ?session=<id> limits it to one session.
+  router.get("/channels/:channel/users/:user/revisions", async (req, res) => {
+    try {
+      const sessionId = parseInteger(req.query.session, 'session', null, 1, 2147483647);
+      const revisions = await getUserRevisions(normalizeChannel(req.params.channel), req.params.user, sessionId);
+      res.json({ revisions });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Past and current subday sessions of a channel
+  router.get("/channels/:channel/sessions", async (req, res) => {
+    try {
+      const { limit, offset } = parsePage(req.query, 20);
+      const sessions = await listSessions(normalizeChannel(req.params.channel), limit, offset);
+      res.json({ sessions, limit, offset });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // One session with who submitted what and what won. The open session
+  // returns the current submissions.
+  router.get("/sessions/:id", async (req, res) => {
+    try {
+      const id = parseInteger(req.params.id, 'session ID', null, 1, 2147483647);
+      const session = await getSessionById(id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      const entries = session.ended_at
+        ? await getSessionEntries(id)
+        : await getAllCommands(session.channel);
+      res.json({ session, entries, draws: await getSessionDraws(id) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Download the current submissions of a channel, or those of ?session=<id>,
+  // as ?format=csv (default) or json
+  router.get("/channels/:channel/export", async (req, res) => {
+    try {
+      const channel = normalizeChannel(req.params.channel);
+      if (!isConfiguredChannel(channel)) {
+        return res.status(404).json({ error: 'Unknown channel' });
+      }
+      const format = parseChoice(req.query.format, EXPORT_FORMATS, 'format') || 'csv';
+      const sessionId = parseInteger(req.query.session, 'session', null, 1, 2147483647);
+      const data = await getExportRows(channel, sessionId);
+      if (!data) {
+        return res.status(404).json({ error: sessionId ? 'Session not found' : 'No open session' });
+      }
+      res.type(format === 'json' ? 'application/json' : 'text/csv');
+      res.attachment(`${channel}-session-${data.session.id}.${format}`);
+      res.send(formatExport(channel, data, format));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Latest draw results of a channel
+  router.get("/channels/:channel/draws", async (req, res) => {
+    try {
+      const { limit } = parsePage(req.query, 20);
+      res.json({ draws: await listDraws(normalizeChannel(req.params.channel), limit) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
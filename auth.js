@@ -0,0 +1,214 @@
+// Bot account tokens: expiry checks, refreshing and the status shown on
+// /auth/status. Tokens are stored in twitch_oauth_tokens.
+import { getTwitchToken, updateTwitchToken } from "./db.js";
+
+const TOKEN_CHECK_INTERVAL = 60 * 1000;
+
+// Twitch no longer accepts the refresh token (revoked, or the app was
+// disconnected from the account); only a new authorization helps
+export class TokenRevokedError extends Error {}
+
+let revokedToken = null; // { username, refreshToken, message, at } of the last rejected refresh token
+let pendingRefresh = null; // refresh in progress, shared by everyone asking for a token
+
+export function isTokenExpired(expiresAt) {
+  if (!expiresAt) return true;
+  const expiryTime = new Date(expiresAt).getTime();
+  const now = Date.now();
+  // Consider token expired if it expires within 5 minutes
+  return expiryTime - now < 5 * 60 * 1000;
+}
+
+// The revoked refresh token problem, if it still applies to the stored token.
+// Authorizing again stores a new refresh token, which clears it.
+function getRevokedToken(tokenData) {
+  if (revokedToken && tokenData?.username === revokedToken.username && tokenData.refresh_token === revokedToken.refreshToken) {
+    return revokedToken;
+  }
+  return null;
+}
+
+// Twitch answers 400 {"message": "Invalid refresh token"} once the refresh
+// token has been revoked. Other errors, such as a bad client secret or Twitch
+// having trouble, may go away and are retried.
+function isRevokedRefreshTokenResponse(status, body) {
+  if (status !== 400) return false;
+  try {
+    return /^invalid refresh token$/i.test(JSON.parse(body).message?.trim());
+  } catch {
+    return false;
+  }
+}
+
+export async function refreshAccessToken(refreshToken) {
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  const clientId = process.env.TWITCH_CLIENT_ID;
+  const clientSecret = process.env.TWITCH_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    throw new Error('TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET must be set in environment variables');
+  }
+
+  try {
+    const response = await fetch('https://id.twitch.tv/oauth2/token', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: clientId,
+        client_secret: clientSecret,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      if (isRevokedRefreshTokenResponse(response.status, errorText)) {
+        throw new TokenRevokedError(`Refresh token rejected by Twitch: ${response.status} ${errorText}`);
+      }
+      throw new Error(`Token refresh failed: ${response.status} ${errorText}`);
+    }
+
+    const data = await response.json();
+    return {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token || refreshToken, // Use new refresh token if provided, otherwise keep old one
+      expires_in: data.expires_in,
+    };
+  } catch (error) {
+    console.error('Error refreshing access token:', error);
+    throw error;
+  }
+}
+
+// Refresh the stored token and save the new one
+async function refreshStoredToken(tokenData) {
+  try {
+    const refreshed = await refreshAccessToken(tokenData.refresh_token);
+
+    // Calculate new expiry time
+    const expiresAt = new Date(Date.now() + refreshed.expires_in * 1000);
+
+    // Update token in database
+    await updateTwitchToken(
+      tokenData.username,
+      refreshed.access_token,
+      refreshed.refresh_token,
+      expiresAt
+    );
+    console.log(`[AUTH] Refreshed the token of ${tokenData.username}, valid until ${expiresAt.toISOString()}`);
+
+    return {
+      username: tokenData.username,
+      access_token: refreshed.access_token,
+      refresh_token: refreshed.refresh_token,
+      expires_at: expiresAt,
+    };
+  } catch (error) {
+    if (error instanceof TokenRevokedError) {
+      revokedToken = { username: tokenData.username, refreshToken: tokenData.refresh_token, message: error.message, at: new Date() };
+      console.error(`[AUTH] The refresh token of ${tokenData.username} was revoked. Visit /auth/twitch to authorize the bot again.`);
+    }
+    throw error;
+  }
+}
+
+// The active account's token, refreshed first if it is about to expire (or
+// always with { forceRefresh: true }, after Twitch turned it down). Returns
+// null if no account has authorized the bot.
+export async function getValidToken({ forceRefresh = false } = {}) {
+  try {
+    const tokenData = await getTwitchToken();
+
+    if (!tokenData) {
+      return null;
+    }
+
+    const revoked = getRevokedToken(tokenData);
+    if (revoked) {
+      throw new TokenRevokedError(`${revoked.message}. Please re-authenticate.`);
+    }
+
+    // Check if token is expired
+    if (forceRefresh || isTokenExpired(tokenData.expires_at)) {
+      console.log(forceRefresh ? 'Access token rejected, refreshing...' : 'Access token expired, refreshing...');
+
+      if (!tokenData.refresh_token) {
+        throw new Error('Token expired and no refresh token available. Please re-authenticate.');
+      }
+
+      // Several callers may find the token expired at once; refresh it only once
+      if (!pendingRefresh) {
+        pendingRefresh = refreshStoredToken(tokenData).finally(() => {
+          pendingRefresh = null;
+        });
+      }
+      return await pendingRefresh;
+    }
+
+    return tokenData;
+  } catch (error) {
+    if (!(error instanceof TokenRevokedError)) {
+      console.error('Error getting valid token:', error);
+    }
+    throw error;
+  }
+}
+
+// Check the stored token every minute, refreshing it before it expires, and
+// pass it to onToken(tokenData). That way a refreshed token, a new
+// authorization or a switch of the active account reaches the running bot.
+export function startTokenRefresher(onToken) {
+  return setInterval(async () => {
+    try {
+      const tokenData = await getValidToken();
+      if (tokenData) {
+        await onToken(tokenData);
+      }
+    } catch (error) {
+      // Already logged; tried again on the next check
+    }
+  }, TOKEN_CHECK_INTERVAL);
+}
+
+// State of the bot's stored token, as reported by /auth/status
+export async function getAuthStatus() {
+  const tokenData = await getTwitchToken();
+
+  if (!tokenData) {
+    return {
+      authenticated: false,
+      message: 'No authentication token found. Please visit /auth/twitch to authenticate.',
+    };
+  }
+
+  const isExpired = isTokenExpired(tokenData.expires_at);
+
+  const revoked = getRevokedToken(tokenData);
+  if (revoked) {
+    return {
+      authenticated: false,
+      needs_reauth: true,
+      username: tokenData.username,
+      expires_at: tokenData.expires_at,
+      is_expired: isExpired,
+      scope: tokenData.scope,
+      revoked_at: revoked.at,
+      message: `Twitch rejected the refresh token of ${tokenData.username}. Please visit /auth/twitch to authenticate again.`,
+      error: revoked.message,
+    };
+  }
+
+  return {
+    authenticated: true,
+    username: tokenData.username,
+    expires_at: tokenData.expires_at,
+    is_expired: isExpired,
+    scope: tokenData.scope,
+  };
+}
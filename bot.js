@@ -1,12 +1,26 @@
 // Ensure that we have all required environment variables
 import 'dotenv/config';
-import tmi from "tmi.js";
 import express from "express";
-import { initDatabase, getAllCommands, upsertCommand, pool, getTwitchToken, saveTwitchToken, updateTwitchToken } from "./db.js";
+import { getAllCommands, countCommandsByChannel, getLegacyCommandNames, assignUserIdToLegacyCommands, initStorage, closeStorage, listenForCommandChanges, getTwitchToken, saveTwitchToken, setActiveTwitchAccount } from "./db.js";
+import { getAuthStatus, startTokenRefresher } from "./auth.js";
+import { SupervisedClient, updateCredentials, getConnectionStatus } from "./connection.js";
+import { startBot, stopBot, botAuthorized, getBotState } from "./lifecycle.js";
+import { getConfiguredChannels } from "./channels.js";
+import { loadSubscriberTiers } from "./tiers.js";
+import { createApiRouter } from "./api.js";
+import { createAdminRouter, requireAdmin } from "./admin.js";
+import { escapeHtml } from "./html.js";
+import { setChatClient } from "./chat.js";
+import { loadBannedWords } from "./validation.js";
+import { loadSubmissionWindows, startWindowScheduler } from "./windows.js";
+import { loadGameCatalog } from "./games.js";
+import { createDashboardRouter, isDashboardLogin, startDashboardSession } from "./dashboard.js";
+import { createOverlayRouter } from "./overlay.js";
+import { loadWebhooks, startWebhookWorker } from "./webhooks.js";
+import { cacheCommandRow, getCacheVersion, replaceCachedRows } from "./cache.js";
+import { registerChatHandlers } from "./messages.js";
 import crypto from "crypto";
 
-let cachedRowsMap = new Map(); // Initialize a new Map
-
 // Store OAuth state for CSRF protection
 const oauthStates = new Map();
 
@@ -32,117 +46,67 @@ app.get("/", async (req, res) => {
 // Health check endpoint to verify database
 app.get("/health", async (req, res) => {
   try {
-    const { pool } = await import('./db.js');
-    const result = await pool.query('SELECT COUNT(*) FROM subscriber_commands');
+    const counts = await countCommandsByChannel();
+    const channels = {};
+    for (const channel of getConfiguredChannels()) {
+      channels[channel] = 0;
+    }
+    for (const { channel, count } of counts) {
+      channels[channel] = count;
+    }
     res.json({
       status: 'ok',
+      bot: getBotState(),
       database: 'connected',
       table: 'subscriber_commands',
-      rowCount: parseInt(result.rows[0].count)
+      rowCount: counts.reduce((sum, { count }) => sum + count, 0),
+      channels
     });
   } catch (error) {
-    res.status(500).json({ status: 'error', error: error.message });
+    res.status(500).json({ status: 'error', bot: getBotState(), error: error.message });
   }
 });
 
-// OAuth Token Management Functions
-function isTokenExpired(expiresAt) {
-  if (!expiresAt) return true;
-  const expiryTime = new Date(expiresAt).getTime();
-  const now = Date.now();
-  // Consider token expired if it expires within 5 minutes
-  return expiryTime - now < 5 * 60 * 1000;
-}
-
-async function refreshAccessToken(refreshToken) {
-  if (!refreshToken) {
-    throw new Error('No refresh token available');
-  }
-
-  const clientId = process.env.TWITCH_CLIENT_ID;
-  const clientSecret = process.env.TWITCH_CLIENT_SECRET;
-
-  if (!clientId || !clientSecret) {
-    throw new Error('TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET must be set in environment variables');
+// Submissions API: admin write endpoints, then the read-only ones
+app.use("/api/admin", requireAdmin, createAdminRouter());
+app.use("/api", createApiRouter());
+
+// OBS browser source overlay
+app.use("/overlay", createOverlayRouter());
+
+// Twitch logins allowed to authorize the bot: TWITCH_ALLOWED_LOGINS plus TWITCH_USERNAME
+function getAllowedLogins() {
+  const logins = (process.env.TWITCH_ALLOWED_LOGINS || '')
+    .split(',')
+    .map(login => login.trim().toLowerCase())
+    .filter(Boolean);
+  if (process.env.TWITCH_USERNAME) {
+    logins.push(process.env.TWITCH_USERNAME.trim().toLowerCase());
   }
+  return new Set(logins);
+}
 
+// Revoke a token we are not going to keep
+async function revokeAccessToken(accessToken) {
   try {
-    const response = await fetch('https://id.twitch.tv/oauth2/token', {
+    await fetch('https://id.twitch.tv/oauth2/revoke', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
       body: new URLSearchParams({
-        grant_type: 'refresh_token',
-        refresh_token: refreshToken,
-        client_id: clientId,
-        client_secret: clientSecret,
+        client_id: process.env.TWITCH_CLIENT_ID,
+        token: accessToken,
       }),
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Token refresh failed: ${response.status} ${errorText}`);
-    }
-
-    const data = await response.json();
-    return {
-      access_token: data.access_token,
-      refresh_token: data.refresh_token || refreshToken, // Use new refresh token if provided, otherwise keep old one
-      expires_in: data.expires_in,
-    };
   } catch (error) {
-    console.error('Error refreshing access token:', error);
-    throw error;
+    console.error('Error revoking access token:', error);
   }
 }
 
-async function getValidToken() {
-  try {
-    const tokenData = await getTwitchToken();
-
-    if (!tokenData) {
-      return null;
-    }
-
-    // Check if token is expired
-    if (isTokenExpired(tokenData.expires_at)) {
-      console.log('Access token expired, refreshing...');
-
-      if (!tokenData.refresh_token) {
-        throw new Error('Token expired and no refresh token available. Please re-authenticate.');
-      }
-
-      const refreshed = await refreshAccessToken(tokenData.refresh_token);
-
-      // Calculate new expiry time
-      const expiresAt = new Date(Date.now() + refreshed.expires_in * 1000);
-
-      // Update token in database
-      await updateTwitchToken(
-        tokenData.username,
-        refreshed.access_token,
-        refreshed.refresh_token,
-        expiresAt
-      );
-
-      return {
-        username: tokenData.username,
-        access_token: refreshed.access_token,
-        refresh_token: refreshed.refresh_token,
-        expires_at: expiresAt,
-      };
-    }
-
-    return tokenData;
-  } catch (error) {
-    console.error('Error getting valid token:', error);
-    throw error;
-  }
-}
-
-// OAuth Endpoints
-app.get("/auth/twitch", (req, res) => {
+// Send the user to Twitch to authorize. purpose is "bot" (authorize the bot
+// account) or "dashboard" (log into the dashboard) and is checked in the callback.
+function redirectToTwitch(res, purpose, scopes) {
   const clientId = process.env.TWITCH_CLIENT_ID;
   const redirectUri = process.env.TWITCH_REDIRECT_URI || `http://localhost:${port}`;
 
@@ -152,7 +116,7 @@ app.get("/auth/twitch", (req, res) => {
 
   // Generate state for CSRF protection
   const state = crypto.randomBytes(32).toString('hex');
-  oauthStates.set(state, { timestamp: Date.now() });
+  oauthStates.set(state, { timestamp: Date.now(), purpose });
 
   // Clean up old states (older than 10 minutes)
   const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
@@ -162,7 +126,6 @@ app.get("/auth/twitch", (req, res) => {
     }
   }
 
-  const scopes = 'chat:read chat:edit';
   const authUrl = `https://id.twitch.tv/oauth2/authorize?` +
     `client_id=${encodeURIComponent(clientId)}&` +
     `redirect_uri=${encodeURIComponent(redirectUri)}&` +
@@ -171,6 +134,19 @@ app.get("/auth/twitch", (req, res) => {
     `state=${state}`;
 
   res.redirect(authUrl);
+}
+
+// OAuth Endpoints
+app.get("/auth/twitch", (req, res) => {
+  if (getAllowedLogins().size === 0) {
+    return res.status(500).send('No Twitch account is allowed to authorize the bot. Set TWITCH_ALLOWED_LOGINS in your .env file.');
+  }
+  redirectToTwitch(res, 'bot', 'chat:read chat:edit user:manage:whispers');
+});
+
+// Dashboard login only needs the user's identity, so no scopes are requested
+app.get("/dashboard/login", (req, res) => {
+  redirectToTwitch(res, 'dashboard', '');
 });
 
 app.get("/auth/twitch/callback", async (req, res) => {
@@ -181,7 +157,7 @@ app.get("/auth/twitch/callback", async (req, res) => {
       <html>
         <body>
           <h1>Authentication Failed</h1>
-          <p>Error: ${error}</p>
+          <p>Error: ${escapeHtml(error)}</p>
           <p><a href="/auth/twitch">Try again</a></p>
         </body>
       </html>
@@ -214,6 +190,7 @@ app.get("/auth/twitch/callback", async (req, res) => {
   }
 
   // Remove used state
+  const { purpose } = oauthStates.get(state);
   oauthStates.delete(state);
 
   const clientId = process.env.TWITCH_CLIENT_ID;
@@ -268,6 +245,40 @@ app.get("/auth/twitch/callback", async (req, res) => {
     const userInfo = await validateResponse.json();
     const username = userInfo.login;
 
+    // Dashboard logins only prove who the user is; the token itself is not kept
+    if (purpose === 'dashboard') {
+      await revokeAccessToken(tokenData.access_token);
+      if (!isDashboardLogin(username)) {
+        console.warn(`Rejected dashboard login from ${username}`);
+        return res.status(403).send(`
+          <html>
+            <body>
+              <h1>Access Denied</h1>
+              <p>The Twitch account <strong>${escapeHtml(username)}</strong> is not allowed to use the dashboard.</p>
+            </body>
+          </html>
+        `);
+      }
+      startDashboardSession(req, res, username);
+      console.log(`Dashboard login from ${username}`);
+      return res.redirect('/dashboard');
+    }
+
+    // Only allowlisted accounts may become the bot account
+    if (!getAllowedLogins().has(username.toLowerCase())) {
+      console.warn(`Rejected OAuth login from ${username}: not in TWITCH_ALLOWED_LOGINS`);
+      await revokeAccessToken(tokenData.access_token);
+      return res.status(403).send(`
+        <html>
+          <body>
+            <h1>Access Denied</h1>
+            <p>The Twitch account <strong>${escapeHtml(username)}</strong> is not allowed to authorize this bot.</p>
+            <p>No token was saved. Ask the bot owner to add the account to the allowlist if this is a mistake.</p>
+          </body>
+        </html>
+      `);
+    }
+
     // Calculate expiry time
     const expiresAt = new Date(Date.now() + tokenData.expires_in * 1000);
 
@@ -280,12 +291,27 @@ app.get("/auth/twitch/callback", async (req, res) => {
       tokenData.scope?.join(' ') || ''
     );
 
+    // The first account to authorize becomes the active one; later accounts are
+    // stored but only used once an admin selects them
+    const activeToken = await getTwitchToken();
+    if (!activeToken) {
+      await setActiveTwitchAccount(username);
+    }
+    const isActive = !activeToken || activeToken.username === username;
+    if (isActive) {
+      // Connect now, or switch a running bot over to the new token. That and the
+      // legacy backfill after it can take a while, so answer without waiting.
+      botAuthorized().catch(error => console.error('[BOT] Error starting after authorization:', error));
+    }
+
     res.send(`
       <html>
         <body>
           <h1>Authentication Successful!</h1>
-          <p>Twitch bot authenticated as: <strong>${username}</strong></p>
-          <p>You can now close this window. The bot will connect automatically.</p>
+          <p>Twitch bot authenticated as: <strong>${escapeHtml(username)}</strong></p>
+          ${isActive
+            ? '<p>You can now close this window. The bot will connect automatically.</p>'
+            : `<p>The bot is currently running as <strong>${escapeHtml(activeToken.username)}</strong>. This account was saved but is not active; an admin can switch to it with <code>PUT /api/admin/bot-account</code>.</p>`}
           <p><a href="/auth/status">Check authentication status</a></p>
         </body>
       </html>
@@ -296,7 +322,7 @@ app.get("/auth/twitch/callback", async (req, res) => {
       <html>
         <body>
           <h1>Authentication Error</h1>
-          <p>${error.message}</p>
+          <p>${escapeHtml(error.message)}</p>
           <p><a href="/auth/twitch">Try again</a></p>
         </body>
       </html>
@@ -306,46 +332,45 @@ app.get("/auth/twitch/callback", async (req, res) => {
 
 app.get("/auth/status", async (req, res) => {
   try {
-    const tokenData = await getTwitchToken();
-
-    if (!tokenData) {
-      return res.json({
-        authenticated: false,
-        message: 'No authentication token found. Please visit /auth/twitch to authenticate.',
-      });
-    }
-
-    const isExpired = isTokenExpired(tokenData.expires_at);
-
-    return res.json({
-      authenticated: true,
-      username: tokenData.username,
-      expires_at: tokenData.expires_at,
-      is_expired: isExpired,
-      scope: tokenData.scope,
-    });
+    res.json({ ...await getAuthStatus(), bot: getBotState(), connection: getConnectionStatus() });
   } catch (error) {
     res.status(500).json({
       authenticated: false,
       error: error.message,
+      bot: getBotState(),
+      connection: getConnectionStatus(),
     });
   }
 });
 
+// Streamer dashboard
+app.use("/dashboard", createDashboardRouter({
+  getBotState,
+  getAuthStatus: async () => {
+    try {
+      return await getAuthStatus();
+    } catch (error) {
+      return { authenticated: false, error: error.message };
+    }
+  },
+}));
+
 // Load commands from database into cache
 async function authenticateAndLoad() {
-  await initDatabase(); // Initialize database schema
+  await initStorage(); // Connect and bring the database schema up to date
   await cacheRows(); // Cache rows from database
+  await loadSubscriberTiers(); // Load tiers learned from subscription events
+  await loadSubmissionWindows(); // Load open/closed state of each channel
+  await loadBannedWords(); // Load per-channel banned words for validation
+  await loadGameCatalog(); // Load known game titles for grouping submissions
+  await loadWebhooks(); // Load outgoing webhooks
 }
 
 async function cacheRows() {
   try {
     const rows = await getAllCommands();
     for (const row of rows) {
-      cachedRowsMap.set(row.name, {
-        value: row.message,
-        tier: row.tier || "1", // Default to tier 1 if not set
-      });
+      cacheCommandRow(row);
     }
     console.log(`Loaded ${rows.length} commands into cache`);
   } catch (error) {
@@ -353,176 +378,93 @@ async function cacheRows() {
   }
 }
 
-// Function to determine subscriber tier
-function getSubscriberTier(badgeInfo) {
-  if (!badgeInfo || !badgeInfo.subscriber) return "1";
-  const subVersion = parseInt(badgeInfo.subscriber);
-  if (subVersion >= 3000) return "3";
-  if (subVersion >= 2000) return "2";
-  return "1";
-}
-
-// Insert or update command in database and cache
-async function appendRow(text, target, tier) {
+// Load the submissions of a channel again after the CLI changed them (all
+// channels for null). If the bot changed a row while loading, the rows may be
+// older than the cache, so load them once more.
+async function reloadChangedRows(channel) {
   try {
-    const result = await upsertCommand(target, text, tier);
-    cachedRowsMap.set(target, {
-      value: result.message,
-      tier: result.tier,
-    });
+    for (let tries = 0; tries < 3; tries++) {
+      const version = getCacheVersion();
+      const rows = await getAllCommands(channel);
+      if (version !== getCacheVersion()) continue;
+      replaceCachedRows(channel, rows);
+      console.log(`Reloaded submissions of ${channel || 'every channel'}, changed outside the bot`);
+      return;
+    }
+    console.error(`Could not reload submissions of ${channel || 'every channel'}, they kept changing`);
   } catch (error) {
-    console.error("Error appending row:", error);
-    throw error;
+    console.error("Error reloading rows:", error);
   }
 }
 
-async function updateRow(text, target, tier) {
+// One-time backfill: resolve the logins of legacy name-only rows to Twitch user IDs
+async function backfillLegacyUsers(tokenData) {
+  const clientId = process.env.TWITCH_CLIENT_ID;
+  if (!clientId) {
+    console.log('TWITCH_CLIENT_ID not set, skipping legacy user ID backfill');
+    return;
+  }
+
   try {
-    const result = await upsertCommand(target, text, tier);
-    cachedRowsMap.set(target, {
-      value: result.message,
-      tier: result.tier,
-    });
+    const logins = await getLegacyCommandNames();
+    if (logins.length === 0) {
+      return;
+    }
+    console.log(`Backfilling user IDs for ${logins.length} legacy entries...`);
+
+    // Helix accepts up to 100 logins per request
+    for (let i = 0; i < logins.length; i += 100) {
+      const batch = logins.slice(i, i + 100);
+      const query = new URLSearchParams(batch.map(login => ['login', login]));
+      const response = await fetch(`https://api.twitch.tv/helix/users?${query}`, {
+        headers: {
+          'Authorization': `Bearer ${tokenData.access_token}`,
+          'Client-Id': clientId,
+        },
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`User lookup failed: ${response.status} ${errorText}`);
+      }
+
+      const { data } = await response.json();
+      for (const twitchUser of data) {
+        const rows = await assignUserIdToLegacyCommands({
+          userId: twitchUser.id,
+          login: twitchUser.login,
+          displayName: twitchUser.display_name,
+        });
+        for (const row of rows) {
+          cacheCommandRow(row);
+        }
+      }
+    }
+
+    const remaining = await getLegacyCommandNames();
+    console.log(`Legacy user ID backfill done, ${remaining.length} entries left unresolved`);
   } catch (error) {
-    console.error("Error updating row:", error);
-    throw error;
+    console.error('Error backfilling legacy user IDs:', error);
   }
 }
 
-//dictionary of users
-// Client will be created after we have a valid token
-let client = null;
-
-// Function to initialize Twitch client with token
+// New chat client for the connection supervisor, with our event handlers attached
 function initializeClient(tokenData) {
   const opts = {
     identity: {
       username: tokenData.username,
       password: `oauth:${tokenData.access_token}`,
     },
-    channels: process.env.TWITCH_CHANNELS
-      ? process.env.TWITCH_CHANNELS.split(",").map(c => c.trim())
-      : [],
+    channels: getConfiguredChannels(),
   };
 
-  // Create a new client with our options
-  client = new tmi.client(opts);
-
-  // Register our event handlers
-  client.on("message", onMessageHandler);
-  client.on("connected", onConnectedHandler);
+  const client = new SupervisedClient(opts);
+  registerChatHandlers(client);
+  setChatClient(client, { accessToken: tokenData.access_token, username: tokenData.username });
 
   return client;
 }
 
-// No periodic sync needed - writes are immediate to database
-
-// Called every time a message comes in
-async function onMessageHandler(target, context, msg, self) {
-  let user = context.username;
-  let subscriber = context.subscriber;
-  const badgeInfo = context.badges;
-  // Channel name is like "#channelname", so we remove the #
-  const channelName = target.replace('#', '').toLowerCase();
-  const isBroadcaster = badgeInfo?.broadcaster === '1' || user.toLowerCase() === channelName;
-  const isMod = badgeInfo?.moderator === '1';
-  const subTier = getSubscriberTier(badgeInfo);
-  console.log(`User: ${user}, Sub Tier: ${subTier}, Badges:`, badgeInfo);
-  console.log(user + " " + msg);
-
-  // Debug logging for % commands
-  if (msg.startsWith("%")) {
-    console.log(`[DEBUG] % command detected from ${user}`);
-    console.log(`[DEBUG] subscriber: ${subscriber}, broadcaster: ${isBroadcaster}, mod: ${isMod}`);
-    console.log(`[DEBUG] can use command: ${subscriber || isBroadcaster || isMod}`);
-  }
-
-  const commandName = msg.trim();
-  const cachedName = cachedRowsMap.get(user);
-
-  // Allow subscribers, broadcaster, and mods to use % commands
-  if (msg.startsWith("%") && (subscriber || isBroadcaster || isMod)) {
-    if (!cachedName) {
-      try {
-        await appendRow(msg, user, subTier);
-        console.log(`Row appended for ${user}: ${msg.substring(0, 50)}`);
-      } catch (error) {
-        console.error(`Error appending row for ${user}:`, error);
-        console.error('Full error:', JSON.stringify(error, null, 2));
-      }
-      console.log(`* Executed ${commandName} command`);
-    } else if (cachedName) {
-      try {
-        await updateRow(msg, user, subTier);
-        console.log(`Row updated for ${user}: ${msg.substring(0, 50)}`);
-      } catch (error) {
-        console.error(`Error updating row for ${user}:`, error);
-        console.error('Full error:', JSON.stringify(error, null, 2));
-      }
-      console.log(`* Executed ${commandName} command`);
-    } else {
-      console.log(`* Unknown command ${user + " " + commandName}`);
-    }
-  } else if (msg.startsWith("%")) {
-    console.log(`* User ${user} tried to use % command but is not a subscriber, broadcaster, or mod`);
-  }
-}
-
-// Called every time the bot connects to Twitch chat
-function onConnectedHandler(addr, port) {
-  console.log(`* Connected to ${addr}:${port}`);
-}
-
-// Add reconnection logic
-let reconnectAttempts = 0;
-const MAX_RECONNECT_ATTEMPTS = 5;
-const RECONNECT_DELAY = 5000; // 5 seconds
-
-// Setup reconnection handler (will be attached when client is created)
-function setupReconnectionHandlers() {
-  if (!client) return;
-
-  client.on('disconnected', (reason) => {
-    console.log(`Disconnected: ${reason}`);
-    if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-      setTimeout(async () => {
-        console.log(`Attempting to reconnect (${reconnectAttempts + 1}/${MAX_RECONNECT_ATTEMPTS})`);
-        try {
-          // Get valid token (refresh if needed)
-          const tokenData = await getValidToken();
-          if (!tokenData) {
-            console.error('No valid token available for reconnection');
-            return;
-          }
-
-          // Recreate client with fresh token
-          if (client) {
-            try {
-              await client.disconnect();
-            } catch (e) {
-              // Ignore disconnect errors
-            }
-          }
-
-          initializeClient(tokenData);
-          setupReconnectionHandlers();
-          await client.connect();
-          reconnectAttempts++;
-        } catch (error) {
-          console.error('Error during reconnection:', error);
-        }
-      }, RECONNECT_DELAY);
-    } else {
-      console.error('Max reconnection attempts reached. Please check your connection and restart the bot.');
-    }
-  });
-
-  client.on('connected', (addr, port) => {
-    console.log(`* Connected to ${addr}:${port}`);
-    reconnectAttempts = 0; // Reset reconnect attempts on successful connection
-  });
-}
-
 // Add error handling for the Express server
 app.on('error', (error) => {
   console.error('Express server error:', error);
@@ -532,12 +474,10 @@ app.on('error', (error) => {
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received. Starting graceful shutdown...');
   try {
-    // Disconnect from Twitch if client exists
-    if (client) {
-      await client.disconnect();
-    }
-    // Close database pool
-    await pool.end();
+    // Disconnect from Twitch
+    await stopBot();
+    // Close database connections
+    await closeStorage();
     console.log('Graceful shutdown completed');
     process.exit(0);
   } catch (error) {
@@ -551,47 +491,27 @@ async function main() {
     console.log("Starting authentication and loading...");
     await authenticateAndLoad();
     console.log("Authentication and loading completed.");
+    startWindowScheduler();
+    await listenForCommandChanges(reloadChangedRows);
+    startWebhookWorker();
+    startTokenRefresher(updateCredentials);
 
-    // Get valid token from database
+    // Connect to Twitch, or wait until an account authorizes the bot
     console.log("Checking for Twitch authentication token...");
-    const tokenData = await getValidToken();
+    const needsAuth = await startBot({ createClient: initializeClient, onAuthenticated: backfillLegacyUsers });
 
-    if (!tokenData) {
+    if (needsAuth) {
       const authUrl = `http://localhost:${port}/auth/twitch`;
       console.log("=".repeat(60));
-      console.log("No Twitch authentication token found!");
+      console.log("No usable Twitch authentication token found!");
       console.log("Please visit the following URL to authenticate:");
       console.log(authUrl);
       console.log("=".repeat(60));
-      console.log("Bot is running and waiting for authentication...");
-      return; // Don't exit, let the server run so user can authenticate
+      console.log("Bot is running and will connect once authenticated...");
     }
-
-    console.log(`Authenticated as: ${tokenData.username}`);
-
-    // Initialize client with token
-    initializeClient(tokenData);
-    setupReconnectionHandlers();
-
-    // Connect to Twitch after we have a valid token
-    console.log("Connecting to Twitch...");
-    await client.connect();
   } catch (error) {
     console.error("Fatal error during startup:", error);
-
-    // If it's a token error, provide helpful message
-    if (error.message.includes('token') || error.message.includes('authentication')) {
-      const authUrl = `http://localhost:${port}/auth/twitch`;
-      console.log("=".repeat(60));
-      console.log("Authentication error. Please visit:");
-      console.log(authUrl);
-      console.log("=".repeat(60));
-    }
-
-    // Don't exit on token errors - let user authenticate via web interface
-    if (!error.message.includes('token') && !error.message.includes('authentication')) {
-      process.exit(1);
-    }
+    process.exit(1);
   }
 }
 
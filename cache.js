@@ -0,0 +1,120 @@
+// In-memory copy of subscriber_commands, kept in sync with every write. Since
+// every write passes through here, this is also where live views are notified.
+import { notifyChannelChanged } from "./events.js";
+
+const cachedRowsMap = new Map(); // channel -> Map of user ID (or "legacy:<login>") -> Map of slot -> { id, userId, name, displayName, value, tier, slot, status }
+let version = 0; // bumped on every change, see replaceCachedRows()
+
+// Rows without a Twitch user ID (stored before IDs were tracked) are cached by login
+export function legacyCacheKey(login) {
+  return `legacy:${login}`;
+}
+
+function rowCacheKey(row) {
+  return row.user_id || legacyCacheKey(row.name);
+}
+
+// Cached row of a user in one slot (slot 1 by default)
+export function getCachedRow(channel, key, slot = 1) {
+  return cachedRowsMap.get(channel)?.get(key)?.get(slot);
+}
+
+// Cached rows of a user in a channel, ordered by slot
+export function getCachedSlots(channel, key) {
+  const slots = cachedRowsMap.get(channel)?.get(key);
+  return slots ? [...slots.values()].sort((a, b) => a.slot - b.slot) : [];
+}
+
+// Cached rows of a Twitch user across all channels and slots
+export function getCachedRowsForUser(userId) {
+  const rows = [];
+  for (const channelRows of cachedRowsMap.values()) {
+    rows.push(...(channelRows.get(userId)?.values() || []));
+  }
+  return rows;
+}
+
+function storeRow(row) {
+  if (!cachedRowsMap.has(row.channel)) {
+    cachedRowsMap.set(row.channel, new Map());
+  }
+  const channelRows = cachedRowsMap.get(row.channel);
+  if (row.user_id) {
+    // A claimed legacy row moves to its owner; other legacy rows of the login stay
+    const legacySlots = channelRows.get(legacyCacheKey(row.name));
+    for (const [slot, legacy] of legacySlots || []) {
+      if (legacy.id === row.id) legacySlots.delete(slot);
+    }
+    if (legacySlots?.size === 0) {
+      channelRows.delete(legacyCacheKey(row.name));
+    }
+  }
+  const key = rowCacheKey(row);
+  if (!channelRows.has(key)) {
+    channelRows.set(key, new Map());
+  }
+  const slot = row.slot || 1;
+  channelRows.get(key).set(slot, {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    displayName: row.display_name,
+    value: row.message,
+    tier: row.tier || "1", // Default to tier 1 if not set
+    slot,
+    status: row.status,
+  });
+}
+
+// Cache a subscriber_commands row, replacing the legacy entry once it has a user ID
+export function cacheCommandRow(row) {
+  storeRow(row);
+  version++;
+  notifyChannelChanged(row.channel, 'submission');
+}
+
+// Drop a deleted subscriber_commands row from the cache
+export function uncacheCommandRow(row) {
+  const channelRows = cachedRowsMap.get(row.channel);
+  const slots = channelRows?.get(rowCacheKey(row));
+  if (!slots) return;
+  slots.delete(row.slot || 1);
+  if (slots.size === 0) {
+    channelRows.delete(rowCacheKey(row));
+  }
+  version++;
+  notifyChannelChanged(row.channel, 'submission');
+}
+
+// Drop every cached row of a channel
+export function clearChannelCache(channel) {
+  cachedRowsMap.delete(channel);
+  version++;
+  notifyChannelChanged(channel, 'cleared');
+}
+
+// Changes so far; compare before and after loading rows to tell whether the
+// cache changed in between
+export function getCacheVersion() {
+  return version;
+}
+
+// Replace the cached rows of a channel (or of every channel, for null) with
+// rows loaded from the database, to pick up changes made by another process
+// such as the CLI
+export function replaceCachedRows(channel, rows) {
+  const channels = new Set(channel ? [channel] : cachedRowsMap.keys());
+  if (channel) {
+    cachedRowsMap.delete(channel);
+  } else {
+    cachedRowsMap.clear();
+  }
+  for (const row of rows) {
+    storeRow(row);
+    channels.add(row.channel);
+  }
+  version++;
+  for (const changed of channels) {
+    notifyChannelChanged(changed, 'submission');
+  }
+}
@@ -0,0 +1,27 @@
+// Channel name helpers shared by the bot and the database layer
+
+// Channel names arrive as "#channelname" from tmi.js, store them without the #
+export function normalizeChannel(channel) {
+  return String(channel || '').replace(/^#/, '').trim().toLowerCase();
+}
+
+// Channels the bot joins, from TWITCH_CHANNELS
+export function getConfiguredChannels() {
+  return process.env.TWITCH_CHANNELS
+    ? process.env.TWITCH_CHANNELS.split(",").map(normalizeChannel).filter(Boolean)
+    : [];
+}
+
+// Whether the bot joins this channel. Public routes only serve these, so a
+// made-up name in a URL cannot create anything.
+export function isConfiguredChannel(channel) {
+  return getConfiguredChannels().includes(normalizeChannel(channel));
+}
+
+// Channel that legacy rows (stored before submissions were per channel) belong to
+export function getDefaultChannel() {
+  if (process.env.DEFAULT_CHANNEL) {
+    return normalizeChannel(process.env.DEFAULT_CHANNEL);
+  }
+  return getConfiguredChannels()[0] || null;
+}
@@ -0,0 +1,147 @@
+// Outgoing chat messages, sent through whichever tmi client is currently connected.
+// Everything the bot sends goes through a global rate limiter so it stays within
+// Twitch's chat limits (20 messages per 30 seconds, 100 if the bot is a mod
+// everywhere; whispers 3 per second and 100 per minute).
+
+let chatClient = null;
+let chatCredentials = null; // { accessToken, username } of the bot account
+let botUserId = null;
+
+const MAX_QUEUED_MESSAGES = 50;
+
+// Run tasks at most `limit` times per `interval` ms, queueing the rest.
+// Returns schedule(task) which resolves to the task's result, or false if the
+// queue is full.
+function createRateLimiter(limit, interval) {
+  const sentAt = [];
+  const queue = [];
+  let timer = null;
+
+  function drain() {
+    timer = null;
+    const now = Date.now();
+    while (sentAt.length && now - sentAt[0] >= interval) {
+      sentAt.shift();
+    }
+    while (queue.length && sentAt.length < limit) {
+      const { task, resolve } = queue.shift();
+      sentAt.push(now);
+      task().then(resolve, () => resolve(false));
+    }
+    if (queue.length) {
+      timer = setTimeout(drain, interval - (now - sentAt[0]));
+    }
+  }
+
+  return function schedule(task) {
+    if (queue.length >= MAX_QUEUED_MESSAGES) {
+      return Promise.resolve(false);
+    }
+    return new Promise(resolve => {
+      queue.push({ task, resolve });
+      if (!timer) drain();
+    });
+  };
+}
+
+const scheduleChatMessage = createRateLimiter(parseInt(process.env.CHAT_RATE_LIMIT) || 20, 30 * 1000);
+const scheduleWhisperPerSecond = createRateLimiter(3, 1000);
+const scheduleWhisperPerMinute = createRateLimiter(100, 60 * 1000);
+
+// credentials ({ accessToken, username }) are used for whispers, which go through the Helix API
+export function setChatClient(client, credentials = null) {
+  chatClient = client;
+  if (credentials?.username !== chatCredentials?.username) {
+    botUserId = null;
+  }
+  chatCredentials = credentials;
+}
+
+function isConnected() {
+  return chatClient && chatClient.readyState() === 'OPEN';
+}
+
+// Send a message to a channel. Returns false if the bot is not connected or
+// the message could not be sent.
+export async function say(channel, message) {
+  if (!isConnected()) {
+    console.log(`[CHAT] Not connected, dropping message to ${channel}: ${message}`);
+    return false;
+  }
+  const sent = await scheduleChatMessage(async () => {
+    try {
+      await chatClient.say(channel, message);
+      return true;
+    } catch (error) {
+      console.error(`[CHAT] Error sending message to ${channel}:`, error);
+      return false;
+    }
+  });
+  if (!sent) console.log(`[CHAT] Message to ${channel} not sent: ${message}`);
+  return sent;
+}
+
+// Send a message as a threaded reply to a chat message (its "id" tag)
+export async function reply(channel, parentMsgId, message) {
+  if (!parentMsgId) {
+    return say(channel, message);
+  }
+  if (!isConnected()) {
+    console.log(`[CHAT] Not connected, dropping reply in ${channel}: ${message}`);
+    return false;
+  }
+  const sent = await scheduleChatMessage(async () => {
+    try {
+      await chatClient.raw(`@reply-parent-msg-id=${parentMsgId} PRIVMSG #${channel} :${message.replace(/[\r\n]+/g, ' ')}`);
+      return true;
+    } catch (error) {
+      console.error(`[CHAT] Error sending reply in ${channel}:`, error);
+      return false;
+    }
+  });
+  if (!sent) console.log(`[CHAT] Reply in ${channel} not sent: ${message}`);
+  return sent;
+}
+
+async function helixRequest(path, options = {}) {
+  const response = await fetch(`https://api.twitch.tv/helix${path}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${chatCredentials.accessToken}`,
+      'Client-Id': process.env.TWITCH_CLIENT_ID,
+      'Content-Type': 'application/json',
+    },
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Helix ${path} failed: ${response.status} ${errorText}`);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+// Send a whisper through the Helix API. Needs the user:manage:whispers scope
+// and a bot account with a verified phone number.
+export async function whisper(toUserId, message) {
+  if (!chatCredentials || !process.env.TWITCH_CLIENT_ID) {
+    console.log(`[CHAT] No credentials for whispers, dropping whisper to ${toUserId}: ${message}`);
+    return false;
+  }
+  const sent = await scheduleWhisperPerMinute(() => scheduleWhisperPerSecond(async () => {
+    try {
+      if (!botUserId) {
+        const { data } = await helixRequest(`/users?login=${encodeURIComponent(chatCredentials.username)}`);
+        botUserId = data[0]?.id;
+      }
+      await helixRequest(`/whispers?from_user_id=${botUserId}&to_user_id=${encodeURIComponent(toUserId)}`, {
+        method: 'POST',
+        body: JSON.stringify({ message }),
+      });
+      return true;
+    } catch (error) {
+      console.error(`[CHAT] Error whispering ${toUserId}:`, error);
+      return false;
+    }
+  }));
+  if (!sent) console.log(`[CHAT] Whisper to ${toUserId} not sent: ${message}`);
+  return sent;
+}
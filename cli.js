@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import fs from 'fs';
+import {
+  STORAGE_BACKEND, closeStorage, notifyCommandsChanged, listCommands, getCommandsForUser, getUserRevisions, getCommandById, deleteCommand,
+  deleteChannelCommands, listTwitchAccounts, SUBMISSION_TIERS, SUBMISSION_STATUSES,
+} from './db.js';
+import { normalizeChannel } from './channels.js';
+import { migrate, rollback, getMigrationStatus, checkSchemaVersion, formatMigration, DataLossError } from './migrations.js';
+import { getAuthStatus } from './auth.js';
+import { loadGameCatalog } from './games.js';
+import { loadWebhooks } from './webhooks.js';
+import { runDraw } from './draw.js';
+import {
+  loadSubmissionWindows, openSubmissions, closeSubmissions, scheduleSubmissions,
+  parseScheduleTime, describeSubmissionWindow,
+} from './windows.js';
+import {
+  EXPORT_FORMATS, getExportRows, formatExport, parseImportFile, planImport, applyImport, describeImportPlan,
+} from './transfer.js';
+
+// Admin command line tools. They work on the database directly and never
+// connect to Twitch, so they can run next to the bot. Every command except
+// export prints JSON instead of text with --json.
+//
+//   execute <command> [arguments] [--json]
+//   execute help
+
+// Error for wrong arguments, answered with the command's usage
+class UsageError extends Error {}
+
+// Output goes to stdout; the log lines of the modules go to stderr so output
+// can be piped or redirected
+const print = (...args) => process.stdout.write(args.join(' ') + '\n');
+
+// Split arguments into positionals and --options (a value, or true for flags)
+function parseArgs(args, flags = []) {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].slice(2);
+    if (!args[i].startsWith('--')) {
+      positionals.push(args[i]);
+    } else if (flags.includes(name) || name === 'json') {
+      options[name] = true;
+    } else if (i + 1 < args.length) {
+      options[name] = args[++i];
+    } else {
+      throw new UsageError(`--${name} needs a value`);
+    }
+  }
+  return { positionals, options };
+}
+
+function parseInteger(value, name, min = 1) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new UsageError(`Invalid ${name}: ${value}`);
+  }
+  return number;
+}
+
+// Comma separated option checked against the allowed values
+function parseList(value, allowed, name) {
+  if (!value) return null;
+  const values = String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+  const wrong = values.find(v => !allowed.includes(v));
+  if (wrong) {
+    throw new UsageError(`Invalid ${name}: ${wrong}. Expected one of ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : '-';
+}
+
+// Rows as aligned text columns
+function formatTable(rows, columns) {
+  if (rows.length === 0) return '(none)';
+  const cells = rows.map(row => columns.map(([, value]) => String(value(row) ?? '')));
+  const widths = columns.map(([title], index) => Math.max(title.length, ...cells.map(line => line[index].length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  return [line(columns.map(([title]) => title)), ...cells.map(line)].join('\n');
+}
+
+const SUBMISSION_TABLE = [
+  ['ID', row => `#${row.id}`],
+  ['User', row => row.display_name || row.name],
+  ['Tier', row => row.tier],
+  ['Slot', row => row.slot],
+  ['Status', row => row.status],
+  ['Updated', row => formatDate(row.updated_at)],
+  ['Message', row => row.message],
+];
+
+// Each command parses its arguments and returns a result, printed as JSON
+// with --json or through format() otherwise. setup lists what it needs loaded.
+const commands = {
+  list: {
+    usage: 'list <channel> [--status pending,picked] [--tier 2,3] [--limit 50] [--offset 0]',
+    description: 'List the current submissions of a channel, oldest first',
+    async run(args) {
+      const { positionals: [channel], options } = parseArgs(args);
+      if (!channel) throw new UsageError();
+      const limit = options.limit ? parseInteger(options.limit, 'limit') : 50;
+      const offset = options.offset ? parseInteger(options.offset, 'offset', 0) : 0;
+      const { rows, total } = await listCommands({
+        channel: normalizeChannel(channel),
+        statuses: parseList(options.status, SUBMISSION_STATUSES, 'status'),
+        tiers: parseList(options.tier, SUBMISSION_TIERS, 'tier'),
+        sort: 'created_at',
+        order: 'asc',
+        limit,
+        offset,
+      });
+      return { submissions: rows, total, limit, offset };
+    },
+    format: ({ submissions, total, offset }) =>
+      `${formatTable(submissions, SUBMISSION_TABLE)}\n${submissions.length ? `${offset + 1}-${offset + submissions.length}` : 0} of ${total}`,
+  },
+
+  show: {
+    usage: 'show <channel> <user>',
+    description: "Show a user's submissions and the % messages they sent, by login or Twitch user ID",
+    async run(args) {
+      const { positionals: [channel, user] } = parseArgs(args);
+      if (!channel || !user) throw new UsageError();
+      const normalized = normalizeChannel(channel);
+      const submissions = await getCommandsForUser(normalized, user);
+      const revisions = await getUserRevisions(normalized, user);
+      if (submissions.length === 0 && revisions.length === 0) {
+        throw new Error(`No submissions from ${user} in ${normalized}`);
+      }
+      return { submissions, revisions };
+    },
+    format: ({ submissions, revisions }) => [
+      formatTable(submissions, SUBMISSION_TABLE),
+      '',
+      'History:',
+      formatTable(revisions, [
+        ['Sent', row => formatDate(row.created_at)],
+        ['Session', row => row.session_id],
+        ['Tier', row => row.tier],
+        ['Slot', row => row.slot],
+        ['', row => row.is_current ? 'current' : ''],
+        ['Message', row => row.raw_text],
+      ]),
+    ].join('\n'),
+  },
+
+  delete: {
+    usage: 'delete <id> | delete <channel> --all --confirm <channel>',
+    description: 'Delete one submission, or every submission of a channel',
+    async run(args) {
+      const { positionals: [target], options } = parseArgs(args, ['all']);
+      if (!target) throw new UsageError();
+      if (options.all) {
+        const channel = normalizeChannel(target);
+        if (normalizeChannel(options.confirm || '') !== channel) {
+          throw new UsageError(`Deleting every submission of ${channel} needs --confirm ${channel}`);
+        }
+        return { channel, deleted: await deleteChannelCommands(channel) };
+      }
+      const row = await deleteCommand(parseInteger(target, 'ID'));
+      if (!row) {
+        throw new Error(`Submission #${target} not found`);
+      }
+      return { submission: row };
+    },
+    changedChannel: result => result.submission?.channel || result.channel,
+    format: result => result.submission
+      ? `Deleted #${result.submission.id} from ${result.submission.name} in ${result.submission.channel}: ${result.submission.message}`
+      : `Deleted ${result.deleted} submissions from ${result.channel}`,
+  },
+
+  draw: {
+    usage: 'draw <channel> [--votes] [--seed <seed>]',
+    description: 'Draw a pending submission, weighted by tier (and votes with --votes). Not announced in chat',
+    setup: ['webhooks'],
+    async run(args) {
+      const { positionals: [channel], options } = parseArgs(args, ['votes']);
+      if (!channel) throw new UsageError();
+      const draw = await runDraw(normalizeChannel(channel), {
+        seed: options.seed,
+        drawnBy: 'cli',
+        useVotes: Boolean(options.votes),
+      });
+      if (!draw) {
+        throw new Error(`No pending submissions in ${normalizeChannel(channel)}`);
+      }
+      const submission = await getCommandById(draw.command_id);
+      return { draw, submission };
+    },
+    changedChannel: ({ draw }) => draw.channel,
+    format: ({ draw }) =>
+      `Drew ${draw.name} (tier ${draw.tier}): ${draw.message}\nSeed ${draw.seed}, ${draw.candidates.length} pending`,
+  },
+
+  open: {
+    usage: 'open <channel> [--at <time>]',
+    description: 'Open submissions now, or at a time (30m, 2h, or an ISO date)',
+    setup: ['windows'],
+    run: args => changeWindow(args, 'open'),
+    format: formatWindow,
+  },
+
+  close: {
+    usage: 'close <channel> [--at <time>]',
+    description: 'Close submissions now, or at a time (30m, 2h, or an ISO date)',
+    setup: ['windows'],
+    run: args => changeWindow(args, 'close'),
+    format: formatWindow,
+  },
+
+  export: {
+    usage: 'export <channel> [--session <id>] [--format csv|json] [--output <file>]',
+    description: 'Export the current submissions of a channel, or those of a session',
+    async run(args) {
+      const { positionals: [channelArg], options } = parseArgs(args);
+      const format = options.format || 'csv';
+      if (!channelArg) throw new UsageError();
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new UsageError(`Invalid format: ${format}. Expected one of ${EXPORT_FORMATS.join(', ')}`);
+      }
+
+      const channel = normalizeChannel(channelArg);
+      const data = await getExportRows(channel, options.session ? parseInteger(options.session, 'session') : null);
+      if (!data) {
+        throw new Error(options.session ? `Session ${options.session} not found in ${channel}` : `No open session in ${channel}`);
+      }
+      const content = formatExport(channel, data, format);
+      if (!options.output) {
+        process.stdout.write(content);
+        return null;
+      }
+      fs.writeFileSync(options.output, content);
+      return { session: data.session.id, count: data.rows.length, output: options.output };
+    },
+    format: ({ session, count, output }) => `Exported ${count} submissions of session ${session} to ${output}`,
+  },
+
+  import: {
+    usage: 'import <channel> <file> [--format csv|json] [--apply]',
+    description: 'Import submissions from an export or a dump of the old sheet. Dry run unless --apply',
+    setup: ['catalog'],
+    async run(args) {
+      const { positionals: [channelArg, file], options } = parseArgs(args, ['apply']);
+      if (!channelArg || !file) throw new UsageError();
+
+      const channel = normalizeChannel(channelArg);
+      const parsed = parseImportFile(fs.readFileSync(file, 'utf8'), options.format || null);
+      const plan = await planImport(channel, parsed);
+      const applied = Boolean(options.apply) && (plan.added.length + plan.updated.length) > 0;
+      if (applied) {
+        await applyImport(plan, `cli:${file}`);
+      }
+      return { ...plan, applied };
+    },
+    changedChannel: plan => plan.applied && plan.channel,
+    format: plan => `${describeImportPlan(plan)}\n${plan.applied
+      ? `Imported into ${plan.channel}.`
+      : 'Nothing was written. Run again with --apply to import.'}`,
+  },
+
+  'auth status': {
+    usage: 'auth status',
+    description: 'Show the bot account token and the accounts that authorized the bot',
+    async run() {
+      return { ...await getAuthStatus(), accounts: await listTwitchAccounts() };
+    },
+    format: status => [
+      status.authenticated
+        ? `Running as ${status.username}, token ${status.is_expired ? 'expired (refreshed on next start)' : `valid until ${formatDate(status.expires_at)}`}`
+        : status.message,
+      '',
+      formatTable(status.accounts, [
+        ['Account', row => row.username],
+        ['', row => row.is_active ? 'active' : ''],
+        ['Expires', row => formatDate(row.expires_at)],
+        ['Scope', row => [].concat(row.scope || []).join(' ')],
+      ]),
+    ].join('\n'),
+  },
+
+  'db status': {
+    usage: 'db status',
+    description: 'Show the schema version and the migrations that are applied or pending',
+    async run() {
+      const { current, latest, applied, pending, unknown } = await getMigrationStatus();
+      return {
+        current,
+        latest,
+        applied,
+        pending: pending.map(({ version, name }) => ({ version, name })),
+        unknown,
+      };
+    },
+    format: status => [
+      `Schema version ${status.current}, latest known ${status.latest}`,
+      ...status.applied.filter(row => !status.unknown.includes(row)).map(row => `  applied  ${formatMigration(row)} (${formatDate(row.applied_at)})`),
+      ...status.pending.map(row => `  pending  ${formatMigration(row)}`),
+      ...status.unknown.map(row => `  unknown  ${formatMigration(row)} (applied by a newer version)`),
+    ].join('\n'),
+  },
+
+  'db migrate': {
+    usage: 'db migrate [--to <version>]',
+    description: 'Apply pending migrations, up to a version if given',
+    async run(args) {
+      const { options } = parseArgs(args);
+      const applied = await migrate({ to: options.to ? parseInteger(options.to, 'version') : Infinity });
+      return { applied: applied.map(({ version, name }) => ({ version, name })) };
+    },
+    format: ({ applied }) => applied.length
+      ? applied.map(row => `Applied ${formatMigration(row)}`).join('\n')
+      : 'Nothing to migrate, the database is up to date',
+  },
+
+  'db rollback': {
+    usage: 'db rollback --to <version> [--confirm drop-all]',
+    description: 'Undo the migrations newer than a version. Those that drop tables or columns (0 drops every table) delete their data for good and need --confirm drop-all',
+    async run(args) {
+      const { options } = parseArgs(args);
+      if (options.to === undefined) throw new UsageError();
+      let rolledBack;
+      try {
+        rolledBack = await rollback({ to: parseInteger(options.to, 'version', 0), allowDataLoss: options.confirm === 'drop-all' });
+      } catch (error) {
+        if (error instanceof DataLossError) {
+          throw new UsageError(`${error.message}. Add --confirm drop-all to delete that data`);
+        }
+        throw error;
+      }
+      return { rolled_back: rolledBack.map(({ version, name }) => ({ version, name })) };
+    },
+    format: ({ rolled_back: rolledBack }) => rolledBack.length
+      ? rolledBack.map(row => `Rolled back ${formatMigration(row)}`).join('\n')
+      : 'Nothing to roll back',
+  },
+
+  start: {
+    usage: 'start',
+    description: 'Start the bot',
+  },
+};
+
+// open/close, now or at --at
+async function changeWindow(args, action) {
+  const { positionals: [channelArg], options } = parseArgs(args);
+  if (!channelArg) throw new UsageError();
+  const channel = normalizeChannel(channelArg);
+  let window;
+  if (options.at) {
+    const at = parseScheduleTime(options.at);
+    if (!at) {
+      throw new UsageError(`Invalid time: ${options.at}`);
+    }
+    window = await scheduleSubmissions(channel, action, at, 'cli');
+  } else {
+    window = action === 'open'
+      ? await openSubmissions(channel, 'cli')
+      : await closeSubmissions(channel, 'cli');
+  }
+  return { channel, window };
+}
+
+function formatWindow({ channel, window }) {
+  return `Submissions in ${channel} are ${describeSubmissionWindow(window)}. The bot picks this up within 30 seconds.`;
+}
+
+const SETUP = {
+  catalog: loadGameCatalog,
+  webhooks: loadWebhooks,
+  windows: loadSubmissionWindows,
+};
+
+function printHelp() {
+  print('Usage: execute <command> [arguments] [--json]\n');
+  for (const command of Object.values(commands)) {
+    print(`  ${command.usage}`);
+    print(`      ${command.description}`);
+  }
+}
+
+// The command named by the first one or two arguments, with the rest
+function findCommand(args) {
+  if (commands[`${args[0]} ${args[1]}`]) {
+    return { name: `${args[0]} ${args[1]}`, args: args.slice(2) };
+  }
+  if (Object.hasOwn(commands, args[0] || '')) {
+    return { name: args[0], args: args.slice(1) };
+  }
+  return null;
+}
+
+async function main() {
+  const found = findCommand(process.argv.slice(2));
+  if (!found) {
+    printHelp();
+    process.exitCode = process.argv[2] && process.argv[2] !== 'help' ? 1 : 0;
+    return;
+  }
+  if (found.name === 'start') {
+    await import('./bot.js');
+    return;
+  }
+
+  console.log = console.error;
+  const command = commands[found.name];
+  try {
+    if (STORAGE_BACKEND !== 'postgres') {
+      if (found.name.startsWith('db ')) {
+        throw new Error(`Migrations only apply to the postgres storage backend, not ${STORAGE_BACKEND}`);
+      }
+    } else if (!found.name.startsWith('db ')) {
+      await checkSchemaVersion();
+    }
+    for (const name of command.setup || []) {
+      await SETUP[name]();
+    }
+    const result = await command.run(found.args);
+    if (result === null) return;
+    // A running bot loads the changed submissions again
+    const changed = command.changedChannel?.(result);
+    if (changed) {
+      await notifyCommandsChanged(changed);
+    }
+    print(found.args.includes('--json') ? JSON.stringify(result, null, 2) : command.format(result));
+  } catch (error) {
+    if (error instanceof UsageError) {
+      if (error.message) console.error(error.message);
+      console.error(`Usage: execute ${command.usage}`);
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
+    process.exitCode = 1;
+  } finally {
+    await closeStorage();
+  }
+}
+
+main();
@@ -0,0 +1,155 @@
+// Mod/broadcaster chat commands: "!subday <subcommand> [args]"
+import { runDraw } from "./draw.js";
+import { say } from "./chat.js";
+import { startSubdaySession } from "./sessions.js";
+import { banWord, unbanWord } from "./validation.js";
+import { mergeGameCluster, splitGameSubmissions } from "./games.js";
+import { getCommandForUser, getCommandById } from "./db.js";
+import {
+  openSubmissions,
+  closeSubmissions,
+  scheduleSubmissions,
+  clearSubmissionSchedule,
+  getSubmissionWindow,
+  describeSubmissionWindow,
+  parseScheduleTime,
+  formatTime,
+} from "./windows.js";
+
+const subcommands = {
+  // !subday draw [votes] [seed]
+  draw: async (channel, user, args) => {
+    const useVotes = args[0]?.toLowerCase() === 'votes';
+    const seed = useVotes ? args[1] : args[0];
+    const draw = await runDraw(channel, { seed, drawnBy: user.login, useVotes });
+    if (!draw) {
+      await say(channel, `@${user.displayName} there are no pending submissions to draw from.`);
+    }
+  },
+
+  // !subday new
+  new: async (channel, user) => {
+    await startSubdaySession(channel, user.login);
+  },
+
+  // !subday open
+  open: async (channel, user) => {
+    const window = await openSubmissions(channel, user.login);
+    await say(channel, `Subday submissions are now ${describeSubmissionWindow(window)}. Subs can send %your pick.`);
+  },
+
+  // !subday close
+  close: async (channel, user) => {
+    const window = await closeSubmissions(channel, user.login);
+    await say(channel, `Subday submissions are now ${describeSubmissionWindow(window)}.`);
+  },
+
+  // !subday schedule open|close <time>, !subday schedule clear
+  schedule: async (channel, user, args) => {
+    const [action, ...timeParts] = args;
+    if (action === 'clear') {
+      const window = await clearSubmissionSchedule(channel, user.login);
+      await say(channel, `@${user.displayName} schedule cleared, submissions are ${describeSubmissionWindow(window)}.`);
+      return;
+    }
+
+    const at = parseScheduleTime(timeParts.join(' '));
+    if (!['open', 'close'].includes(action) || !at) {
+      await say(channel, `@${user.displayName} usage: !subday schedule open|close <30m, 2h, 1h30m or 2024-05-01T20:00Z>, or !subday schedule clear`);
+      return;
+    }
+    if (at <= new Date()) {
+      await say(channel, `@${user.displayName} ${formatTime(at)} is in the past.`);
+      return;
+    }
+
+    const window = await scheduleSubmissions(channel, action, at, user.login);
+    await say(channel, `@${user.displayName} submissions are ${describeSubmissionWindow(window)}.`);
+  },
+
+  // !subday ban <word or phrase>
+  ban: async (channel, user, args) => {
+    const word = args.join(' ');
+    if (!word) {
+      await say(channel, `@${user.displayName} usage: !subday ban <word>`);
+      return;
+    }
+    const added = await banWord(channel, word, user.login);
+    await say(channel, `@${user.displayName} ${added ? 'banned a word from picks' : 'that word is already banned'}.`);
+  },
+
+  // !subday unban <word or phrase>
+  unban: async (channel, user, args) => {
+    const word = args.join(' ');
+    if (!word) {
+      await say(channel, `@${user.displayName} usage: !subday unban <word>`);
+      return;
+    }
+    const removed = await unbanWord(channel, word);
+    await say(channel, `@${user.displayName} ${removed ? 'word unbanned' : 'that word was not banned'}.`);
+  },
+
+  // !subday merge <pick> > <title>
+  merge: async (channel, user, args) => {
+    const [from, into] = args.join(' ').split('>').map(part => part.trim());
+    if (!from || !into) {
+      await say(channel, `@${user.displayName} usage: !subday merge <pick> > <title>`);
+      return;
+    }
+    const result = await mergeGameCluster(channel, from, into, user.login);
+    await say(channel, result
+      ? `@${user.displayName} merged ${result.merged} picks into ${result.title}.`
+      : `@${user.displayName} no picks match "${from}".`);
+  },
+
+  // !subday split <user or #pick> [> <title>]
+  split: async (channel, user, args) => {
+    const [target, into] = args.join(' ').split('>').map(part => part.trim());
+    if (!target) {
+      await say(channel, `@${user.displayName} usage: !subday split <user or #pick> [> <title>]`);
+      return;
+    }
+    const id = /^#(\d+)$/.exec(target);
+    const row = id
+      ? await getCommandById(Number(id[1]))
+      : await getCommandForUser(channel, target.replace(/^@/, ''));
+    if (!row || row.channel !== channel) {
+      await say(channel, `@${user.displayName} ${target} has no pick.`);
+      return;
+    }
+    const result = await splitGameSubmissions([row], into || null, user.login);
+    await say(channel, `@${user.displayName} moved ${row.display_name || row.name}'s pick ${result.title ? `to ${result.title}` : 'to its own group'}.`);
+  },
+
+  // !subday status
+  status: async (channel, user) => {
+    await say(channel, `@${user.displayName} submissions are ${describeSubmissionWindow(getSubmissionWindow(channel))}.`);
+  },
+};
+
+export function isSubdayCommand(msg) {
+  return /^!subday(\s|$)/i.test(msg.trim());
+}
+
+// Run a !subday command. permissions is { isBroadcaster, isMod }.
+export async function handleSubdayCommand(channel, user, msg, permissions) {
+  if (!permissions.isBroadcaster && !permissions.isMod) {
+    console.log(`* User ${user.login} tried to use !subday but is not a broadcaster or mod`);
+    return;
+  }
+
+  const [, name, ...args] = msg.trim().split(/\s+/);
+  const subcommand = subcommands[name?.toLowerCase()];
+  if (!subcommand) {
+    await say(channel, `@${user.displayName} usage: !subday ${Object.keys(subcommands).join('|')}`);
+    return;
+  }
+
+  try {
+    await subcommand(channel, user, args);
+    console.log(`* Executed !subday ${name} for ${user.login} in ${channel}`);
+  } catch (error) {
+    console.error(`Error running !subday ${name} in ${channel}:`, error);
+    await say(channel, `@${user.displayName} !subday ${name} failed, check the bot logs.`);
+  }
+}
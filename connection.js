@@ -0,0 +1,208 @@
+// Twitch chat connection. Every connect builds a new tmi client from freshly
+// loaded credentials, so a refreshed token or another active account is picked
+// up without restarting; the previous client is dropped together with its
+// listeners. Failed connects and dropped connections are retried for as long
+// as it takes, with exponential backoff and jitter.
+//
+// RECONNECT_MIN_DELAY: seconds before the first retry (default 2)
+// RECONNECT_MAX_DELAY: longest wait between two retries in seconds (default 300)
+import tmi from "tmi.js";
+import { getValidToken, TokenRevokedError } from "./auth.js";
+import { setChatClient } from "./chat.js";
+
+// tmi reconnects by itself, even with reconnecting turned off when Twitch
+// sends RECONNECT. Leave all of that to the supervisor, which can refresh the
+// token first.
+export class SupervisedClient extends tmi.client {
+  constructor(opts) {
+    super({ ...opts, connection: { ...opts.connection, reconnect: false } });
+  }
+
+  handleMessage(message) {
+    if (message?.command === 'RECONNECT') {
+      console.log('[CONNECTION] Twitch asked us to reconnect');
+      this.disconnect().catch(() => {});
+      return;
+    }
+    super.handleMessage(message);
+  }
+}
+
+// stopped, connecting, connected, retrying (waiting for the next attempt) or
+// needs_auth (no usable token until someone authorizes the bot again)
+let state = 'stopped';
+let createClient = null; // (tokenData) => tmi client with the chat handlers attached
+let current = null; // { client, username, accessToken }
+let attempt = 0; // failed attempts since the last successful connect
+let retryTimer = null;
+let nextRetryAt = null;
+let lastError = null;
+let forceRefresh = false; // Twitch refused the login, so refresh the token before retrying
+let generation = 0; // bumped on every (re)connect, so stale attempts give up
+
+function getSeconds(name, fallbackSeconds) {
+  const seconds = Number(process.env[name]);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : fallbackSeconds) * 1000;
+}
+
+// Exponential backoff with jitter: somewhere between half and all of
+// min * 2^attempt, capped at the max, so many bots don't all retry in step
+export function getRetryDelay(attempt) {
+  const ceiling = Math.min(getSeconds('RECONNECT_MAX_DELAY', 300), getSeconds('RECONNECT_MIN_DELAY', 2) * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Drop a client: no more events from it, and its connection is closed
+function retire(entry) {
+  if (!entry) return;
+  entry.client.removeAllListeners();
+  if (entry.client.readyState() !== 'CLOSED') {
+    entry.client.disconnect().catch(() => {});
+  }
+}
+
+function scheduleRetry() {
+  if (retryTimer || state === 'stopped') return;
+  const delay = getRetryDelay(attempt);
+  attempt++;
+  state = 'retrying';
+  nextRetryAt = new Date(Date.now() + delay);
+  console.log(`[CONNECTION] Reconnecting in ${Math.ceil(delay / 1000)} seconds (attempt ${attempt})`);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    nextRetryAt = null;
+    connect();
+  }, delay);
+}
+
+async function connect() {
+  const run = ++generation;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  nextRetryAt = null;
+  retire(current);
+  current = null;
+  state = 'connecting';
+
+  let tokenData;
+  try {
+    const refresh = forceRefresh;
+    forceRefresh = false;
+    tokenData = await getValidToken({ forceRefresh: refresh });
+  } catch (error) {
+    if (run !== generation) return;
+    lastError = error.message;
+    if (error instanceof TokenRevokedError) {
+      // Retrying won't help; a new token arrives through reloadCredentials()
+      state = 'needs_auth';
+      return;
+    }
+    scheduleRetry();
+    return;
+  }
+  if (run !== generation) return;
+  if (!tokenData) {
+    lastError = 'No authentication token found';
+    state = 'needs_auth';
+    return;
+  }
+
+  const client = createClient(tokenData);
+  current = { client, username: tokenData.username, accessToken: tokenData.access_token };
+
+  client.on('connected', (addr, port) => {
+    console.log(`[CONNECTION] Connected to ${addr}:${port} as ${tokenData.username}`);
+    state = 'connected';
+    attempt = 0;
+    lastError = null;
+  });
+  client.on('disconnected', reason => {
+    // tmi reports a failed connect twice, once for the error and once for the close
+    if (state === 'retrying') return;
+    lastError = reason || 'Connection lost';
+    console.log(`[CONNECTION] Disconnected: ${lastError}`);
+    if (/login (authentication failed|unsuccessful)/i.test(reason || '')) {
+      forceRefresh = true;
+    }
+    scheduleRetry();
+  });
+
+  console.log(`[CONNECTION] Connecting to Twitch as ${tokenData.username}...`);
+  // A failed connect also emits "disconnected", which schedules the retry
+  client.connect().catch(() => {});
+}
+
+// Connect and stay connected. createClient(tokenData) returns a new tmi client
+// (a SupervisedClient) with the chat handlers attached.
+export function startConnection(clientFactory) {
+  createClient = clientFactory;
+  attempt = 0;
+  connect();
+}
+
+export async function stopConnection() {
+  generation++;
+  state = 'stopped';
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  nextRetryAt = null;
+  const entry = current;
+  current = null;
+  if (entry) {
+    entry.client.removeAllListeners();
+    await entry.client.disconnect().catch(() => {});
+  }
+}
+
+// Start over with the stored credentials right away
+export function reconnectNow(reason) {
+  if (state === 'stopped') return;
+  console.log(`[CONNECTION] Reconnecting: ${reason}`);
+  attempt = 0;
+  connect();
+}
+
+// Hand the running bot the active account's current token. A refreshed token
+// for the same account only replaces the credentials used for whispers; the
+// chat connection is already logged in. Another account, or a token after
+// authorizing again, means reconnecting.
+export async function updateCredentials(tokenData) {
+  if (state === 'stopped' || state === 'connecting') return;
+
+  if (current && current.username === tokenData.username) {
+    if (current.accessToken !== tokenData.access_token) {
+      current.accessToken = tokenData.access_token;
+      setChatClient(current.client, { accessToken: tokenData.access_token, username: tokenData.username });
+    }
+    return;
+  }
+
+  if (state === 'retrying') return; // the next attempt picks it up
+  reconnectNow(current ? `active account is now ${tokenData.username}` : `new token for ${tokenData.username}`);
+}
+
+// Load the stored token and hand it to the bot, after it was saved or the
+// active account was switched
+export async function reloadCredentials() {
+  if (state === 'stopped') return;
+  try {
+    const tokenData = await getValidToken();
+    if (tokenData) {
+      await updateCredentials(tokenData);
+    }
+  } catch (error) {
+    console.error('[CONNECTION] Error reloading credentials:', error.message);
+  }
+}
+
+// Connection state for /health, /auth/status and the dashboard
+export function getConnectionStatus() {
+  return {
+    state,
+    username: current?.username || null,
+    ready_state: current ? current.client.readyState() : null,
+    failed_attempts: attempt,
+    next_retry_at: nextRetryAt,
+    last_error: lastError,
+  };
+}
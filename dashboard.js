@@ -0,0 +1,293 @@
+// Streamer dashboard for running a subday: submissions grouped by tier, with
+// buttons to mark them picked/played/skipped. Login goes through Twitch OAuth.
+import express from "express";
+import crypto from "crypto";
+import { getAllCommands, getCommandById, getVoteTotals, updateCommand, countCommandsByChannel, SUBMISSION_STATUSES } from "./db.js";
+import { normalizeChannel, getConfiguredChannels } from "./channels.js";
+import { cacheCommandRow } from "./cache.js";
+import { escapeHtml } from "./html.js";
+import { getGameClusters } from "./games.js";
+
+const SESSION_COOKIE = 'subdays_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+const sessions = new Map(); // session ID -> { login, csrfToken, createdAt }
+
+// DASHBOARD_LOGINS manage every channel
+function isDashboardAdmin(login) {
+  return (process.env.DASHBOARD_LOGINS || '').split(',')
+    .some(admin => admin.trim() && admin.trim().toLowerCase() === String(login).toLowerCase());
+}
+
+// Broadcasters of the configured channels plus DASHBOARD_LOGINS may log in
+export function isDashboardLogin(login) {
+  return isDashboardAdmin(login) || getConfiguredChannels().includes(String(login).toLowerCase());
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Malformed escapes in someone else's cookie; skip it
+    }
+  }
+  return cookies;
+}
+
+function getSession(req) {
+  const sessionId = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  const session = sessionId && sessions.get(sessionId);
+  if (!session) return null;
+  if (Date.now() - session.createdAt > SESSION_TTL) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  return { id: sessionId, ...session };
+}
+
+function setSessionCookie(req, res, value, maxAge) {
+  res.cookie(SESSION_COOKIE, value, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    maxAge,
+  });
+}
+
+// Log a Twitch user into the dashboard after the OAuth callback
+export function startDashboardSession(req, res, login) {
+  // Clean up expired sessions
+  for (const [key, value] of sessions.entries()) {
+    if (Date.now() - value.createdAt > SESSION_TTL) {
+      sessions.delete(key);
+    }
+  }
+
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  sessions.set(sessionId, {
+    login,
+    csrfToken: crypto.randomBytes(32).toString('hex'),
+    createdAt: Date.now(),
+  });
+  setSessionCookie(req, res, sessionId, SESSION_TTL);
+}
+
+function renderPage(title, body) {
+  return `
+    <html>
+      <head>
+        <title>${escapeHtml(title)}</title>
+        <style>
+          body { font-family: sans-serif; margin: 2em; }
+          table { border-collapse: collapse; width: 100%; margin-bottom: 2em; }
+          th, td { border-bottom: 1px solid #ddd; padding: 0.4em; text-align: left; vertical-align: top; }
+          .status { font-weight: bold; }
+          .status-picked { color: #9146ff; }
+          .status-played { color: #2e7d32; }
+          .status-skipped { color: #888; }
+          tr.done td { opacity: 0.6; }
+          form.inline { display: inline; }
+          nav a { margin-right: 1em; }
+        </style>
+      </head>
+      <body>
+        ${body}
+      </body>
+    </html>
+  `;
+}
+
+function renderLogin() {
+  return renderPage('Subday dashboard', `
+    <h1>Subday dashboard</h1>
+    <p><a href="/dashboard/login">Log in with Twitch</a></p>
+  `);
+}
+
+function renderBotStatus(botState, authStatus) {
+  const auth = authStatus.authenticated
+    ? `Authenticated as <strong>${escapeHtml(authStatus.username)}</strong>,
+       token ${authStatus.is_expired ? '<strong>expired</strong>' : `valid until ${escapeHtml(new Date(authStatus.expires_at).toLocaleString())}`}`
+    : `Not authenticated. ${escapeHtml(authStatus.message || authStatus.error || '')} <a href="/auth/twitch">Authorize the bot</a>`;
+  return `
+    <h2>Bot</h2>
+    <p>State: <strong>${escapeHtml(botState)}</strong></p>
+    <p>${auth}</p>
+  `;
+}
+
+function renderSubmissionRow(row, csrfToken, channel, votes) {
+  const buttons = SUBMISSION_STATUSES
+    .filter(status => status !== row.status)
+    .map(status => `
+      <form class="inline" method="post" action="/dashboard/submissions/${row.id}/status">
+        <input type="hidden" name="csrf" value="${csrfToken}">
+        <input type="hidden" name="channel" value="${escapeHtml(channel)}">
+        <button name="status" value="${status}">${status === 'pending' ? 'reset' : status}</button>
+      </form>
+    `).join('');
+  return `
+    <tr class="${row.status === 'pending' ? '' : 'done'}">
+      <td>#${row.id}</td>
+      <td>${escapeHtml(row.display_name || row.name)}${row.slot > 1 ? ` (slot ${row.slot})` : ''}</td>
+      <td>${escapeHtml(row.message)}</td>
+      <td>${votes.get(row.id) || 0}</td>
+      <td class="status status-${row.status}">${escapeHtml(row.status)}</td>
+      <td>${escapeHtml(new Date(row.updated_at).toLocaleString())}</td>
+      <td>${buttons}</td>
+    </tr>
+  `;
+}
+
+function renderTierGroup(tier, rows, csrfToken, channel, votes) {
+  const pending = rows.filter(row => row.status === 'pending').length;
+  return `
+    <h3>Tier ${tier} (${rows.length} submissions, ${pending} pending)</h3>
+    <table>
+      <tr><th>#</th><th>User</th><th>Submission</th><th>Votes</th><th>Status</th><th>Updated</th><th></th></tr>
+      ${rows.map(row => renderSubmissionRow(row, csrfToken, channel, votes)).join('')}
+    </table>
+  `;
+}
+
+// Submissions grouped by game, so duplicates are visible at a glance
+function renderGameGroups(clusters) {
+  const groups = clusters.filter(cluster => cluster.count > 1);
+  if (!groups.length) return '';
+  return `
+    <h2>Games picked more than once</h2>
+    <table>
+      <tr><th>Game</th><th>Picks</th><th>Submitted by</th></tr>
+      ${groups.map(cluster => `
+        <tr>
+          <td>${escapeHtml(cluster.title)}${cluster.gameId ? '' : ' <em>(not in catalog)</em>'}</td>
+          <td>${cluster.count}</td>
+          <td>${cluster.submissions.map(row => escapeHtml(row.display_name || row.name)).join(', ')}</td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+// Channels a login may manage: a broadcaster only their own, admins the
+// configured ones plus any that have stored submissions
+async function getDashboardChannels(login) {
+  login = String(login).toLowerCase();
+  if (!isDashboardAdmin(login)) {
+    return getConfiguredChannels().includes(login) ? [login] : [];
+  }
+  const channels = new Set(getConfiguredChannels());
+  for (const { channel } of await countCommandsByChannel()) {
+    channels.add(channel);
+  }
+  return [...channels];
+}
+
+function renderForbidden() {
+  return renderPage('Forbidden', '<h1>Forbidden</h1><p><a href="/dashboard">Back to the dashboard</a></p>');
+}
+
+// Routes mounted under /dashboard.
+// getBotState() returns the bot state (see lifecycle.js), getAuthStatus() the /auth/status payload.
+export function createDashboardRouter({ getBotState, getAuthStatus }) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  router.get("/", async (req, res) => {
+    try {
+      const session = getSession(req);
+      if (!session) {
+        return res.send(renderLogin());
+      }
+
+      const channels = await getDashboardChannels(session.login);
+      const channel = normalizeChannel(req.query.channel) || channels[0] || '';
+      if (channel && !channels.includes(channel)) {
+        return res.status(403).send(renderForbidden());
+      }
+      const rows = channel ? await getAllCommands(channel) : [];
+      const clusters = channel ? await getGameClusters(channel) : [];
+      const votes = new Map((channel ? await getVoteTotals(channel) : []).map(total => [total.submission_id, total.votes]));
+      rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+      const tiers = ['3', '2', '1']
+        .map(tier => ({ tier, rows: rows.filter(row => row.tier === tier) }))
+        .filter(group => group.rows.length > 0);
+
+      res.send(renderPage(`Subday dashboard - ${channel}`, `
+        <h1>Subday dashboard</h1>
+        <p>
+          Logged in as <strong>${escapeHtml(session.login)}</strong>
+          <form class="inline" method="post" action="/dashboard/logout">
+            <input type="hidden" name="csrf" value="${session.csrfToken}">
+            <button>Log out</button>
+          </form>
+        </p>
+        ${renderBotStatus(getBotState(), await getAuthStatus())}
+        <nav>
+          ${channels.map(c => `<a href="/dashboard?channel=${encodeURIComponent(c)}">${c === channel ? `<strong>${escapeHtml(c)}</strong>` : escapeHtml(c)}</a>`).join('')}
+        </nav>
+        ${renderGameGroups(clusters)}
+        <h2>Submissions in ${escapeHtml(channel)} (${rows.length})</h2>
+        ${tiers.length
+          ? tiers.map(group => renderTierGroup(group.tier, group.rows, session.csrfToken, channel, votes)).join('')
+          : '<p>No submissions yet.</p>'}
+      `));
+    } catch (error) {
+      console.error('Dashboard error:', error);
+      res.status(500).send(renderPage('Dashboard error', `
+        <h1>Dashboard error</h1>
+        <p>${escapeHtml(error.message)}</p>
+      `));
+    }
+  });
+
+  // Mark a submission picked/played/skipped (or back to pending)
+  router.post("/submissions/:id/status", async (req, res) => {
+    try {
+      const session = getSession(req);
+      if (!session || req.body.csrf !== session.csrfToken) {
+        return res.status(403).send(renderForbidden());
+      }
+
+      const id = Number(req.params.id);
+      const status = req.body.status;
+      if (!Number.isInteger(id) || !SUBMISSION_STATUSES.includes(status)) {
+        return res.status(400).send(renderPage('Bad request', '<h1>Bad request</h1><p><a href="/dashboard">Back to the dashboard</a></p>'));
+      }
+
+      const current = await getCommandById(id);
+      if (current && !(await getDashboardChannels(session.login)).includes(current.channel)) {
+        return res.status(403).send(renderForbidden());
+      }
+      const row = current && await updateCommand(id, { status });
+      if (row) {
+        cacheCommandRow(row);
+        console.log(`[DASHBOARD] ${session.login} marked ${row.name}'s submission in ${row.channel} as ${status}`);
+      }
+      res.redirect(`/dashboard?channel=${encodeURIComponent(row?.channel || req.body.channel || '')}`);
+    } catch (error) {
+      console.error('Dashboard error:', error);
+      res.status(500).send(renderPage('Dashboard error', `
+        <h1>Dashboard error</h1>
+        <p>${escapeHtml(error.message)}</p>
+      `));
+    }
+  });
+
+  router.post("/logout", (req, res) => {
+    const session = getSession(req);
+    if (session && req.body.csrf === session.csrfToken) {
+      sessions.delete(session.id);
+    }
+    setSessionCookie(req, res, '', 0);
+    res.redirect('/dashboard');
+  });
+
+  return router;
+}
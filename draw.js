@@ -0,0 +1,103 @@
+// Tier-weighted random draw over the pending submissions of a channel.
+// Draws are seeded, and the seed, weights and candidate list are stored with
+// the result, so anyone can rerun chooseWeighted() and get the same winner.
+import crypto from "crypto";
+import { drawPendingCommand } from "./db.js";
+import { cacheCommandRow } from "./cache.js";
+import { say } from "./chat.js";
+import { notifyChannelChanged } from "./events.js";
+import { emitWebhookEvent } from "./webhooks.js";
+
+const DEFAULT_TIER_WEIGHTS = { '1': 1, '2': 2, '3': 3 };
+
+// Weights per tier from DRAW_TIER_WEIGHTS, e.g. "1:1,2:2,3:4"
+export function getTierWeights() {
+  const weights = { ...DEFAULT_TIER_WEIGHTS };
+  for (const pair of (process.env.DRAW_TIER_WEIGHTS || '').split(',')) {
+    const [tier, weight] = pair.split(':').map(part => part?.trim());
+    if (!tier || weight === undefined) continue;
+    const value = Number(weight);
+    if (!(tier in weights) || !Number.isFinite(value) || value < 0) {
+      console.warn(`Ignoring invalid DRAW_TIER_WEIGHTS entry: ${pair}`);
+      continue;
+    }
+    weights[tier] = value;
+  }
+  return weights;
+}
+
+// Deterministic random number generator (mulberry32) seeded from a string
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Pick one row, weighted by tier. With useVotes, each row's tier weight is
+// multiplied by 1 + its vote total, so voted picks are likelier but every pick
+// keeps a chance. Rows must be in a stable order (by ID).
+// Returns { row, seed, weights, candidates, useVotes } or null if no row has a positive weight.
+export function chooseWeighted(rows, seed, weights, { useVotes = false } = {}) {
+  const candidates = rows
+    .map(row => useVotes
+      ? { id: row.id, tier: row.tier, votes: row.votes || 0, weight: (weights[row.tier] ?? 0) * (1 + (row.votes || 0)) }
+      : { id: row.id, tier: row.tier, weight: weights[row.tier] ?? 0 })
+    .filter(candidate => candidate.weight > 0);
+  const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  let target = createRandom(seed)() * total;
+  let winner = candidates[candidates.length - 1];
+  for (const candidate of candidates) {
+    target -= candidate.weight;
+    if (target < 0) {
+      winner = candidate;
+      break;
+    }
+  }
+
+  return {
+    row: rows.find(row => row.id === winner.id),
+    seed,
+    weights,
+    candidates,
+    useVotes,
+  };
+}
+
+export function formatDrawAnnouncement(draw) {
+  const candidates = Array.isArray(draw.candidates) ? draw.candidates.length : 0;
+  return `Subday draw: ${draw.name}'s pick "${draw.message}" wins! (tier ${draw.tier}, ${candidates} ${candidates === 1 ? 'entry' : 'entries'}${draw.use_votes ? ', weighted by votes' : ''}, seed ${draw.seed})`;
+}
+
+// Draw a pending submission in a channel, record it and announce it in chat.
+// useVotes weights the draw by viewer votes as well as tier.
+// Returns the stored draw, or null if there was nothing to draw.
+export async function runDraw(channel, { seed, drawnBy, useVotes = false } = {}) {
+  // 0 is a valid seed too
+  const hasSeed = seed !== undefined && seed !== null && seed !== '';
+  const drawSeed = hasSeed ? String(seed) : crypto.randomBytes(8).toString('hex');
+  const weights = getTierWeights();
+  const result = await drawPendingCommand(
+    channel,
+    rows => chooseWeighted(rows, drawSeed, weights, { useVotes }),
+    drawnBy || null
+  );
+  if (!result) {
+    console.log(`[DRAW] Nothing to draw in ${channel}`);
+    return null;
+  }
+
+  cacheCommandRow(result.command);
+  notifyChannelChanged(channel, 'draw');
+  await emitWebhookEvent(channel, 'draw.completed', result.draw);
+  console.log(`[DRAW] ${drawnBy || 'unknown'} drew ${result.draw.name} in ${channel} (seed ${drawSeed})`);
+  await say(channel, formatDrawAnnouncement(result.draw));
+  return result.draw;
+}
@@ -0,0 +1,18 @@
+// Change notifications for live views such as the overlay. Writes call
+// notifyChannelChanged(); listeners reload whatever they show.
+import { EventEmitter } from "events";
+
+const channelEvents = new EventEmitter();
+channelEvents.setMaxListeners(0); // One listener per connected overlay
+
+// reason is a short label for logging, e.g. "submission", "draw" or "vote"
+export function notifyChannelChanged(channel, reason) {
+  channelEvents.emit('changed', channel, reason);
+}
+
+// Call listener(channel, reason) on every change. Returns a function that
+// removes the listener.
+export function onChannelChanged(listener) {
+  channelEvents.on('changed', listener);
+  return () => channelEvents.off('changed', listener);
+}
@@ -0,0 +1,187 @@
+// A tmi client that never connects, for tests and chat replays. Chat arrives
+// as raw IRC lines through receive(), which runs them through tmi's own parsing
+// (tags, badges, USERNOTICE events) and waits for the handlers to finish.
+// Everything the bot sends is kept in `sent` instead of going to Twitch.
+import tmi from "tmi.js";
+import { normalizeChannel } from "./channels.js";
+
+// Short badge names for chat scripts
+const BADGE_NAMES = {
+  sub: 'subscriber',
+  mod: 'moderator',
+};
+
+const SUB_PLANS = ['Prime', '1000', '2000', '3000'];
+
+export class FakeChatClient extends tmi.client {
+  constructor({ username = 'subdaybot', channels = [] } = {}) {
+    super({ identity: { username }, channels, options: { skipUpdatingEmotesets: true } });
+    this.username = username;
+    this.sent = []; // { channel, message, replyTo }
+    this.pending = [];
+  }
+
+  readyState() {
+    return 'OPEN';
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  async say(channel, message) {
+    this.sent.push({ channel: normalizeChannel(channel), message, replyTo: null });
+  }
+
+  // chat.js sends threaded replies as raw PRIVMSGs
+  async raw(command) {
+    const reply = /^@reply-parent-msg-id=(\S+) PRIVMSG #(\S+) :(.*)$/s.exec(command);
+    this.sent.push(reply
+      ? { channel: reply[2], message: reply[3], replyTo: reply[1] }
+      : { channel: null, message: command, replyTo: null });
+  }
+
+  // Keep the promises of async handlers, so receive() can wait for them
+  emit(type, ...args) {
+    const listeners = this.listeners(type);
+    for (const listener of listeners) {
+      const result = listener.apply(this, args);
+      if (result instanceof Promise) this.pending.push(result);
+    }
+    return listeners.length > 0;
+  }
+
+  // Feed raw IRC lines to the client as if Twitch had sent them, and wait
+  // until every handler is done
+  async receive(...lines) {
+    for (const line of lines.flat()) {
+      this._onMessage({ data: line });
+      while (this.pending.length) {
+        await Promise.all(this.pending.splice(0));
+      }
+    }
+  }
+}
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\:').replace(/ /g, '\\s').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+function formatTags(tags) {
+  return '@' + Object.entries(tags)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${escapeTag(value)}`)
+    .join(';');
+}
+
+let messageCount = 0;
+
+// Raw IRC PRIVMSG as Twitch sends it. badges is a list such as
+// ['subscriber/3012', 'moderator/1']; the subscriber and mod tags follow from it.
+export function formatChatLine({ channel, login, userId, displayName = login, badges = [], message, id = `msg-${++messageCount}`, tags = {} }) {
+  const subscriberBadge = badges.find(badge => /^(subscriber|founder)\//.test(badge));
+  return `${formatTags({
+    'badge-info': subscriberBadge ? `subscriber/${Number(subscriberBadge.split('/')[1]) % 1000 || 1}` : '',
+    badges: badges.join(','),
+    'display-name': displayName,
+    id,
+    mod: badges.some(badge => badge.startsWith('moderator/')) ? '1' : '0',
+    subscriber: subscriberBadge ? '1' : '0',
+    'user-id': userId,
+    ...tags,
+  })} :${login}!${login}@${login}.tmi.twitch.tv PRIVMSG #${normalizeChannel(channel)} :${message}`;
+}
+
+// Raw USERNOTICE for a subscription event. type is "sub", "resub" or "subgift";
+// plan is Prime, 1000, 2000 or 3000. Gifts go to recipient { login, userId }.
+export function formatSubscriptionLine({ channel, login, userId, type = 'sub', plan, recipient = null, message = '' }) {
+  const tags = {
+    badges: '',
+    'display-name': login,
+    id: `msg-${++messageCount}`,
+    login,
+    'msg-id': type,
+    'msg-param-sub-plan': plan,
+    'msg-param-cumulative-months': '1',
+    'user-id': userId,
+  };
+  if (recipient) {
+    tags['msg-param-recipient-id'] = recipient.userId;
+    tags['msg-param-recipient-user-name'] = recipient.login;
+    tags['msg-param-recipient-display-name'] = recipient.login;
+  }
+  return `${formatTags(tags)} :tmi.twitch.tv USERNOTICE #${normalizeChannel(channel)}${message ? ` :${message}` : ''}`;
+}
+
+// Turn a chat script into raw IRC lines: [{ line, text, raw }].
+//
+//   # comment
+//   channel somechannel                 messages below go to #somechannel
+//   alice sub/3012: %Elden Ring         a chat message; badges before the colon as
+//   modname mod id=42: !subday close    name/version (version 1 if left out, sub and
+//                                       mod for subscriber and moderator); id= sets
+//                                       the user ID (one per login otherwise)
+//   sub alice 2000                      subscription event: sub|resub <login> <plan>
+//   @badges=...;user-id=1 :bob!bob@...  raw IRC lines, e.g. recorded from chat, as is
+export function parseChatScript(text, { channel = null } = {}) {
+  const userIds = new Map();
+  const userId = login => {
+    if (!userIds.has(login)) userIds.set(login, String(1000 + userIds.size + 1));
+    return userIds.get(login);
+  };
+  const needChannel = line => {
+    if (!channel) throw new Error(`Line ${line}: no channel yet, add a "channel <name>" line first`);
+    return channel;
+  };
+
+  const lines = [];
+  text.split(/\r?\n/).forEach((source, index) => {
+    const line = index + 1;
+    const trimmed = source.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    if (trimmed.startsWith('@') || trimmed.startsWith(':')) {
+      lines.push({ line, text: trimmed, raw: trimmed });
+      return;
+    }
+
+    const directive = /^channel\s+(\S+)$/i.exec(trimmed);
+    if (directive) {
+      channel = normalizeChannel(directive[1]);
+      return;
+    }
+
+    const subscription = /^(sub|resub)\s+(\S+)\s+(\S+)$/i.exec(trimmed);
+    if (subscription) {
+      const [, type, login, plan] = subscription;
+      if (!SUB_PLANS.includes(plan)) {
+        throw new Error(`Line ${line}: unknown plan "${plan}", expected one of ${SUB_PLANS.join(', ')}`);
+      }
+      const name = login.toLowerCase();
+      lines.push({ line, text: trimmed, raw: formatSubscriptionLine({ channel: needChannel(line), login: name, userId: userId(name), type: type.toLowerCase(), plan }) });
+      return;
+    }
+
+    const chat = /^([^\s:]+)((?:\s+[^\s:]+)*)\s*:\s?(.*)$/.exec(trimmed);
+    if (!chat) {
+      throw new Error(`Line ${line}: expected "<login> [badges]: <message>", got "${trimmed}"`);
+    }
+    const [, login, badgeText, message] = chat;
+    const name = login.toLowerCase();
+    const badges = [];
+    for (const token of badgeText.trim().split(/\s+/).filter(Boolean)) {
+      if (token.startsWith('id=')) {
+        userIds.set(name, token.slice(3));
+      } else {
+        const [badge, version = '1'] = token.split('/');
+        badges.push(`${BADGE_NAMES[badge] || badge}/${version}`);
+      }
+    }
+    lines.push({
+      line,
+      text: trimmed,
+      raw: formatChatLine({ channel: needChannel(line), login: name, displayName: login, userId: userId(name), badges, message }),
+    });
+  });
+  return lines;
+}
@@ -0,0 +1,70 @@
+// Chat feedback for % submissions: tell subs whether their pick was saved,
+// updated or rejected, without flooding chat.
+//
+// FEEDBACK_MODE: off (default), reply (threaded reply to the % message) or whisper
+// FEEDBACK_USER_COOLDOWN: seconds between two messages to the same user (default 30)
+// FEEDBACK_CHANNEL_COOLDOWN: seconds between two messages in the same channel (default 3)
+import { reply, whisper } from "./chat.js";
+
+const FEEDBACK_MODES = ['off', 'reply', 'whisper'];
+
+const lastUserFeedback = new Map(); // "channel:userId" -> timestamp
+const lastChannelFeedback = new Map(); // channel -> timestamp
+
+export function getFeedbackMode() {
+  const mode = (process.env.FEEDBACK_MODE || 'off').toLowerCase();
+  return FEEDBACK_MODES.includes(mode) ? mode : 'off';
+}
+
+function getCooldown(name, fallbackSeconds) {
+  const seconds = Number(process.env[name]);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : fallbackSeconds) * 1000;
+}
+
+// Check and start the per-user and per-channel cooldowns
+function takeCooldown(channel, userId) {
+  const now = Date.now();
+  const userKey = `${channel}:${userId}`;
+  if (now - (lastUserFeedback.get(userKey) || 0) < getCooldown('FEEDBACK_USER_COOLDOWN', 30)) {
+    return false;
+  }
+  if (now - (lastChannelFeedback.get(channel) || 0) < getCooldown('FEEDBACK_CHANNEL_COOLDOWN', 3)) {
+    return false;
+  }
+  lastUserFeedback.set(userKey, now);
+  lastChannelFeedback.set(channel, now);
+
+  // Forget users whose cooldown is long over
+  if (lastUserFeedback.size > 1000) {
+    for (const [key, timestamp] of lastUserFeedback.entries()) {
+      if (now - timestamp > 10 * 60 * 1000) {
+        lastUserFeedback.delete(key);
+      }
+    }
+  }
+  return true;
+}
+
+// Tell a user about their submission or vote. outcome is "saved", "updated",
+// "rejected", "vote" or "slots".
+// user is { userId, login, displayName }, parentMsgId the id tag of their message.
+// Pass { always: true } for notices that are sent even when FEEDBACK_MODE is off
+// (as a reply).
+export async function sendSubmissionFeedback(channel, user, parentMsgId, outcome, message, { always = false } = {}) {
+  let mode = getFeedbackMode();
+  if (mode === 'off') {
+    if (!always) return false;
+    mode = 'reply';
+  }
+
+  if (!takeCooldown(channel, user.userId)) {
+    console.log(`[FEEDBACK] Cooldown, not telling ${user.login} in ${channel}: ${outcome}`);
+    return false;
+  }
+
+  console.log(`[FEEDBACK] ${outcome} -> ${user.login} in ${channel} (${mode})`);
+  if (mode === 'whisper' && user.userId) {
+    return whisper(user.userId, `[#${channel}] ${message}`);
+  }
+  return reply(channel, parentMsgId, `@${user.displayName} ${message}`);
+}
@@ -0,0 +1,307 @@
+// Game catalog and grouping: submissions that name the same game ("%elden ring",
+// "% Elden Ring!!", "%eldenring") are matched to a title of the catalog, or
+// grouped with similar submissions when the game is not in the catalog yet.
+// Mods merge groups (adding aliases to the catalog) or split submissions out.
+import {
+  getAllCommands, getGameCatalog, insertCatalogGame, upsertGameAlias,
+  deleteCatalogGame, mergeCatalogGames, setCommandGame,
+} from "./db.js";
+
+const games = new Map(); // game ID -> { id, title, key }
+const keys = new Map(); // normalized key (title or alias) -> game ID
+
+// Comparison key: no accents, case, punctuation or spaces, so "% Elden Ring!!"
+// and "eldenring" share the key "eldenring"
+export function normalizeGameKey(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// How many typos are tolerated for a key of this length
+function maxDistance(key) {
+  if (key.length < 5) return 0;
+  if (key.length < 10) return 1;
+  if (key.length < 16) return 2;
+  return 3;
+}
+
+// Levenshtein distance, giving up once it is over max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Closest of the candidate keys within the typo tolerance, or null
+function findClosestKey(key, candidates) {
+  const max = maxDistance(key);
+  let best = null;
+  let bestDistance = max + 1;
+  for (const candidate of candidates) {
+    const allowed = Math.min(max, maxDistance(candidate));
+    const distance = editDistance(key, candidate, allowed);
+    if (distance <= allowed && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Load the catalog into memory
+export async function loadGameCatalog() {
+  try {
+    const catalog = await getGameCatalog();
+    games.clear();
+    keys.clear();
+    for (const game of catalog) {
+      games.set(game.id, { id: game.id, title: game.title, key: game.key });
+      keys.set(game.key, game.id);
+      for (const alias of game.aliases) {
+        keys.set(alias, game.id);
+      }
+    }
+    console.log(`Loaded ${catalog.length} catalog games`);
+  } catch (error) {
+    console.error("Error loading game catalog:", error);
+  }
+}
+
+export function getCatalogGame(id) {
+  return games.get(id) || null;
+}
+
+// Catalog entry matching a submission text, or null
+export function matchGame(text) {
+  const key = normalizeGameKey(text);
+  if (!key) return null;
+  if (keys.has(key)) return games.get(keys.get(key));
+  const closest = findClosestKey(key, keys.keys());
+  return closest ? games.get(keys.get(closest)) : null;
+}
+
+// Match a saved submission against the catalog, unless a mod pinned it.
+// Returns the (possibly updated) row.
+export async function assignSubmissionGame(row) {
+  if (row.game_pinned) return row;
+  const gameId = matchGame(row.message)?.id ?? null;
+  if (gameId === row.game_id) return row;
+  return await setCommandGame(row.id, gameId) || row;
+}
+
+// Match every unpinned submission again, after the catalog changed
+export async function rematchSubmissions(channel = null) {
+  let changed = 0;
+  for (const row of await getAllCommands(channel)) {
+    const updated = await assignSubmissionGame(row);
+    if (updated.game_id !== row.game_id) changed++;
+  }
+  if (changed) console.log(`[GAMES] Re-matched ${changed} submissions`);
+  return changed;
+}
+
+async function addGame(title, aliases, addedBy) {
+  const game = await insertCatalogGame(title.trim(), normalizeGameKey(title), addedBy);
+  games.set(game.id, { id: game.id, title: game.title, key: game.key });
+  keys.set(game.key, game.id);
+  let aliasCount = 0;
+  for (const alias of aliases) {
+    const key = normalizeGameKey(alias);
+    if (!key || keys.get(key) === game.id) continue;
+    await upsertGameAlias(key, game.id, addedBy);
+    keys.set(key, game.id);
+    aliasCount++;
+  }
+  return { game, aliasCount };
+}
+
+// Catalog entry whose title or alias has exactly this key, added if missing
+async function findOrAddGame(title, addedBy) {
+  const key = normalizeGameKey(title);
+  if (!key) {
+    throw new Error('Title must contain letters or digits');
+  }
+  if (keys.has(key)) return games.get(keys.get(key));
+  return (await addGame(title, [], addedBy)).game;
+}
+
+// Add a title (with optional aliases) to the catalog and re-match submissions
+export async function addCatalogGame(title, aliases = [], addedBy = null) {
+  if (!normalizeGameKey(title)) {
+    throw new Error('Title must contain letters or digits');
+  }
+  const { game } = await addGame(title, aliases, addedBy);
+  await rematchSubmissions();
+  return { ...getCatalogGame(game.id), created: game.created };
+}
+
+export async function removeCatalogGame(id) {
+  const removed = await deleteCatalogGame(id);
+  if (removed) {
+    await loadGameCatalog();
+    await rematchSubmissions();
+  }
+  return removed;
+}
+
+// Parse a catalog file: a JSON array of titles or { title, aliases } objects,
+// or plain text with one title per line and aliases after "|"
+// ("Elden Ring | elden | er"). Blank lines and lines starting with # are skipped.
+export function parseCatalogFile(content) {
+  const text = String(content).trim();
+  if (text.startsWith('[')) {
+    return JSON.parse(text).map(entry => typeof entry === 'string'
+      ? { title: entry, aliases: [] }
+      : { title: String(entry.title || ''), aliases: (entry.aliases || []).map(String) });
+  }
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const [title, ...aliases] = line.split('|').map(part => part.trim());
+      return { title, aliases: aliases.filter(Boolean) };
+    });
+}
+
+// Import parsed catalog entries. Returns how many titles and aliases were added.
+export async function importGameCatalog(entries, addedBy = 'import') {
+  let added = 0;
+  let aliases = 0;
+  let skipped = 0;
+  for (const entry of entries) {
+    if (!normalizeGameKey(entry.title)) {
+      skipped++;
+      continue;
+    }
+    const result = await addGame(entry.title, entry.aliases || [], addedBy);
+    if (result.game.created) added++;
+    aliases += result.aliasCount;
+  }
+  const rematched = await rematchSubmissions();
+  console.log(`[GAMES] Imported ${added} titles and ${aliases} aliases (${skipped} skipped)`);
+  return { added, aliases, skipped, rematched };
+}
+
+// Group key of a submission: its catalog title, its own group if a mod split
+// it out, or otherwise its normalized text
+function clusterKey(row) {
+  if (row.game_id) return `game:${row.game_id}`;
+  if (row.game_pinned) return `submission:${row.id}`;
+  return `text:${normalizeGameKey(row.message)}`;
+}
+
+// Most common spelling among a group's submissions
+function mostCommonMessage(rows) {
+  const counts = new Map();
+  for (const row of rows) {
+    const message = row.message.replace(/^%+/, '').trim();
+    counts.set(message, (counts.get(message) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Group the submissions of a channel by game. Submissions that are not in the
+// catalog are grouped with similar spellings. Returns groups sorted by size:
+// [{ key, gameId, title, count, submissions }]
+export async function getGameClusters(channel) {
+  const rows = await getAllCommands(channel);
+  rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  const clusters = new Map();
+  for (const row of rows) {
+    let key = clusterKey(row);
+    if (key.startsWith('text:') && !clusters.has(key)) {
+      const textKeys = [...clusters.keys()].filter(k => k.startsWith('text:')).map(k => k.slice(5));
+      const closest = findClosestKey(key.slice(5), textKeys);
+      if (closest) key = `text:${closest}`;
+    }
+    if (!clusters.has(key)) clusters.set(key, []);
+    clusters.get(key).push(row);
+  }
+
+  return [...clusters.entries()]
+    .map(([key, clusterRows]) => {
+      const game = clusterRows[0].game_id ? getCatalogGame(clusterRows[0].game_id) : null;
+      return {
+        key,
+        gameId: clusterRows[0].game_id || null,
+        title: game?.title || mostCommonMessage(clusterRows),
+        count: clusterRows.length,
+        submissions: clusterRows,
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.title.localeCompare(b.title));
+}
+
+// Find the group of a channel that a text or group key refers to
+export async function findGameCluster(channel, keyOrText) {
+  const clusters = await getGameClusters(channel);
+  const byKey = clusters.find(cluster => cluster.key === keyOrText);
+  if (byKey) return byKey;
+  const game = matchGame(keyOrText);
+  if (game) return clusters.find(cluster => cluster.gameId === game.id) || null;
+  const key = normalizeGameKey(keyOrText);
+  return clusters.find(cluster => cluster.key.startsWith('text:')
+    && findClosestKey(key, [cluster.key.slice(5)])) || null;
+}
+
+// Merge a group into a catalog title (added to the catalog if needed). The
+// spellings of the group become aliases, so future submissions match too.
+export async function mergeGameCluster(channel, keyOrText, intoTitle, mergedBy) {
+  const cluster = await findGameCluster(channel, keyOrText);
+  if (!cluster) return null;
+
+  const target = await findOrAddGame(intoTitle, mergedBy);
+
+  if (cluster.gameId && cluster.gameId !== target.id) {
+    await mergeCatalogGames(cluster.gameId, target.id, mergedBy);
+    await loadGameCatalog();
+  } else if (!cluster.gameId) {
+    const spellings = new Set(cluster.submissions.map(row => normalizeGameKey(row.message)).filter(Boolean));
+    for (const key of spellings) {
+      if (keys.get(key) === target.id) continue;
+      await upsertGameAlias(key, target.id, mergedBy);
+      keys.set(key, target.id);
+    }
+  }
+
+  for (const row of cluster.submissions) {
+    if (row.game_id !== target.id) {
+      await setCommandGame(row.id, target.id, row.game_pinned);
+    }
+  }
+  await rematchSubmissions();
+  console.log(`[GAMES] ${mergedBy} merged ${cluster.count} submissions (${cluster.title}) into ${target.title} in ${channel}`);
+  return { title: target.title, gameId: target.id, merged: cluster.count };
+}
+
+// Take submissions out of their group: into a catalog title if one is given,
+// otherwise into a group of their own. They stay there until the user changes
+// their submission.
+export async function splitGameSubmissions(rows, intoTitle = null, splitBy = null) {
+  const target = intoTitle ? await findOrAddGame(intoTitle, splitBy) : null;
+  const updated = [];
+  for (const row of rows) {
+    updated.push(await setCommandGame(row.id, target?.id ?? null, true));
+  }
+  console.log(`[GAMES] ${splitBy} split ${rows.length} submissions${target ? ` into ${target.title}` : ''}`);
+  return { title: target?.title || null, gameId: target?.id || null, submissions: updated };
+}
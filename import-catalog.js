@@ -0,0 +1,24 @@
+import 'dotenv/config';
+import fs from 'fs';
+import { initStorage, closeStorage } from './db.js';
+import { loadGameCatalog, parseCatalogFile, importGameCatalog } from './games.js';
+
+// Import a game catalog file: node import-catalog.js games.txt
+async function main() {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node import-catalog.js <file>');
+        process.exitCode = 1;
+        return;
+    }
+    await initStorage();
+    await loadGameCatalog();
+    const entries = parseCatalogFile(fs.readFileSync(file, 'utf8'));
+    const result = await importGameCatalog(entries, `import:${file}`);
+    console.log(`Imported ${result.added} titles and ${result.aliases} aliases, skipped ${result.skipped}, re-matched ${result.rematched} submissions`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+}).finally(() => closeStorage());
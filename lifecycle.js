@@ -0,0 +1,89 @@
+// Bot lifecycle, as reported by /health, /auth/status and the dashboard:
+//
+//   starting          loading storage and caches
+//   waiting-for-auth  no usable token, because nobody authorized the bot yet or
+//                     Twitch revoked it. Authorizing at /auth/twitch gets the bot
+//                     going without a restart.
+//   connecting        logging in to Twitch chat
+//   connected         in chat
+//   degraded          lost the chat connection or cannot connect, and retrying
+//   stopping          shutting down
+import { getValidToken, TokenRevokedError } from "./auth.js";
+import { startConnection, stopConnection, reloadCredentials, getConnectionStatus } from "./connection.js";
+
+let phase = 'starting'; // starting, running or stopping
+let onAuthenticated = null;
+
+export function getBotState() {
+  if (phase !== 'running') return phase;
+  const { state, failed_attempts } = getConnectionStatus();
+  switch (state) {
+    case 'needs_auth':
+      return 'waiting-for-auth';
+    case 'connected':
+      return 'connected';
+    case 'connecting':
+      return failed_attempts > 0 ? 'degraded' : 'connecting';
+    default:
+      return 'degraded';
+  }
+}
+
+// Give the account's token to onAuthenticated(tokenData), for work that needs
+// a logged in account such as backfilling legacy users
+async function authenticated(tokenData) {
+  try {
+    await onAuthenticated?.(tokenData);
+  } catch (error) {
+    console.error('[BOT] Error after authentication:', error);
+  }
+}
+
+// Run the bot once storage is loaded: connect to chat if an account has
+// authorized the bot, otherwise wait for one. createClient(tokenData) returns a
+// new chat client with the handlers attached. Returns whether someone has to
+// authorize the bot first, because there is no token or Twitch revoked it.
+export async function startBot({ createClient, onAuthenticated: onAuth = null }) {
+  onAuthenticated = onAuth;
+  let tokenData = null;
+  let needsAuth = false;
+  try {
+    tokenData = await getValidToken();
+    needsAuth = !tokenData;
+  } catch (error) {
+    // The connection reports it, and retries unless the token was revoked
+    needsAuth = error instanceof TokenRevokedError;
+    if (!needsAuth) {
+      console.log(`[BOT] Could not get a Twitch token (${error.message}), retrying`);
+    }
+  }
+
+  phase = 'running';
+  if (tokenData) {
+    console.log(`Authenticated as: ${tokenData.username}`);
+    await authenticated(tokenData);
+  }
+  startConnection(createClient);
+  return needsAuth;
+}
+
+// An account authorized the bot and is the active one: connect with its token,
+// or switch to it if the bot is already running as someone else
+export async function botAuthorized() {
+  if (phase !== 'running') return; // startBot() finds the token itself
+  await reloadCredentials();
+  try {
+    const tokenData = await getValidToken();
+    if (tokenData) {
+      await authenticated(tokenData);
+    }
+  } catch (error) {
+    // Already reported through /auth/status
+  }
+}
+
+export async function stopBot() {
+  phase = 'stopping';
+  await stopConnection();
+}
+
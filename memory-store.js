@@ -0,0 +1,786 @@
+// In-memory storage backend (STORAGE_BACKEND=memory). Implements the storage
+// interface of db.js over plain arrays, with the same results as the Postgres
+// backend: rows have the same columns, timestamps are Dates and the unique
+// constraints of the schema are enforced. Rows are copied on the way in and
+// out, so callers never hold a reference into the store.
+import { SUBMISSION_SORT_COLUMNS } from './submissions.js';
+
+const COMMAND_COLUMNS = ['id', 'channel', 'user_id', 'name', 'display_name', 'message', 'tier', 'slot', 'status', 'revision_id', 'game_id', 'game_pinned', 'created_at', 'updated_at'];
+const TOKEN_COLUMNS = ['username', 'access_token', 'refresh_token', 'expires_at', 'scope'];
+const ACCOUNT_COLUMNS = ['username', 'is_active', 'expires_at', 'scope', 'created_at', 'updated_at'];
+const VOTE_COLUMNS = ['id', 'session_id', 'command_id', 'voter_id', 'voter_name', 'voter_tier', 'weight', 'created_at'];
+
+// Copy of a row, limited to some columns
+function pick(row, columns) {
+  if (!row) return null;
+  return structuredClone(Object.fromEntries(columns.map(column => [column, row[column]])));
+}
+
+function copy(row) {
+  return row ? structuredClone(row) : null;
+}
+
+function toDate(value) {
+  return value === null || value === undefined ? null : new Date(value);
+}
+
+// Compare two column values like Postgres ORDER BY: NULLs sort last
+// ascending and first descending
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Sort function for [column, 'asc' | 'desc'] pairs
+function orderBy(...columns) {
+  return (a, b) => {
+    for (const [column, direction] of columns) {
+      const result = compareValues(a[column], b[column]);
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result;
+      }
+    }
+    return 0;
+  };
+}
+
+function page(rows, limit, offset) {
+  return rows.slice(offset, offset + limit);
+}
+
+function uniqueViolation(constraint) {
+  return new Error(`duplicate key value violates unique constraint "${constraint}"`);
+}
+
+// A new, empty store. Each call gets its own tables.
+export function createMemoryStore() {
+  const tables = {
+    commands: [],
+    tokens: [],
+    subscriberTiers: [],
+    draws: [],
+    windows: [],
+    sessions: [],
+    entries: [],
+    revisions: [],
+    bannedWords: [],
+    rejections: [],
+    games: [],
+    aliases: [],
+    votes: [],
+    webhooks: [],
+    deliveries: [],
+  };
+  const sequences = {};
+  const changeListeners = new Set(); // listenForCommandChanges() callbacks
+
+  function nextId(table) {
+    sequences[table] = (sequences[table] || 0) + 1;
+    return sequences[table];
+  }
+
+  function insert(table, row) {
+    const stored = { id: nextId(table), ...row };
+    tables[table].push(stored);
+    return stored;
+  }
+
+  function remove(table, predicate) {
+    const removed = tables[table].filter(predicate);
+    tables[table] = tables[table].filter(row => !predicate(row));
+    return removed;
+  }
+
+  // Delete submissions along with their votes, as the foreign key does in Postgres
+  function removeCommands(predicate) {
+    const removed = remove('commands', predicate);
+    const ids = new Set(removed.map(row => row.id));
+    remove('votes', vote => ids.has(vote.command_id));
+    return removed;
+  }
+
+  // Run fn, putting every table back as it was if it throws
+  function transaction(fn) {
+    const saved = structuredClone({ tables, sequences });
+    try {
+      return fn();
+    } catch (error) {
+      Object.assign(tables, saved.tables);
+      Object.assign(sequences, saved.sequences);
+      throw error;
+    }
+  }
+
+  function findCommand(id) {
+    return tables.commands.find(row => row.id === Number(id));
+  }
+
+  function assertUniqueSlot(channel, userId, slot) {
+    if (userId === null) return;
+    if (tables.commands.some(row => row.channel === channel && row.user_id === userId && row.slot === slot)) {
+      throw uniqueViolation('subscriber_commands_channel_user_id_slot_key');
+    }
+  }
+
+  function commandVotes(commandId) {
+    return tables.votes
+      .filter(vote => vote.command_id === commandId)
+      .reduce((total, vote) => total + vote.weight, 0);
+  }
+
+  function ensureActiveSession(channel) {
+    return tables.sessions.find(session => session.channel === channel && session.ended_at === null)
+      || insert('sessions', { channel, started_by: null, ended_by: null, started_at: new Date(), ended_at: null });
+  }
+
+  function addRevision(command, session, rawText) {
+    const revision = insert('revisions', {
+      command_id: command.id,
+      session_id: session.id,
+      channel: command.channel,
+      user_id: command.user_id,
+      name: command.name,
+      tier: command.tier,
+      slot: command.slot,
+      raw_text: rawText,
+      created_at: new Date(),
+    });
+    command.revision_id = revision.id;
+  }
+
+  function claimLegacyCommands(channel, user, slotLimit) {
+    if (tables.commands.some(row => row.channel === channel && row.user_id === user.userId)) {
+      return [];
+    }
+    const legacy = tables.commands
+      .filter(row => row.channel === channel && row.user_id === null && row.name === user.login)
+      .sort(orderBy(['slot', 'asc'], ['updated_at', 'desc'], ['id', 'asc']))
+      .slice(0, slotLimit);
+    legacy.forEach((row, index) => {
+      Object.assign(row, { user_id: user.userId, display_name: user.displayName, slot: index + 1 });
+    });
+    return legacy;
+  }
+
+  function findGame(id) {
+    return tables.games.find(game => game.id === Number(id));
+  }
+
+  function setGameAlias(key, gameId, addedBy) {
+    if (!findGame(gameId)) {
+      throw new Error('insert or update on table "game_aliases" violates foreign key constraint "game_aliases_game_id_fkey"');
+    }
+    const alias = tables.aliases.find(row => row.key === key);
+    if (alias) {
+      Object.assign(alias, { game_id: gameId, added_by: addedBy });
+    } else {
+      tables.aliases.push({ key, game_id: gameId, added_by: addedBy, created_at: new Date() });
+    }
+  }
+
+  const store = {
+    async getAllCommands(channel = null) {
+      return tables.commands
+        .filter(row => channel === null || row.channel === channel)
+        .map(row => pick(row, COMMAND_COLUMNS));
+    },
+
+    async getCommandByName(channel, name) {
+      const row = tables.commands
+        .filter(row => row.channel === channel && row.name === name)
+        .sort((a, b) => (a.user_id === null) - (b.user_id === null) || orderBy(['updated_at', 'desc'])(a, b))[0];
+      return pick(row, COMMAND_COLUMNS);
+    },
+
+    async getCommandByUserId(channel, userId) {
+      const row = tables.commands
+        .filter(row => row.channel === channel && row.user_id === userId)
+        .sort(orderBy(['slot', 'asc']))[0];
+      return pick(row, COMMAND_COLUMNS);
+    },
+
+    async listCommands({
+      channel = null,
+      tiers = null,
+      statuses = null,
+      from = null,
+      to = null,
+      dateField = 'updated_at',
+      sort = 'updated_at',
+      order = 'desc',
+      limit = 50,
+      offset = 0,
+    } = {}) {
+      if (!['created_at', 'updated_at'].includes(dateField)) {
+        throw new Error(`Invalid date field: ${dateField}`);
+      }
+      if (!SUBMISSION_SORT_COLUMNS.includes(sort)) {
+        throw new Error(`Invalid sort column: ${sort}`);
+      }
+      const direction = order === 'asc' ? 'asc' : 'desc';
+      const rows = tables.commands.filter(row =>
+        (!channel || row.channel === channel) &&
+        (!tiers?.length || tiers.includes(row.tier)) &&
+        (!statuses?.length || statuses.includes(row.status)) &&
+        (!from || row[dateField] >= new Date(from)) &&
+        (!to || row[dateField] <= new Date(to))
+      );
+      rows.sort(orderBy([sort, direction], ['id', direction]));
+      return { rows: page(rows, limit, offset).map(row => pick(row, COMMAND_COLUMNS)), total: rows.length };
+    },
+
+    async getCommandForUser(channel, user) {
+      const rows = await store.getCommandsForUser(channel, user);
+      return rows[0] || null;
+    },
+
+    async getCommandsForUser(channel, user) {
+      const login = String(user).toLowerCase();
+      const rank = row => row.user_id === null ? 2 : row.user_id === user ? 0 : 1;
+      const target = tables.commands
+        .filter(row => row.channel === channel && (row.user_id === user || row.name === login))
+        .sort((a, b) => rank(a) - rank(b) || orderBy(['updated_at', 'desc'])(a, b))[0];
+      if (!target) return [];
+      return tables.commands
+        .filter(row => row.channel === channel && (target.user_id !== null
+          ? row.user_id === target.user_id
+          : row.user_id === null && row.name === target.name))
+        .sort(orderBy(['slot', 'asc']))
+        .map(row => pick(row, COMMAND_COLUMNS));
+    },
+
+    async getCommandById(id) {
+      return pick(findCommand(id), COMMAND_COLUMNS);
+    },
+
+    async updateCommand(id, { message, tier, status } = {}) {
+      const row = findCommand(id);
+      if (!row) return null;
+      Object.assign(row, {
+        message: message ?? row.message,
+        tier: tier ?? row.tier,
+        status: status ?? row.status,
+        game_pinned: message == null ? row.game_pinned : false,
+        updated_at: new Date(),
+      });
+      return pick(row, COMMAND_COLUMNS);
+    },
+
+    async deleteCommand(id) {
+      const [row] = removeCommands(row => row.id === Number(id));
+      return pick(row, COMMAND_COLUMNS);
+    },
+
+    async deleteCommandSlot(channel, userId, slot) {
+      const [row] = removeCommands(row => row.channel === channel && row.user_id === userId && row.slot === slot);
+      return pick(row, COMMAND_COLUMNS);
+    },
+
+    async deleteChannelCommands(channel) {
+      return removeCommands(row => row.channel === channel).length;
+    },
+
+    async countCommandsByChannel() {
+      const counts = new Map();
+      for (const row of tables.commands) {
+        counts.set(row.channel, (counts.get(row.channel) || 0) + 1);
+      }
+      return [...counts].sort(([a], [b]) => compareValues(a, b)).map(([channel, count]) => ({ channel, count }));
+    },
+
+    async upsertCommand(channel, user, message, tier, rawText = message, slot = 1, slotLimit = slot) {
+      claimLegacyCommands(channel, user, slotLimit);
+      const now = new Date();
+      let row = tables.commands.find(row => row.channel === channel && row.user_id === user.userId && row.slot === slot);
+      if (row) {
+        Object.assign(row, { name: user.login, display_name: user.displayName, message, tier, game_pinned: false, updated_at: now });
+      } else {
+        row = insert('commands', {
+          channel, user_id: user.userId, name: user.login, display_name: user.displayName, message, tier, slot,
+          status: 'pending', revision_id: null, game_id: null, game_pinned: false, created_at: now, updated_at: now,
+        });
+      }
+      addRevision(row, ensureActiveSession(channel), rawText);
+      return pick(row, COMMAND_COLUMNS);
+    },
+
+    async importCommands(channel, rows) {
+      return transaction(() => {
+        const session = ensureActiveSession(channel);
+        const written = [];
+        for (const entry of rows) {
+          let row;
+          if (entry.id) {
+            row = tables.commands.find(row => row.id === Number(entry.id) && row.channel === channel);
+            if (!row) continue;
+            Object.assign(row, {
+              display_name: entry.display_name ?? row.display_name,
+              message: entry.message,
+              tier: entry.tier,
+              status: entry.status,
+              game_pinned: row.message === entry.message ? row.game_pinned : false,
+              updated_at: new Date(),
+            });
+          } else {
+            const userId = entry.user_id ?? null;
+            assertUniqueSlot(channel, userId, entry.slot);
+            const createdAt = toDate(entry.created_at) || new Date();
+            row = insert('commands', {
+              channel, user_id: userId, name: entry.name, display_name: entry.display_name ?? null,
+              message: entry.message, tier: entry.tier, slot: entry.slot, status: entry.status,
+              revision_id: null, game_id: null, game_pinned: false,
+              created_at: createdAt, updated_at: toDate(entry.updated_at) || createdAt,
+            });
+          }
+          addRevision(row, session, row.message);
+          written.push(pick(row, COMMAND_COLUMNS));
+        }
+        return written;
+      });
+    },
+
+    async claimLegacyCommandsForUser(channel, user, slotLimit = 1) {
+      return claimLegacyCommands(channel, user, slotLimit).map(row => pick(row, COMMAND_COLUMNS));
+    },
+
+    async getLegacyCommandNames() {
+      const names = new Set(tables.commands.filter(row => row.user_id === null).map(row => row.name));
+      return [...names].sort(compareValues);
+    },
+
+    async assignUserIdToLegacyCommands(user) {
+      const owned = new Set(tables.commands.filter(row => row.user_id === user.userId).map(row => row.channel));
+      const legacy = tables.commands.filter(row => row.user_id === null && row.name === user.login && !owned.has(row.channel));
+      for (const row of legacy) {
+        Object.assign(row, { user_id: user.userId, display_name: user.displayName });
+      }
+      return legacy.map(row => pick(row, COMMAND_COLUMNS));
+    },
+
+    async updateCommandUserNames(user) {
+      const changed = tables.commands.filter(row =>
+        row.user_id === user.userId && (row.name !== user.login || row.display_name !== user.displayName)
+      );
+      for (const row of changed) {
+        Object.assign(row, { name: user.login, display_name: user.displayName });
+      }
+      return changed.map(row => pick(row, COMMAND_COLUMNS));
+    },
+
+    async updateCommandTier(channel, userId, tier) {
+      const changed = tables.commands.filter(row => row.channel === channel && row.user_id === userId && row.tier !== tier);
+      for (const row of changed) {
+        Object.assign(row, { tier, updated_at: new Date() });
+      }
+      return changed.map(row => pick(row, COMMAND_COLUMNS));
+    },
+
+    async setCommandGame(id, gameId, pinned = false) {
+      const row = findCommand(id);
+      if (!row) return null;
+      Object.assign(row, { game_id: gameId, game_pinned: pinned });
+      return pick(row, COMMAND_COLUMNS);
+    },
+
+    async getTwitchToken() {
+      return pick(tables.tokens.find(token => token.is_active), TOKEN_COLUMNS);
+    },
+
+    async saveTwitchToken(username, accessToken, refreshToken, expiresAt, scope) {
+      const values = { access_token: accessToken, refresh_token: refreshToken, expires_at: toDate(expiresAt), scope, updated_at: new Date() };
+      let token = tables.tokens.find(token => token.username === username);
+      if (token) {
+        Object.assign(token, values);
+      } else {
+        token = insert('tokens', { username, ...values, is_active: false, created_at: new Date() });
+      }
+      return pick(token, TOKEN_COLUMNS);
+    },
+
+    async listTwitchAccounts() {
+      return [...tables.tokens].sort(orderBy(['username', 'asc'])).map(token => pick(token, ACCOUNT_COLUMNS));
+    },
+
+    async setActiveTwitchAccount(username) {
+      if (!tables.tokens.some(token => token.username === username)) {
+        return false;
+      }
+      for (const token of tables.tokens) {
+        token.is_active = token.username === username;
+      }
+      return true;
+    },
+
+    async updateTwitchToken(username, accessToken, refreshToken, expiresAt) {
+      const token = tables.tokens.find(token => token.username === username);
+      if (!token) return null;
+      Object.assign(token, {
+        access_token: accessToken,
+        refresh_token: refreshToken ?? token.refresh_token,
+        expires_at: toDate(expiresAt),
+        updated_at: new Date(),
+      });
+      return pick(token, TOKEN_COLUMNS);
+    },
+
+    async getAllSubscriberTiers() {
+      return tables.subscriberTiers.map(copy);
+    },
+
+    async upsertSubscriberTier(channel, userId, login, tier, plan, source) {
+      const values = { login, tier, plan, source, last_seen_at: new Date() };
+      let row = tables.subscriberTiers.find(row => row.channel === channel && row.user_id === userId);
+      if (row) {
+        Object.assign(row, values);
+      } else {
+        row = { channel, user_id: userId, ...values };
+        tables.subscriberTiers.push(row);
+      }
+      return copy(row);
+    },
+
+    async drawPendingCommand(channel, choose, drawnBy) {
+      const pending = tables.commands
+        .filter(row => row.channel === channel && row.status === 'pending')
+        .sort(orderBy(['id', 'asc']))
+        .map(row => ({ ...pick(row, COMMAND_COLUMNS), votes: commandVotes(row.id) }));
+      const choice = choose(pending);
+      if (!choice) return null;
+
+      const command = findCommand(choice.row.id);
+      Object.assign(command, { status: 'picked', updated_at: new Date() });
+      const session = ensureActiveSession(channel);
+      const draw = insert('draws', {
+        session_id: session.id,
+        channel,
+        command_id: choice.row.id,
+        user_id: choice.row.user_id,
+        name: choice.row.display_name || choice.row.name,
+        message: choice.row.message,
+        tier: choice.row.tier,
+        seed: choice.seed,
+        weights: JSON.parse(JSON.stringify(choice.weights)),
+        candidates: JSON.parse(JSON.stringify(choice.candidates)),
+        use_votes: Boolean(choice.useVotes),
+        drawn_by: drawnBy,
+        created_at: new Date(),
+      });
+      return { draw: copy(draw), command: pick(command, COMMAND_COLUMNS) };
+    },
+
+    async listDraws(channel, limit = 20) {
+      return page(tables.draws.filter(draw => draw.channel === channel).sort(orderBy(['created_at', 'desc'], ['id', 'desc'])), limit, 0)
+        .map(copy);
+    },
+
+    async getAllSubmissionWindows() {
+      return tables.windows.map(copy);
+    },
+
+    async saveSubmissionWindow(channel, { isOpen, opensAt, closesAt, updatedBy }) {
+      const values = { is_open: isOpen, opens_at: toDate(opensAt), closes_at: toDate(closesAt), updated_by: updatedBy, updated_at: new Date() };
+      let window = tables.windows.find(window => window.channel === channel);
+      if (window) {
+        Object.assign(window, values);
+      } else {
+        window = { channel, ...values };
+        tables.windows.push(window);
+      }
+      return copy(window);
+    },
+
+    async findActiveSession(channel) {
+      return copy(tables.sessions.find(session => session.channel === channel && session.ended_at === null) || null);
+    },
+
+    async getActiveSession(channel) {
+      return copy(ensureActiveSession(channel));
+    },
+
+    async startNewSession(channel, startedBy) {
+      const current = ensureActiveSession(channel);
+      const archived = tables.commands.filter(row => row.channel === channel);
+      for (const row of archived) {
+        insert('entries', {
+          session_id: current.id,
+          command_id: row.id,
+          channel,
+          user_id: row.user_id,
+          name: row.name,
+          display_name: row.display_name,
+          message: row.message,
+          tier: row.tier,
+          slot: row.slot,
+          status: row.status,
+          revision_id: row.revision_id,
+          votes: commandVotes(row.id),
+          created_at: row.created_at,
+          updated_at: row.updated_at,
+        });
+      }
+      removeCommands(row => row.channel === channel);
+      Object.assign(current, { ended_at: new Date(), ended_by: startedBy });
+      const started = insert('sessions', { channel, started_by: startedBy, ended_by: null, started_at: new Date(), ended_at: null });
+      return { ended: copy(current), started: copy(started), archived: archived.length };
+    },
+
+    async listSessions(channel, limit = 20, offset = 0) {
+      const sessions = tables.sessions
+        .filter(session => session.channel === channel)
+        .sort(orderBy(['started_at', 'desc'], ['id', 'desc']));
+      return page(sessions, limit, offset).map(session => ({
+        ...copy(session),
+        entry_count: session.ended_at === null
+          ? tables.commands.filter(row => row.channel === channel).length
+          : tables.entries.filter(entry => entry.session_id === session.id).length,
+        draw_count: tables.draws.filter(draw => draw.session_id === session.id).length,
+      }));
+    },
+
+    async getSessionById(id) {
+      return copy(tables.sessions.find(session => session.id === Number(id)));
+    },
+
+    async getSessionEntries(sessionId) {
+      return tables.entries
+        .filter(entry => entry.session_id === Number(sessionId))
+        .sort(orderBy(['created_at', 'asc'], ['id', 'asc']))
+        .map(copy);
+    },
+
+    async getSessionDraws(sessionId) {
+      return tables.draws
+        .filter(draw => draw.session_id === Number(sessionId))
+        .sort(orderBy(['created_at', 'asc'], ['id', 'asc']))
+        .map(copy);
+    },
+
+    async getUserRevisions(channel, user, sessionId = null) {
+      const login = String(user).toLowerCase();
+      const renamed = tables.revisions
+        .filter(revision => revision.channel === channel && revision.name === login && revision.user_id !== null)
+        .sort(orderBy(['created_at', 'desc'], ['id', 'desc']))[0];
+      return tables.revisions
+        .filter(revision => revision.channel === channel &&
+          (revision.user_id === user ||
+            (renamed && revision.user_id === renamed.user_id) ||
+            (revision.user_id === null && revision.name === login)) &&
+          (sessionId === null || revision.session_id === Number(sessionId)))
+        .sort(orderBy(['created_at', 'asc'], ['id', 'asc']))
+        .map(revision => ({
+          ...copy(revision),
+          is_current: tables.commands.some(row => row.revision_id === revision.id),
+        }));
+    },
+
+    async getAllBannedWords() {
+      return [...tables.bannedWords].sort(orderBy(['channel', 'asc'], ['word', 'asc'])).map(copy);
+    },
+
+    async addBannedWord(channel, word, addedBy) {
+      if (tables.bannedWords.some(row => row.channel === channel && row.word === word)) {
+        return false;
+      }
+      tables.bannedWords.push({ channel, word, added_by: addedBy, created_at: new Date() });
+      return true;
+    },
+
+    async removeBannedWord(channel, word) {
+      return remove('bannedWords', row => row.channel === channel && row.word === word).length > 0;
+    },
+
+    async recordRejection(channel, user, rawText, reason, detail) {
+      return copy(insert('rejections', {
+        channel, user_id: user.userId, name: user.login, raw_text: rawText, reason, detail, created_at: new Date(),
+      }));
+    },
+
+    async listRejections(channel, { reason = null, limit = 50, offset = 0 } = {}) {
+      const rows = tables.rejections
+        .filter(row => row.channel === channel && (reason === null || row.reason === reason))
+        .sort(orderBy(['created_at', 'desc'], ['id', 'desc']));
+      return page(rows, limit, offset).map(copy);
+    },
+
+    async getGameCatalog() {
+      const aliases = [...tables.aliases].sort(orderBy(['key', 'asc']));
+      return [...tables.games].sort(orderBy(['title', 'asc'])).map(game => ({
+        ...copy(game),
+        aliases: aliases.filter(alias => alias.game_id === game.id).map(alias => alias.key),
+      }));
+    },
+
+    async insertCatalogGame(title, key, addedBy) {
+      const existing = tables.games.find(game => game.key === key);
+      if (existing) {
+        return { ...copy(existing), created: false };
+      }
+      return { ...copy(insert('games', { title, key, added_by: addedBy, created_at: new Date() })), created: true };
+    },
+
+    async upsertGameAlias(key, gameId, addedBy) {
+      setGameAlias(key, gameId, addedBy);
+    },
+
+    async deleteCatalogGame(id) {
+      const [game] = remove('games', game => game.id === Number(id));
+      if (!game) return null;
+      remove('aliases', alias => alias.game_id === game.id);
+      for (const row of tables.commands.filter(row => row.game_id === game.id)) {
+        row.game_id = null;
+      }
+      return pick(game, ['id', 'title', 'key']);
+    },
+
+    async mergeCatalogGames(fromId, intoId, mergedBy) {
+      const from = findGame(fromId);
+      if (!from) return null;
+      return transaction(() => {
+        for (const alias of tables.aliases.filter(alias => alias.game_id === from.id)) {
+          alias.game_id = intoId;
+        }
+        for (const row of tables.commands.filter(row => row.game_id === from.id)) {
+          row.game_id = intoId;
+        }
+        remove('games', game => game.id === from.id);
+        setGameAlias(from.key, intoId, mergedBy);
+        return from.key;
+      });
+    },
+
+    async castVote(channel, commandId, voter, voterTier, weight) {
+      const command = tables.commands.find(row => row.id === Number(commandId) && row.channel === channel && row.status === 'pending');
+      if (!command) return null;
+      const session = ensureActiveSession(channel);
+      const existing = tables.votes.find(vote => vote.session_id === session.id && vote.voter_id === voter.userId);
+      if (existing) {
+        return { existing: pick(existing, VOTE_COLUMNS) };
+      }
+      const vote = insert('votes', {
+        session_id: session.id, channel, command_id: command.id, voter_id: voter.userId,
+        voter_name: voter.login, voter_tier: voterTier, weight, created_at: new Date(),
+      });
+      return { vote: pick(vote, VOTE_COLUMNS) };
+    },
+
+    async getVoteTotals(channel) {
+      const totals = new Map();
+      for (const vote of tables.votes.filter(vote => vote.channel === channel)) {
+        const command = findCommand(vote.command_id);
+        if (!command) continue;
+        const total = totals.get(command.id) || {
+          submission_id: command.id,
+          user_id: command.user_id,
+          name: command.name,
+          display_name: command.display_name,
+          message: command.message,
+          tier: command.tier,
+          status: command.status,
+          votes: 0,
+          voters: 0,
+        };
+        total.votes += vote.weight;
+        total.voters += 1;
+        totals.set(command.id, total);
+      }
+      return [...totals.values()].sort(orderBy(['votes', 'desc'], ['voters', 'desc'], ['submission_id', 'asc']));
+    },
+
+    async getAllWebhooks() {
+      return [...tables.webhooks].sort(orderBy(['id', 'asc'])).map(copy);
+    },
+
+    async insertWebhook({ channel, url, format, secret, events, enabled }) {
+      const now = new Date();
+      return copy(insert('webhooks', { channel, url, format, secret, events: [...events], enabled, created_at: now, updated_at: now }));
+    },
+
+    async updateWebhook(id, changes) {
+      const webhook = tables.webhooks.find(webhook => webhook.id === Number(id));
+      if (!webhook) return null;
+      const columns = ['channel', 'url', 'format', 'secret', 'events', 'enabled'].filter(column => changes[column] !== undefined);
+      if (columns.length) {
+        for (const column of columns) {
+          webhook[column] = structuredClone(changes[column]);
+        }
+        webhook.updated_at = new Date();
+      }
+      return copy(webhook);
+    },
+
+    async deleteWebhook(id) {
+      const [webhook] = remove('webhooks', webhook => webhook.id === Number(id));
+      if (!webhook) return null;
+      remove('deliveries', delivery => delivery.webhook_id === webhook.id);
+      return copy(webhook);
+    },
+
+    async enqueueWebhookDelivery(webhookId, event, payload) {
+      const now = new Date();
+      return copy(insert('deliveries', {
+        webhook_id: webhookId, event, payload: JSON.parse(JSON.stringify(payload)), status: 'pending', attempts: 0,
+        next_attempt_at: now, response_status: null, last_error: null, created_at: now, delivered_at: null,
+      }));
+    },
+
+    async claimDueWebhookDeliveries(limit, leaseSeconds) {
+      const now = new Date();
+      const due = tables.deliveries
+        .filter(delivery => delivery.status === 'pending' && delivery.next_attempt_at <= now)
+        .sort(orderBy(['next_attempt_at', 'asc'], ['id', 'asc']))
+        .slice(0, limit);
+      for (const delivery of due) {
+        delivery.next_attempt_at = new Date(now.getTime() + leaseSeconds * 1000);
+      }
+      return due.map(copy);
+    },
+
+    async recordWebhookAttempt(id, { status, responseStatus, error, nextAttemptAt }) {
+      const delivery = tables.deliveries.find(delivery => delivery.id === Number(id));
+      if (!delivery) return null;
+      Object.assign(delivery, {
+        status,
+        attempts: delivery.attempts + 1,
+        response_status: responseStatus ?? null,
+        last_error: error ?? null,
+        next_attempt_at: toDate(nextAttemptAt) ?? delivery.next_attempt_at,
+        delivered_at: status === 'delivered' ? new Date() : delivery.delivered_at,
+      });
+      return copy(delivery);
+    },
+
+    async listWebhookDeliveries(webhookId, { status = null, limit = 50, offset = 0 } = {}) {
+      const rows = tables.deliveries
+        .filter(delivery => delivery.webhook_id === Number(webhookId) && (status === null || delivery.status === status))
+        .sort(orderBy(['created_at', 'desc'], ['id', 'desc']));
+      return page(rows, limit, offset).map(copy);
+    },
+
+    async retryWebhookDelivery(id) {
+      const delivery = tables.deliveries.find(delivery => delivery.id === Number(id) && delivery.status === 'failed');
+      if (!delivery) return null;
+      Object.assign(delivery, { status: 'pending', attempts: 0, next_attempt_at: new Date() });
+      return copy(delivery);
+    },
+
+    // Nothing outside this process shares the store, so changes only reach
+    // listeners of the same store
+    async notifyCommandsChanged(channel) {
+      for (const onChange of changeListeners) {
+        onChange(channel);
+      }
+    },
+
+    async listenForCommandChanges(onChange) {
+      changeListeners.add(onChange);
+      return async () => {
+        changeListeners.delete(onChange);
+      };
+    },
+  };
+
+  return store;
+}
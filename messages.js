@@ -0,0 +1,215 @@
+// Incoming chat messages: % submissions, !subday, !slots and !vote commands,
+// and the subscription events that tell us a user's tier. Importing this
+// module does nothing by itself; registerChatHandlers() attaches the handlers
+// to a tmi client, the real one in bot.js or a FakeChatClient in tests and
+// replays.
+import { upsertCommand, claimLegacyCommandsForUser, updateCommandUserNames, updateCommandTier } from "./db.js";
+import { normalizeChannel } from "./channels.js";
+import { resolveSubscriberTier, registerTierHandlers } from "./tiers.js";
+import { sendSubmissionFeedback } from "./feedback.js";
+import { validateSubmission, describeRejection } from "./validation.js";
+import { isSubmissionWindowOpen, getSubmissionWindow, describeSubmissionWindow } from "./windows.js";
+import { isSubdayCommand, handleSubdayCommand } from "./commands.js";
+import { assignSubmissionGame } from "./games.js";
+import { isVoteCommand, handleVoteCommand } from "./votes.js";
+import { getSlotLimit, parseSlotSubmission, chooseSlot, isSlotsCommand, handleSlotsCommand } from "./slots.js";
+import { emitWebhookEvent, submissionPayload } from "./webhooks.js";
+import { legacyCacheKey, getCachedSlots, getCachedRowsForUser, cacheCommandRow } from "./cache.js";
+
+// Identity of the chatting user from the tmi tags
+function getChatUser(context) {
+  return {
+    userId: context['user-id'],
+    login: context.username,
+    displayName: context['display-name'] || context.username,
+  };
+}
+
+// Keep stored login/display name in step with what Twitch reports, and claim
+// the legacy name-only rows in this channel, up to the user's slot limit, the
+// first time we see their owner's user ID
+async function syncUserIdentity(channel, user, slotLimit) {
+  try {
+    if (getCachedSlots(channel, user.userId).length === 0 && getCachedSlots(channel, legacyCacheKey(user.login)).length) {
+      const claimed = await claimLegacyCommandsForUser(channel, user, slotLimit);
+      for (const row of claimed) {
+        cacheCommandRow(row);
+      }
+      if (claimed.length) {
+        console.log(`Linked ${claimed.length} legacy entries for ${user.login} in ${channel} to user ID ${user.userId}`);
+      }
+    }
+
+    const renamed = getCachedRowsForUser(user.userId).some(row => {
+      return row.name !== user.login || row.displayName !== user.displayName;
+    });
+    if (renamed) {
+      const rows = await updateCommandUserNames(user);
+      for (const row of rows) {
+        cacheCommandRow(row);
+      }
+      console.log(`Updated names for user ID ${user.userId}: ${user.login} (${user.displayName})`);
+    }
+  } catch (error) {
+    console.error(`Error syncing identity for ${user.login}:`, error);
+  }
+}
+
+// Correct the tier of an existing entry once the user's real plan is known
+async function onTierLearned(channel, userId, tier) {
+  const rows = await updateCommandTier(channel, userId, tier);
+  for (const row of rows) {
+    cacheCommandRow(row);
+    console.log(`Updated tier of ${row.name}'s entry in ${channel} (slot ${row.slot}) to ${tier}`);
+  }
+}
+
+// Insert or update command in database and cache
+async function appendRow(channel, text, target, tier, rawText, slot) {
+  try {
+    const result = await assignSubmissionGame(await upsertCommand(channel, target, text, tier, rawText, slot, getSlotLimit(tier)));
+    cacheCommandRow(result);
+    return result;
+  } catch (error) {
+    console.error("Error appending row:", error);
+    throw error;
+  }
+}
+
+async function updateRow(channel, text, target, tier, rawText, slot) {
+  try {
+    const result = await assignSubmissionGame(await upsertCommand(channel, target, text, tier, rawText, slot, getSlotLimit(tier)));
+    cacheCommandRow(result);
+    return result;
+  } catch (error) {
+    console.error("Error updating row:", error);
+    throw error;
+  }
+}
+
+// Tell a user their % message was not saved, and report it to webhooks
+async function rejectSubmission(channel, user, context, msg, reason, detail, message, options = {}) {
+  await emitWebhookEvent(channel, 'submission.rejected', {
+    user_id: user.userId,
+    name: user.login,
+    display_name: user.displayName,
+    text: msg,
+    reason,
+    detail,
+  });
+  await sendSubmissionFeedback(channel, user, context.id, 'rejected', message, options);
+}
+
+// Called every time a message comes in
+export async function onMessageHandler(target, context, msg, self) {
+  let user = context.username;
+  const chatUser = getChatUser(context);
+  let subscriber = context.subscriber;
+  const badgeInfo = context.badges;
+  // Channel name is like "#channelname", so we remove the #
+  const channelName = normalizeChannel(target);
+  const isBroadcaster = badgeInfo?.broadcaster === '1' || user.toLowerCase() === channelName;
+  const isMod = badgeInfo?.moderator === '1';
+  const subTier = resolveSubscriberTier(channelName, chatUser.userId, badgeInfo);
+  console.log(`User: ${user}, Sub Tier: ${subTier}, Badges:`, badgeInfo);
+  console.log(user + " " + msg);
+
+  if (chatUser.userId) {
+    await syncUserIdentity(channelName, chatUser, getSlotLimit(subTier));
+  }
+
+  // Mod/broadcaster commands such as "!subday draw"
+  if (!self && isSubdayCommand(msg)) {
+    await handleSubdayCommand(channelName, chatUser, msg, { isBroadcaster, isMod });
+    return;
+  }
+
+  // A user's own slots: "!slots", "!slots remove 2"
+  if (!self && isSlotsCommand(msg)) {
+    try {
+      await handleSlotsCommand(channelName, chatUser, msg, { tier: subTier, parentMsgId: context.id });
+    } catch (error) {
+      console.error(`Error handling !slots from ${user} in ${channelName}:`, error);
+    }
+    return;
+  }
+
+  // Viewer votes such as "!vote 12" or "!vote elden ring"
+  if (!self && isVoteCommand(msg)) {
+    try {
+      await handleVoteCommand(channelName, chatUser, msg, { tier: subscriber ? subTier : '0', parentMsgId: context.id });
+    } catch (error) {
+      console.error(`Error handling !vote from ${user} in ${channelName}:`, error);
+    }
+    return;
+  }
+
+  // Debug logging for % commands
+  if (msg.startsWith("%")) {
+    console.log(`[DEBUG] % command detected from ${user}`);
+    console.log(`[DEBUG] subscriber: ${subscriber}, broadcaster: ${isBroadcaster}, mod: ${isMod}`);
+    console.log(`[DEBUG] can use command: ${subscriber || isBroadcaster || isMod}`);
+  }
+
+  const commandName = msg.trim();
+  // Higher tiers may hold several picks; work out which slot this one goes to
+  const slotLimit = getSlotLimit(subTier);
+  const { slot: requestedSlot, message: submission } = parseSlotSubmission(msg, slotLimit);
+  const cachedSlots = chatUser.userId ? getCachedSlots(channelName, chatUser.userId) : [];
+  const slotChoice = chooseSlot(cachedSlots, slotLimit, requestedSlot);
+  const cachedName = slotChoice?.current;
+  const slotLabel = slotLimit > 1 ? ` in slot ${slotChoice?.slot}` : '';
+
+  // Allow subscribers, broadcaster, and mods to use % commands
+  if (msg.startsWith("%") && !chatUser.userId) {
+    console.log(`* Ignoring % command from ${user}: message has no user-id tag`);
+  } else if (msg.startsWith("%") && (subscriber || isBroadcaster || isMod) && !isSubmissionWindowOpen(channelName)) {
+    console.log(`* Submissions are closed in ${channelName}, ignoring % command from ${user}`);
+    await rejectSubmission(channelName, chatUser, context, msg, 'closed', null,
+      `submissions are ${describeSubmissionWindow(getSubmissionWindow(channelName))}, your pick was not saved.`,
+      { always: true });
+  } else if (msg.startsWith("%") && (subscriber || isBroadcaster || isMod) && !slotChoice) {
+    console.log(`* All ${slotLimit} slots of ${user} in ${channelName} are taken`);
+    await rejectSubmission(channelName, chatUser, context, msg, 'slots_full', `${slotLimit} slots`,
+      `all ${slotLimit} of your slots are taken. Replace one with %<slot> <pick> or free one with !slots remove <slot>.`,
+      { always: true });
+  } else if (msg.startsWith("%") && (subscriber || isBroadcaster || isMod)) {
+    const validation = await validateSubmission(channelName, chatUser, submission, cachedSlots.map(row => row.value));
+    if (!validation.ok) {
+      await rejectSubmission(channelName, chatUser, context, msg, validation.reason, validation.detail || null, describeRejection(validation));
+    } else if (!cachedName) {
+      try {
+        const row = await appendRow(channelName, validation.text, chatUser, subTier, msg, slotChoice.slot);
+        console.log(`Row appended for ${user} in ${channelName} (slot ${row.slot}): ${msg.substring(0, 50)}`);
+        await emitWebhookEvent(channelName, 'submission.created', submissionPayload(row));
+        await sendSubmissionFeedback(channelName, chatUser, context.id, 'saved', `your pick #${row.id} was saved${slotLabel}: ${row.message} (tier ${row.tier})`);
+      } catch (error) {
+        console.error(`Error appending row for ${user}:`, error);
+        console.error('Full error:', JSON.stringify(error, null, 2));
+      }
+      console.log(`* Executed ${commandName} command`);
+    } else if (cachedName) {
+      try {
+        const row = await updateRow(channelName, validation.text, chatUser, subTier, msg, slotChoice.slot);
+        console.log(`Row updated for ${user} in ${channelName} (slot ${row.slot}): ${msg.substring(0, 50)}`);
+        await emitWebhookEvent(channelName, 'submission.updated', submissionPayload(row));
+        await sendSubmissionFeedback(channelName, chatUser, context.id, 'updated', `your pick #${row.id} was updated${slotLabel}: ${row.message} (tier ${row.tier})`);
+      } catch (error) {
+        console.error(`Error updating row for ${user}:`, error);
+        console.error('Full error:', JSON.stringify(error, null, 2));
+      }
+      console.log(`* Executed ${commandName} command`);
+    } else {
+      console.log(`* Unknown command ${user + " " + commandName}`);
+    }
+  } else if (msg.startsWith("%")) {
+    console.log(`* User ${user} tried to use % command but is not a subscriber, broadcaster, or mod`);
+    await rejectSubmission(channelName, chatUser, context, msg, 'not_subscriber', null, 'only subscribers can send subday picks.');
+  }
+}
+
+// Listen for chat messages and subscription events on a tmi client
+export function registerChatHandlers(client) {
+  client.on("message", onMessageHandler);
+  registerTierHandlers(client, onTierLearned);
+}
@@ -0,0 +1,288 @@
+// Versioned schema migrations. Each migration is a pair of SQL files in
+// migrations/, NNN_name.up.sql and NNN_name.down.sql, applied in order of
+// their number. Applied versions are recorded in schema_migrations, and an
+// advisory lock keeps two processes from migrating at the same time.
+//
+// MIGRATE_ON_START: set to "false" to have the bot refuse to start with
+// pending migrations instead of applying them (run "execute db migrate")
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { pool } from './postgres-store.js';
+import { getDefaultChannel } from './channels.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Migrations found in migrations/, oldest first: [{ version, name, up, down }]
+// where up and down are file paths (down is null if there is none)
+export function loadMigrations() {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const version = parseInt(match[1]);
+    const migration = migrations.get(version) || { version, name: match[2], up: null, down: null };
+    if (migration.name !== match[2]) {
+      throw new Error(`Two migrations are numbered ${version}: ${migration.name} and ${match[2]}`);
+    }
+    migration[match[3]] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+  for (const migration of migrations.values()) {
+    if (!migration.up) {
+      throw new Error(`Migration ${formatMigration(migration)} has no .up.sql file`);
+    }
+  }
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+// A rollback would run down migrations that drop tables or columns, and lose
+// their data
+export class DataLossError extends Error {}
+
+// Whether a migration's .down.sql drops tables or columns
+function dropsData(migration) {
+  return Boolean(migration.down) && /\bDROP\s+(TABLE|COLUMN)\b/i.test(fs.readFileSync(migration.down, 'utf8'));
+}
+
+// "001_baseline", as the files are named
+export function formatMigration({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Run fn(client) while holding the migration lock. Other processes wait for
+// it, then find nothing left to do.
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    const locked = await client.query("SELECT pg_try_advisory_lock(hashtext('schema_migrations')) AS locked");
+    if (!locked.rows[0].locked) {
+      console.log('[MIGRATIONS] Another process is migrating the database, waiting for it');
+      await client.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+    }
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))");
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Compare the applied migrations with the known ones
+function compareVersions(applied, migrations) {
+  const latest = migrations.at(-1)?.version ?? 0;
+  const current = applied.at(-1)?.version ?? 0;
+  const appliedVersions = new Set(applied.map(row => row.version));
+  return {
+    current,
+    latest,
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(row => !migrations.some(migration => migration.version === row.version)),
+  };
+}
+
+function assertNotNewer(status) {
+  if (status.current > status.latest) {
+    throw new Error(
+      `The database schema is at version ${status.current}, newer than this version of the bot knows (${status.latest}). ` +
+      'Update the bot, or roll the database back with the newer version.'
+    );
+  }
+}
+
+// Run one migration file and record the change, in a single transaction
+async function runMigration(client, migration, direction) {
+  const sql = fs.readFileSync(migration[direction], 'utf8');
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${formatMigration(migration)} (${direction}) failed: ${error.message}`);
+  }
+  console.log(`[MIGRATIONS] ${direction === 'up' ? 'Applied' : 'Rolled back'} ${formatMigration(migration)}`);
+}
+
+// Applied and pending migrations: { current, latest, applied, pending, unknown }.
+// Only reads, so it neither waits for a running migration nor creates
+// schema_migrations; without that table nothing is applied yet.
+export async function getMigrationStatus() {
+  const migrations = loadMigrations();
+  const table = await pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  if (!table.rows[0].exists) {
+    return compareVersions([], migrations);
+  }
+  return compareVersions(await getAppliedMigrations(pool), migrations);
+}
+
+// Apply pending migrations up to version `to` (all of them by default).
+// Returns the applied migrations.
+export async function migrate({ to = Infinity } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async client => {
+    const status = compareVersions(await getAppliedMigrations(client), migrations);
+    assertNotNewer(status);
+    if (status.applied.length === 0) {
+      await upgradeLegacySchema(client);
+    }
+    const applied = [];
+    for (const migration of status.pending.filter(pending => pending.version <= to)) {
+      await runMigration(client, migration, 'up');
+      applied.push(migration);
+    }
+    return applied;
+  });
+}
+
+// Undo applied migrations newer than version `to`, newest first. Down
+// migrations that drop tables or columns only run with { allowDataLoss: true }.
+// Returns the rolled back migrations.
+export async function rollback({ to, allowDataLoss = false }) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async client => {
+    const status = compareVersions(await getAppliedMigrations(client), migrations);
+    if (status.unknown.some(row => row.version > to)) {
+      throw new Error(`Version ${status.unknown.at(-1).version} is not known to this version of the bot, roll it back with the version that applied it`);
+    }
+    const targets = migrations.filter(migration => migration.version > to && status.applied.some(row => row.version === migration.version));
+    const missing = targets.find(migration => !migration.down);
+    if (missing) {
+      throw new Error(`Migration ${formatMigration(missing)} has no .down.sql file`);
+    }
+    const destructive = targets.filter(dropsData);
+    if (destructive.length && !allowDataLoss) {
+      throw new DataLossError(`Rolling back ${destructive.map(formatMigration).join(', ')} drops data that cannot be restored`);
+    }
+    for (const migration of targets.reverse()) {
+      await runMigration(client, migration, 'down');
+    }
+    return targets;
+  });
+}
+
+// Connect and bring the schema up to date, or refuse to run against a schema
+// that is newer than this code. With MIGRATE_ON_START=false, pending
+// migrations are an error instead of being applied.
+export async function initDatabase() {
+  try {
+    const connection = await pool.query('SELECT current_database()');
+    console.log('Connected to database:', connection.rows[0].current_database);
+
+    if (process.env.MIGRATE_ON_START === 'false') {
+      const status = await getMigrationStatus();
+      assertNotNewer(status);
+      if (status.pending.length) {
+        throw new Error(`${status.pending.length} database migrations are pending. Run "execute db migrate" first.`);
+      }
+    } else {
+      await migrate();
+    }
+    console.log('Database schema is up to date');
+  } catch (error) {
+    console.error('Error initializing database:', error.message);
+    console.error('DATABASE_URL:', process.env.DATABASE_URL ? 'Set (hidden)' : 'NOT SET');
+    throw error;
+  }
+}
+
+// Check the schema before running a command against it: a newer schema is an
+// error, pending migrations only a warning
+export async function checkSchemaVersion() {
+  const status = await getMigrationStatus();
+  assertNotNewer(status);
+  if (status.pending.length) {
+    console.warn(`[MIGRATIONS] ${status.pending.length} migrations are pending, run "execute db migrate"`);
+  }
+  return status;
+}
+
+async function tableHasColumn(client, table, column) {
+  const result = await client.query(`
+    SELECT EXISTS (
+      SELECT FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2
+    )
+  `, [table, column]);
+  return result.rows[0].exists;
+}
+
+// Databases from before migrations may hold a subscriber_commands table from
+// before channels, user IDs or slots. Convert it so the baseline migration can
+// bring the rest up to date.
+async function upgradeLegacySchema(client) {
+  if (!await tableHasColumn(client, 'subscriber_commands', 'name')) {
+    return;
+  }
+  await client.query('BEGIN');
+  try {
+    // Keyed by name only: add the channel, assigning rows to the default channel
+    if (!await tableHasColumn(client, 'subscriber_commands', 'channel')) {
+      const defaultChannel = getDefaultChannel();
+      const rowCount = await client.query('SELECT COUNT(*) FROM subscriber_commands');
+      if (rowCount.rows[0].count !== '0' && !defaultChannel) {
+        throw new Error('subscriber_commands has rows without a channel. Set DEFAULT_CHANNEL or TWITCH_CHANNELS so they can be migrated.');
+      }
+      console.log(`[MIGRATIONS] Moving ${rowCount.rows[0].count} submissions to channel ${defaultChannel}`);
+      await client.query('ALTER TABLE subscriber_commands ADD COLUMN channel VARCHAR(255)');
+      await client.query('UPDATE subscriber_commands SET channel = $1', [defaultChannel]);
+      await client.query('ALTER TABLE subscriber_commands ALTER COLUMN channel SET NOT NULL');
+      await client.query('ALTER TABLE subscriber_commands DROP CONSTRAINT IF EXISTS subscriber_commands_pkey');
+      await client.query('ALTER TABLE subscriber_commands ADD PRIMARY KEY (channel, name)');
+    }
+
+    // Keyed by (channel, name): add the Twitch user ID identity. Existing rows
+    // keep user_id NULL until they are claimed or backfilled.
+    if (!await tableHasColumn(client, 'subscriber_commands', 'user_id')) {
+      console.log('[MIGRATIONS] Keying submissions by Twitch user ID');
+      await client.query('ALTER TABLE subscriber_commands DROP CONSTRAINT IF EXISTS subscriber_commands_pkey');
+      await client.query('ALTER TABLE subscriber_commands ADD COLUMN id SERIAL PRIMARY KEY');
+      await client.query('ALTER TABLE subscriber_commands ADD COLUMN user_id VARCHAR(255)');
+      await client.query('ALTER TABLE subscriber_commands ADD COLUMN display_name VARCHAR(255)');
+      await client.query(`
+        ALTER TABLE subscriber_commands
+        ADD CONSTRAINT subscriber_commands_channel_user_id_key UNIQUE (channel, user_id)
+      `);
+    }
+
+    // One row per user: existing rows become slot 1, keyed by (channel, user_id, slot)
+    if (!await tableHasColumn(client, 'subscriber_commands', 'slot')) {
+      console.log('[MIGRATIONS] Adding submission slots');
+      await client.query('ALTER TABLE subscriber_commands ADD COLUMN slot SMALLINT NOT NULL DEFAULT 1');
+      await client.query('ALTER TABLE subscriber_commands DROP CONSTRAINT IF EXISTS subscriber_commands_channel_user_id_key');
+      await client.query(`
+        ALTER TABLE subscriber_commands
+        ADD CONSTRAINT subscriber_commands_channel_user_id_slot_key UNIQUE (channel, user_id, slot)
+      `);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
@@ -0,0 +1,9 @@
+-- Drops the tables of the baseline: every submission, session, draw and
+-- the bot account. Roll the later migrations back first.
+DROP TABLE IF EXISTS
+  subday_session_entries,
+  subday_draws,
+  subday_sessions,
+  subscriber_tiers,
+  twitch_oauth_tokens,
+  subscriber_commands;
@@ -0,0 +1,144 @@
+-- Submissions, the bot account, tiers, draws and sessions. Every statement is
+-- safe to run on a database created by older versions of the bot, which
+-- brings it up to date; subscriber_commands tables from before channels, user
+-- IDs and slots are converted in code before this runs (see migrations.js).
+-- Later features have their own migrations, written the same way.
+
+CREATE TABLE IF NOT EXISTS subscriber_commands (
+  id SERIAL PRIMARY KEY,
+  channel VARCHAR(255) NOT NULL,
+  user_id VARCHAR(255),
+  name VARCHAR(255) NOT NULL,
+  display_name VARCHAR(255),
+  message TEXT NOT NULL,
+  tier VARCHAR(1) NOT NULL DEFAULT '1',
+  slot SMALLINT NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT subscriber_commands_channel_user_id_slot_key UNIQUE (channel, user_id, slot)
+);
+
+ALTER TABLE subscriber_commands
+ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_subscriber_commands_tier
+ON subscriber_commands(tier);
+
+CREATE INDEX IF NOT EXISTS idx_subscriber_commands_channel
+ON subscriber_commands(channel);
+
+CREATE INDEX IF NOT EXISTS idx_subscriber_commands_user_id
+ON subscriber_commands(user_id);
+
+-- Bot account tokens
+CREATE TABLE IF NOT EXISTS twitch_oauth_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(255) UNIQUE NOT NULL,
+  access_token TEXT NOT NULL,
+  refresh_token TEXT,
+  expires_at TIMESTAMP,
+  scope TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_twitch_oauth_tokens_username
+ON twitch_oauth_tokens(username);
+
+-- The bot runs as the one account marked active, not whichever row was saved last
+ALTER TABLE twitch_oauth_tokens
+ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_twitch_oauth_tokens_active
+ON twitch_oauth_tokens(is_active) WHERE is_active;
+
+-- Databases from before the active flag keep running as the latest account
+UPDATE twitch_oauth_tokens SET is_active = true
+WHERE id = (SELECT MAX(id) FROM twitch_oauth_tokens)
+AND NOT EXISTS (SELECT 1 FROM twitch_oauth_tokens WHERE is_active);
+
+-- Subscription tier learned from USERNOTICE events, per user and channel
+CREATE TABLE IF NOT EXISTS subscriber_tiers (
+  channel VARCHAR(255) NOT NULL,
+  user_id VARCHAR(255) NOT NULL,
+  login VARCHAR(255),
+  tier VARCHAR(1) NOT NULL,
+  plan VARCHAR(16) NOT NULL,
+  source VARCHAR(32) NOT NULL,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (channel, user_id)
+);
+
+-- Results of weighted draws, with everything needed to reproduce them
+CREATE TABLE IF NOT EXISTS subday_draws (
+  id SERIAL PRIMARY KEY,
+  channel VARCHAR(255) NOT NULL,
+  command_id INTEGER,
+  user_id VARCHAR(255),
+  name VARCHAR(255) NOT NULL,
+  message TEXT NOT NULL,
+  tier VARCHAR(1) NOT NULL,
+  seed VARCHAR(255) NOT NULL,
+  weights JSONB NOT NULL,
+  candidates JSONB NOT NULL,
+  drawn_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_subday_draws_channel
+ON subday_draws(channel, created_at);
+
+-- Subday sessions: the current submissions belong to the channel's open
+-- session; starting a new one archives them into subday_session_entries
+CREATE TABLE IF NOT EXISTS subday_sessions (
+  id SERIAL PRIMARY KEY,
+  channel VARCHAR(255) NOT NULL,
+  started_by VARCHAR(255),
+  ended_by VARCHAR(255),
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  ended_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subday_sessions_active
+ON subday_sessions(channel) WHERE ended_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS subday_session_entries (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES subday_sessions(id),
+  command_id INTEGER,
+  channel VARCHAR(255) NOT NULL,
+  user_id VARCHAR(255),
+  name VARCHAR(255) NOT NULL,
+  display_name VARCHAR(255),
+  message TEXT NOT NULL,
+  tier VARCHAR(1) NOT NULL,
+  status VARCHAR(16) NOT NULL,
+  created_at TIMESTAMP,
+  updated_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_subday_session_entries_session
+ON subday_session_entries(session_id);
+
+ALTER TABLE subday_draws ADD COLUMN IF NOT EXISTS session_id INTEGER REFERENCES subday_sessions(id);
+
+-- Channels with submissions or draws from before sessions existed get an
+-- open session that they belong to
+INSERT INTO subday_sessions (channel, started_at)
+SELECT channel, MIN(created_at) FROM (
+  SELECT channel, created_at FROM subscriber_commands
+  UNION ALL
+  SELECT channel, created_at FROM subday_draws
+) existing
+WHERE NOT EXISTS (
+  SELECT 1 FROM subday_sessions s WHERE s.channel = existing.channel AND s.ended_at IS NULL
+)
+GROUP BY channel;
+
+UPDATE subday_draws d SET session_id = s.id
+FROM subday_sessions s
+WHERE d.session_id IS NULL AND s.channel = d.channel AND s.ended_at IS NULL;
+
+
+-- Each slot of a user is archived as its own entry
+ALTER TABLE subday_session_entries ADD COLUMN IF NOT EXISTS slot SMALLINT NOT NULL DEFAULT 1;
@@ -0,0 +1,6 @@
+-- Drops the edit timelines of every submission
+ALTER TABLE subday_session_entries DROP COLUMN IF EXISTS revision_id;
+
+ALTER TABLE subscriber_commands DROP COLUMN IF EXISTS revision_id;
+
+DROP TABLE IF EXISTS submission_revisions;
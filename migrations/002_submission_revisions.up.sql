@@ -0,0 +1,23 @@
+-- Every accepted % message, so a user's edit timeline can be shown
+CREATE TABLE IF NOT EXISTS submission_revisions (
+  id SERIAL PRIMARY KEY,
+  command_id INTEGER,
+  session_id INTEGER REFERENCES subday_sessions(id),
+  channel VARCHAR(255) NOT NULL,
+  user_id VARCHAR(255),
+  name VARCHAR(255) NOT NULL,
+  tier VARCHAR(1) NOT NULL,
+  raw_text TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_revisions_user
+ON submission_revisions(channel, user_id, created_at);
+
+-- The current row points at the revision it was last written from
+ALTER TABLE subscriber_commands ADD COLUMN IF NOT EXISTS revision_id INTEGER;
+
+ALTER TABLE subday_session_entries ADD COLUMN IF NOT EXISTS revision_id INTEGER;
+
+-- Each slot keeps its own timeline
+ALTER TABLE submission_revisions ADD COLUMN IF NOT EXISTS slot SMALLINT NOT NULL DEFAULT 1;
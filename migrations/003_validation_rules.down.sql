@@ -0,0 +1,2 @@
+-- Drops the banned words and the rejection log
+DROP TABLE IF EXISTS submission_rejections, channel_banned_words;
@@ -0,0 +1,23 @@
+-- Words that are not allowed in submissions, per channel
+CREATE TABLE IF NOT EXISTS channel_banned_words (
+  channel VARCHAR(255) NOT NULL,
+  word VARCHAR(255) NOT NULL,
+  added_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (channel, word)
+);
+
+-- % messages that failed validation, for mods to review
+CREATE TABLE IF NOT EXISTS submission_rejections (
+  id SERIAL PRIMARY KEY,
+  channel VARCHAR(255) NOT NULL,
+  user_id VARCHAR(255),
+  name VARCHAR(255) NOT NULL,
+  raw_text TEXT NOT NULL,
+  reason VARCHAR(32) NOT NULL,
+  detail TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_rejections_channel
+ON submission_rejections(channel, created_at);
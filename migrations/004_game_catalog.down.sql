@@ -0,0 +1,6 @@
+-- Drops the catalog and every submission's match against it
+ALTER TABLE subscriber_commands DROP COLUMN IF EXISTS game_pinned;
+
+ALTER TABLE subscriber_commands DROP COLUMN IF EXISTS game_id;
+
+DROP TABLE IF EXISTS game_aliases, game_catalog;
@@ -0,0 +1,23 @@
+-- Known game titles that submissions are matched against
+CREATE TABLE IF NOT EXISTS game_catalog (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  key VARCHAR(255) NOT NULL UNIQUE,
+  added_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Other spellings of a catalog title, by normalized key
+CREATE TABLE IF NOT EXISTS game_aliases (
+  key VARCHAR(255) PRIMARY KEY,
+  game_id INTEGER NOT NULL REFERENCES game_catalog(id) ON DELETE CASCADE,
+  added_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The catalog title a submission was matched to. Pinned submissions were
+-- placed by a mod and are not matched again until the user changes them.
+ALTER TABLE subscriber_commands
+ADD COLUMN IF NOT EXISTS game_id INTEGER REFERENCES game_catalog(id) ON DELETE SET NULL;
+
+ALTER TABLE subscriber_commands ADD COLUMN IF NOT EXISTS game_pinned BOOLEAN NOT NULL DEFAULT false;
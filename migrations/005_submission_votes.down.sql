@@ -0,0 +1,6 @@
+-- Drops every vote, including the totals archived with past sessions
+ALTER TABLE subday_draws DROP COLUMN IF EXISTS use_votes;
+
+ALTER TABLE subday_session_entries DROP COLUMN IF EXISTS votes;
+
+DROP TABLE IF EXISTS submission_votes;
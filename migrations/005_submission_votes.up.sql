@@ -0,0 +1,21 @@
+-- Viewer votes on submissions, one per viewer per session. Weight comes
+-- from the voter's tier (0 for non-subs) at the time of the vote.
+CREATE TABLE IF NOT EXISTS submission_votes (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL,
+  channel VARCHAR(255) NOT NULL,
+  command_id INTEGER NOT NULL,
+  voter_id VARCHAR(255) NOT NULL,
+  voter_name VARCHAR(255) NOT NULL,
+  voter_tier VARCHAR(1) NOT NULL,
+  weight REAL NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (session_id, voter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_votes_command
+ON submission_votes(command_id);
+
+ALTER TABLE subday_session_entries ADD COLUMN IF NOT EXISTS votes REAL NOT NULL DEFAULT 0;
+
+ALTER TABLE subday_draws ADD COLUMN IF NOT EXISTS use_votes BOOLEAN NOT NULL DEFAULT false;
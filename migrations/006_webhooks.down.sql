@@ -0,0 +1,2 @@
+-- Drops the webhooks and their delivery log
+DROP TABLE IF EXISTS webhook_deliveries, webhooks;
@@ -0,0 +1,3 @@
+-- Drops the open/closed state and schedules of every channel, which
+-- leaves them all open
+DROP TABLE IF EXISTS submission_windows;
@@ -0,0 +1,9 @@
+-- Whether a channel accepts % submissions, plus optional scheduled changes
+CREATE TABLE IF NOT EXISTS submission_windows (
+  channel VARCHAR(255) PRIMARY KEY,
+  is_open BOOLEAN NOT NULL DEFAULT true,
+  opens_at TIMESTAMPTZ,
+  closes_at TIMESTAMPTZ,
+  updated_by VARCHAR(255),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
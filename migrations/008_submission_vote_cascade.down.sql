@@ -0,0 +1,2 @@
+-- Votes stay behind when their submission is deleted
+ALTER TABLE submission_votes DROP CONSTRAINT IF EXISTS submission_votes_command_id_fkey;
@@ -0,0 +1,9 @@
+-- Votes belong to the submission they are for and are deleted with it, which
+-- gives the voter their vote back. Votes left behind by submissions deleted
+-- before this are dropped.
+DELETE FROM submission_votes v
+WHERE NOT EXISTS (SELECT 1 FROM subscriber_commands c WHERE c.id = v.command_id);
+
+ALTER TABLE submission_votes
+ADD CONSTRAINT submission_votes_command_id_fkey
+FOREIGN KEY (command_id) REFERENCES subscriber_commands(id) ON DELETE CASCADE;
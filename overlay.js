@@ -0,0 +1,241 @@
+// OBS overlay: a page to use as a browser source that shows the submission
+// queue and the current pick of a channel, updated live over Server-Sent Events.
+//
+// /overlay/:channel?layout=list|current|ticker&limit=10&title=Subday&votes=1&size=24
+import express from "express";
+import { getAllCommands, getVoteTotals, listDraws, findActiveSession } from "./db.js";
+import { normalizeChannel, isConfiguredChannel } from "./channels.js";
+import { isSubmissionWindowOpen } from "./windows.js";
+import { onChannelChanged } from "./events.js";
+import { escapeHtml } from "./html.js";
+
+const LAYOUTS = ['list', 'current', 'ticker'];
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keep proxies from closing idle streams
+const UPDATE_DELAY = 250; // Batch bursts of changes into one update
+
+const streams = new Map(); // channel -> { clients: Set of responses, timer }
+
+// What the overlay shows: pending/picked submissions and the last draw of the
+// current session
+export async function getOverlayState(channel) {
+  const [rows, totals, draws, session] = await Promise.all([
+    getAllCommands(channel),
+    getVoteTotals(channel),
+    listDraws(channel, 1),
+    findActiveSession(channel),
+  ]);
+  const votes = new Map(totals.map(total => [total.submission_id, total.votes]));
+  const lastDraw = session && draws[0]?.session_id === session.id ? draws[0] : null;
+
+  return {
+    channel,
+    open: isSubmissionWindowOpen(channel),
+    queue: rows
+      .filter(row => row.status === 'pending')
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map(row => ({
+        id: row.id,
+        name: row.display_name || row.name,
+        message: row.message,
+        tier: row.tier,
+        slot: row.slot,
+        votes: votes.get(row.id) || 0,
+      })),
+    current: lastDraw && {
+      id: lastDraw.command_id,
+      name: lastDraw.name,
+      message: lastDraw.message,
+      tier: lastDraw.tier,
+      drawnAt: lastDraw.created_at,
+    },
+  };
+}
+
+async function sendState(channel, clients) {
+  try {
+    const data = JSON.stringify(await getOverlayState(channel));
+    for (const res of clients) {
+      res.write(`event: state\ndata: ${data}\n\n`);
+    }
+  } catch (error) {
+    console.error(`[OVERLAY] Error loading state for ${channel}:`, error);
+  }
+}
+
+// Push the new state to every overlay of a channel, once per burst of changes
+function scheduleUpdate(channel) {
+  const stream = streams.get(channel);
+  if (!stream || stream.timer) return;
+  stream.timer = setTimeout(() => {
+    stream.timer = null;
+    sendState(channel, stream.clients);
+  }, UPDATE_DELAY);
+}
+
+onChannelChanged(channel => scheduleUpdate(channel));
+
+function parseOptions(query) {
+  const limit = parseInt(query.limit);
+  const size = parseInt(query.size);
+  return {
+    layout: LAYOUTS.includes(query.layout) ? query.layout : 'list',
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 50) : 10,
+    title: typeof query.title === 'string' ? query.title.slice(0, 100) : 'Subday',
+    votes: query.votes === '1' || query.votes === 'true',
+    size: Number.isInteger(size) && size >= 8 && size <= 96 ? size : 24,
+  };
+}
+
+// JSON for an inline <script>, safe against "</script>" in user text
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function renderOverlay(channel, options) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(options.title)} - ${escapeHtml(channel)}</title>
+    <style>
+      html, body { margin: 0; background: transparent; color: #fff; font-family: sans-serif; font-size: ${options.size}px; }
+      body { padding: 0.5em; text-shadow: 0 0 4px #000, 0 0 2px #000; }
+      h1 { font-size: 1.2em; margin: 0 0 0.3em; }
+      .current { background: rgba(145, 70, 255, 0.85); border-radius: 0.3em; padding: 0.4em 0.6em; margin-bottom: 0.5em; }
+      .current .label { font-size: 0.7em; text-transform: uppercase; opacity: 0.8; }
+      .current .message { font-size: 1.3em; font-weight: bold; }
+      ol { margin: 0; padding-left: 1.5em; }
+      li { margin: 0.15em 0; }
+      .name, .meta { opacity: 0.75; font-size: 0.8em; }
+      .empty { opacity: 0.75; }
+      body.layout-current .queue, body.layout-current h1 { display: none; }
+      body.layout-current .current { font-size: 1.3em; }
+      body.layout-ticker { white-space: nowrap; overflow: hidden; }
+      body.layout-ticker h1, body.layout-ticker .current, body.layout-ticker ol { display: none; }
+      .ticker { display: none; }
+      body.layout-ticker .ticker { display: inline-block; padding-left: 100%; animation: scroll 30s linear infinite; }
+      @keyframes scroll { from { transform: translateX(0); } to { transform: translateX(-100%); } }
+    </style>
+  </head>
+  <body class="layout-${options.layout}">
+    <h1></h1>
+    <div class="current" hidden>
+      <div class="label">Now playing</div>
+      <div class="message"></div>
+      <div class="name"></div>
+    </div>
+    <div class="queue">
+      <ol></ol>
+      <div class="empty" hidden>No picks yet</div>
+    </div>
+    <div class="ticker"></div>
+    <script>
+      const options = ${scriptJson(options)};
+      const channel = ${scriptJson(channel)};
+
+      function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+      }
+
+      function render(state) {
+        const queue = state.queue.slice(0, options.limit);
+        document.querySelector('h1').textContent = options.title + (state.open ? '' : ' (closed)');
+
+        const current = document.querySelector('.current');
+        current.hidden = !state.current;
+        if (state.current) {
+          current.querySelector('.message').textContent = state.current.message;
+          current.querySelector('.name').textContent = state.current.name + ' - tier ' + state.current.tier;
+        }
+
+        const list = document.querySelector('ol');
+        list.replaceChildren(...queue.map(entry => {
+          const item = element('li');
+          item.append(element('span', 'message', entry.message + ' '));
+          item.append(element('span', 'name', entry.name));
+          if (options.votes && entry.votes) {
+            item.append(element('span', 'meta', ' - ' + entry.votes + (entry.votes === 1 ? ' vote' : ' votes')));
+          }
+          return item;
+        }));
+        document.querySelector('.empty').hidden = queue.length > 0;
+        if (state.queue.length > queue.length) {
+          list.append(element('li', 'meta', '+' + (state.queue.length - queue.length) + ' more'));
+        }
+
+        const parts = [];
+        if (state.current) parts.push('Now playing: ' + state.current.message + ' (' + state.current.name + ')');
+        parts.push(...queue.map(entry => entry.message + ' (' + entry.name + ')'));
+        document.querySelector('.ticker').textContent = parts.join('   •   ') || 'No picks yet';
+      }
+
+      const events = new EventSource('/overlay/' + encodeURIComponent(channel) + '/events');
+      events.addEventListener('state', event => render(JSON.parse(event.data)));
+    </script>
+  </body>
+</html>`;
+}
+
+// Routes mounted under /overlay. Read-only and unauthenticated, like /api, so
+// they can be added to OBS as a plain URL.
+export function createOverlayRouter() {
+  const router = express.Router();
+
+  // Only channels the bot joins have an overlay
+  router.param('channel', (req, res, next, channel) => {
+    if (!isConfiguredChannel(channel)) {
+      return res.status(404).json({ error: 'Unknown channel' });
+    }
+    next();
+  });
+
+  router.get("/:channel", (req, res) => {
+    const channel = normalizeChannel(req.params.channel);
+    res.send(renderOverlay(channel, parseOptions(req.query)));
+  });
+
+  // Current state as JSON, the same payload the event stream sends
+  router.get("/:channel/state", async (req, res) => {
+    try {
+      res.json(await getOverlayState(normalizeChannel(req.params.channel)));
+    } catch (error) {
+      console.error('Overlay error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Server-Sent Events: a "state" event on connect and after every change
+  router.get("/:channel/events", (req, res) => {
+    const channel = normalizeChannel(req.params.channel);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    if (!streams.has(channel)) {
+      streams.set(channel, { clients: new Set(), timer: null });
+    }
+    const stream = streams.get(channel);
+    stream.clients.add(res);
+    sendState(channel, [res]);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      stream.clients.delete(res);
+      if (stream.clients.size === 0) {
+        clearTimeout(stream.timer);
+        streams.delete(channel);
+      }
+    });
+  });
+
+  return router;
+}
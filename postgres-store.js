@@ -0,0 +1,1239 @@
+// Postgres storage backend, the default. Every function of the storage
+// interface (see db.js) runs against the pool, with the schema managed by
+// migrations.js.
+import pkg from 'pg';
+import { SUBMISSION_SORT_COLUMNS } from './submissions.js';
+const { Pool, Client } = pkg;
+
+const connectionConfig = {
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('sslmode=require') || process.env.DATABASE_URL?.includes('neon.tech')
+    ? { rejectUnauthorized: false }
+    : false
+};
+
+export const pool = new Pool(connectionConfig);
+
+const CHANGES_CHANNEL = 'subscriber_commands_changed'; // LISTEN/NOTIFY channel
+const LISTEN_RETRY_DELAY = 5 * 1000;
+
+// Test connection on startup
+pool.on('connect', () => {
+  console.log('Database connection established');
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected database pool error:', err);
+});
+
+const COMMAND_COLUMNS = 'id, channel, user_id, name, display_name, message, tier, slot, status, revision_id, game_id, game_pinned, created_at, updated_at';
+
+// Get all commands from database, optionally for a single channel
+export async function getAllCommands(channel = null) {
+  const result = await pool.query(
+    `SELECT ${COMMAND_COLUMNS} FROM subscriber_commands
+     WHERE $1::text IS NULL OR channel = $1`,
+    [channel]
+  );
+  return result.rows;
+}
+
+// Get command by channel and login name
+export async function getCommandByName(channel, name) {
+  const result = await pool.query(
+    `SELECT ${COMMAND_COLUMNS} FROM subscriber_commands WHERE channel = $1 AND name = $2
+     ORDER BY user_id IS NULL, updated_at DESC LIMIT 1`,
+    [channel, name]
+  );
+  return result.rows[0] || null;
+}
+
+// Get command by channel and Twitch user ID
+export async function getCommandByUserId(channel, userId) {
+  const result = await pool.query(
+    `SELECT ${COMMAND_COLUMNS} FROM subscriber_commands WHERE channel = $1 AND user_id = $2
+     ORDER BY slot LIMIT 1`,
+    [channel, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// List commands with optional filters, sorting and pagination.
+// Returns { rows, total } where total ignores limit/offset.
+export async function listCommands({
+  channel = null,
+  tiers = null,
+  statuses = null,
+  from = null,
+  to = null,
+  dateField = 'updated_at',
+  sort = 'updated_at',
+  order = 'desc',
+  limit = 50,
+  offset = 0,
+} = {}) {
+  if (!['created_at', 'updated_at'].includes(dateField)) {
+    throw new Error(`Invalid date field: ${dateField}`);
+  }
+  if (!SUBMISSION_SORT_COLUMNS.includes(sort)) {
+    throw new Error(`Invalid sort column: ${sort}`);
+  }
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+  if (channel) addCondition('channel = ?', channel);
+  if (tiers?.length) addCondition('tier = ANY(?)', tiers);
+  if (statuses?.length) addCondition('status = ANY(?)', statuses);
+  if (from) addCondition(`${dateField} >= ?`, from);
+  if (to) addCondition(`${dateField} <= ?`, to);
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) FROM subscriber_commands ${where}`,
+    params
+  );
+  const result = await pool.query(
+    `SELECT ${COMMAND_COLUMNS} FROM subscriber_commands ${where}
+     ORDER BY ${sort} ${direction}, id ${direction}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+// Get a user's command in a channel by Twitch user ID or login
+export async function getCommandForUser(channel, user) {
+  const rows = await getCommandsForUser(channel, user);
+  return rows[0] || null;
+}
+
+// Get every slot of a user in a channel, by Twitch user ID or login, by slot
+export async function getCommandsForUser(channel, user) {
+  const result = await pool.query(
+    `WITH target AS (
+       SELECT user_id, name FROM subscriber_commands
+       WHERE channel = $1 AND (user_id = $2 OR name = lower($2))
+       ORDER BY user_id = $2 DESC NULLS LAST, updated_at DESC
+       LIMIT 1
+     )
+     SELECT ${COMMAND_COLUMNS.split(', ').map(column => `c.${column}`).join(', ')}
+     FROM subscriber_commands c, target t
+     WHERE c.channel = $1
+     AND (c.user_id = t.user_id OR (t.user_id IS NULL AND c.user_id IS NULL AND c.name = t.name))
+     ORDER BY c.slot`,
+    [channel, user]
+  );
+  return result.rows;
+}
+
+// Get command by ID
+export async function getCommandById(id) {
+  const result = await pool.query(
+    `SELECT ${COMMAND_COLUMNS} FROM subscriber_commands WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// Update the message, tier and/or status of a command. Fields left undefined are kept.
+export async function updateCommand(id, { message, tier, status } = {}) {
+  try {
+    const result = await pool.query(
+      `UPDATE subscriber_commands
+       SET message = COALESCE($2, message),
+           tier = COALESCE($3, tier),
+           status = COALESCE($4, status),
+           game_pinned = CASE WHEN $2::text IS NULL THEN game_pinned ELSE false END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${COMMAND_COLUMNS}`,
+      [id, message ?? null, tier ?? null, status ?? null]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] updateCommand error:', error);
+    throw error;
+  }
+}
+
+// Delete a command by ID, returning the deleted row
+export async function deleteCommand(id) {
+  try {
+    const result = await pool.query(
+      `DELETE FROM subscriber_commands WHERE id = $1 RETURNING ${COMMAND_COLUMNS}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] deleteCommand error:', error);
+    throw error;
+  }
+}
+
+// Delete one slot of a user in a channel, returning the deleted row
+export async function deleteCommandSlot(channel, userId, slot) {
+  try {
+    const result = await pool.query(
+      `DELETE FROM subscriber_commands WHERE channel = $1 AND user_id = $2 AND slot = $3
+       RETURNING ${COMMAND_COLUMNS}`,
+      [channel, userId, slot]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] deleteCommandSlot error:', error);
+    throw error;
+  }
+}
+
+// Delete every command of a channel, returning how many were removed
+export async function deleteChannelCommands(channel) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM subscriber_commands WHERE channel = $1',
+      [channel]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('[DB] deleteChannelCommands error:', error);
+    throw error;
+  }
+}
+
+// Count commands per channel
+export async function countCommandsByChannel() {
+  const result = await pool.query(
+    'SELECT channel, COUNT(*) AS count FROM subscriber_commands GROUP BY channel ORDER BY channel'
+  );
+  return result.rows.map(row => ({ channel: row.channel, count: parseInt(row.count) }));
+}
+
+// Insert or update command (upsert) for a user identified by { userId, login, displayName }.
+// Legacy name-only rows for the same login, up to slotLimit of them, are
+// claimed first so the user does not get a second set of rows.
+// Each call is recorded in submission_revisions; rawText is the chat message as
+// sent, if it differs from the stored message.
+export async function upsertCommand(channel, user, message, tier, rawText = message, slot = 1, slotLimit = slot) {
+  const client = await pool.connect();
+  try {
+    console.log(`[DB] upsertCommand called with: channel=${channel}, userId=${user.userId}, login=${user.login}, slot=${slot}, message=${message.substring(0, 50)}, tier=${tier}`);
+    await client.query('BEGIN');
+    await claimLegacyCommands(client, channel, user, slotLimit);
+    const result = await client.query(
+      `INSERT INTO subscriber_commands (channel, user_id, name, display_name, message, tier, slot, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+       ON CONFLICT (channel, user_id, slot) 
+       DO UPDATE SET name = $3, display_name = $4, message = $5, tier = $6, game_pinned = false, updated_at = CURRENT_TIMESTAMP
+       RETURNING ${COMMAND_COLUMNS}`,
+      [channel, user.userId, user.login, user.displayName, message, tier, slot]
+    );
+    const session = await ensureActiveSession(client, channel);
+    const revision = await client.query(
+      `INSERT INTO submission_revisions (command_id, session_id, channel, user_id, name, tier, slot, raw_text)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [result.rows[0].id, session.id, channel, user.userId, user.login, tier, slot, rawText]
+    );
+    const command = await client.query(
+      `UPDATE subscriber_commands SET revision_id = $2 WHERE id = $1
+       RETURNING ${COMMAND_COLUMNS}`,
+      [result.rows[0].id, revision.rows[0].id]
+    );
+    await client.query('COMMIT');
+    console.log(`[DB] upsertCommand successful, returned:`, command.rows[0]);
+    return command.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`[DB] upsertCommand error:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Write imported submissions in one transaction. Rows with an id update that
+// submission; the others are inserted, without a user ID when the file had none
+// (legacy rows, claimed when the user next sends a pick). Each write is recorded
+// in submission_revisions. Returns the written rows.
+export async function importCommands(channel, rows) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const session = await ensureActiveSession(client, channel);
+    const written = [];
+    for (const row of rows) {
+      const result = row.id
+        ? await client.query(
+          `UPDATE subscriber_commands
+           SET display_name = COALESCE($3, display_name),
+               message = $4,
+               tier = $5,
+               status = $6,
+               game_pinned = CASE WHEN message = $4 THEN game_pinned ELSE false END,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND channel = $2
+           RETURNING ${COMMAND_COLUMNS}`,
+          [row.id, channel, row.display_name, row.message, row.tier, row.status]
+        )
+        : await client.query(
+          `INSERT INTO subscriber_commands
+             (channel, user_id, name, display_name, message, tier, slot, status, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::timestamptz, CURRENT_TIMESTAMP), COALESCE($10::timestamptz, $9::timestamptz, CURRENT_TIMESTAMP))
+           RETURNING ${COMMAND_COLUMNS}`,
+          [channel, row.user_id, row.name, row.display_name, row.message, row.tier, row.slot, row.status,
+            row.created_at, row.updated_at]
+        );
+      if (!result.rows[0]) continue;
+      const command = result.rows[0];
+      const revision = await client.query(
+        `INSERT INTO submission_revisions (command_id, session_id, channel, user_id, name, tier, slot, raw_text)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [command.id, session.id, channel, command.user_id, command.name, command.tier, command.slot, command.message]
+      );
+      const updated = await client.query(
+        `UPDATE subscriber_commands SET revision_id = $2 WHERE id = $1
+         RETURNING ${COMMAND_COLUMNS}`,
+        [command.id, revision.rows[0].id]
+      );
+      written.push(updated.rows[0]);
+    }
+    await client.query('COMMIT');
+    return written;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[DB] importCommands error:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Attach a Twitch user ID to the legacy name-only rows for this login, if the
+// user has no row of their own in the channel yet. The rows are claimed in
+// slot order and renumbered into slots 1, 2, ... up to slotLimit; any beyond
+// that stay legacy rows.
+async function claimLegacyCommands(client, channel, user, slotLimit) {
+  const result = await client.query(
+    `UPDATE subscriber_commands
+     SET user_id = $2, display_name = $4, slot = legacy.new_slot
+     FROM (
+       SELECT id AS legacy_id, ROW_NUMBER() OVER (ORDER BY slot, updated_at DESC, id) AS new_slot
+       FROM subscriber_commands
+       WHERE channel = $1 AND user_id IS NULL AND name = $3
+     ) legacy
+     WHERE id = legacy.legacy_id AND legacy.new_slot <= $5
+     AND NOT EXISTS (
+       SELECT 1 FROM subscriber_commands WHERE channel = $1 AND user_id = $2
+     )
+     RETURNING ${COMMAND_COLUMNS}`,
+    [channel, user.userId, user.login, user.displayName, slotLimit]
+  );
+  return result.rows.sort((a, b) => a.slot - b.slot);
+}
+
+// Claim the legacy name-only rows of a user without changing their messages
+export async function claimLegacyCommandsForUser(channel, user, slotLimit = 1) {
+  try {
+    return await claimLegacyCommands(pool, channel, user, slotLimit);
+  } catch (error) {
+    console.error('[DB] claimLegacyCommandsForUser error:', error);
+    throw error;
+  }
+}
+
+// Get the distinct logins of rows that have no Twitch user ID yet
+export async function getLegacyCommandNames() {
+  const result = await pool.query(
+    'SELECT DISTINCT name FROM subscriber_commands WHERE user_id IS NULL ORDER BY name'
+  );
+  return result.rows.map(row => row.name);
+}
+
+// Backfill the Twitch user ID on every legacy row for a login, skipping channels
+// where that user already has a row of their own
+export async function assignUserIdToLegacyCommands(user) {
+  try {
+    const result = await pool.query(
+      `UPDATE subscriber_commands AS legacy
+       SET user_id = $1, display_name = $3
+       WHERE legacy.user_id IS NULL AND legacy.name = $2
+       AND NOT EXISTS (
+         SELECT 1 FROM subscriber_commands existing
+         WHERE existing.channel = legacy.channel AND existing.user_id = $1
+       )
+       RETURNING ${COMMAND_COLUMNS}`,
+      [user.userId, user.login, user.displayName]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[DB] assignUserIdToLegacyCommands error:', error);
+    throw error;
+  }
+}
+
+// Update the mutable login and display name stored for a Twitch user ID
+export async function updateCommandUserNames(user) {
+  try {
+    const result = await pool.query(
+      `UPDATE subscriber_commands
+       SET name = $2, display_name = $3
+       WHERE user_id = $1 AND (name IS DISTINCT FROM $2 OR display_name IS DISTINCT FROM $3)
+       RETURNING ${COMMAND_COLUMNS}`,
+      [user.userId, user.login, user.displayName]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[DB] updateCommandUserNames error:', error);
+    throw error;
+  }
+}
+
+// Get the Twitch OAuth token of the active bot account from database
+export async function getTwitchToken() {
+  try {
+    const result = await pool.query(
+      'SELECT username, access_token, refresh_token, expires_at, scope FROM twitch_oauth_tokens WHERE is_active'
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] getTwitchToken error:', error);
+    throw error;
+  }
+}
+
+// Save Twitch OAuth token to database
+export async function saveTwitchToken(username, accessToken, refreshToken, expiresAt, scope) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO twitch_oauth_tokens (username, access_token, refresh_token, expires_at, scope, updated_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+       ON CONFLICT (username) 
+       DO UPDATE SET 
+         access_token = $2, 
+         refresh_token = $3, 
+         expires_at = $4, 
+         scope = $5, 
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING username, access_token, refresh_token, expires_at, scope`,
+      [username, accessToken, refreshToken, expiresAt, scope]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('[DB] saveTwitchToken error:', error);
+    throw error;
+  }
+}
+
+// List the accounts that have authorized the bot, without their tokens
+export async function listTwitchAccounts() {
+  const result = await pool.query(
+    `SELECT username, is_active, expires_at, scope, created_at, updated_at
+     FROM twitch_oauth_tokens ORDER BY username`
+  );
+  return result.rows;
+}
+
+// Make a stored account the one the bot runs as. Returns false if it has no token.
+export async function setActiveTwitchAccount(username) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const exists = await client.query(
+      'SELECT 1 FROM twitch_oauth_tokens WHERE username = $1 FOR UPDATE',
+      [username]
+    );
+    if (exists.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    await client.query('UPDATE twitch_oauth_tokens SET is_active = false WHERE is_active AND username <> $1', [username]);
+    await client.query('UPDATE twitch_oauth_tokens SET is_active = true WHERE username = $1', [username]);
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[DB] setActiveTwitchAccount error:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Update Twitch OAuth token in database
+export async function updateTwitchToken(username, accessToken, refreshToken, expiresAt) {
+  try {
+    const result = await pool.query(
+      `UPDATE twitch_oauth_tokens 
+       SET access_token = $2, 
+           refresh_token = COALESCE($3, refresh_token), 
+           expires_at = $4, 
+           updated_at = CURRENT_TIMESTAMP
+       WHERE username = $1
+       RETURNING username, access_token, refresh_token, expires_at, scope`,
+      [username, accessToken, refreshToken, expiresAt]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] updateTwitchToken error:', error);
+    throw error;
+  }
+}
+
+// Update the tier of a user's commands (every slot), e.g. once their real plan is known
+export async function updateCommandTier(channel, userId, tier) {
+  try {
+    const result = await pool.query(
+      `UPDATE subscriber_commands
+       SET tier = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE channel = $1 AND user_id = $2 AND tier <> $3
+       RETURNING ${COMMAND_COLUMNS}`,
+      [channel, userId, tier]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[DB] updateCommandTier error:', error);
+    throw error;
+  }
+}
+
+// Get all known subscription tiers
+export async function getAllSubscriberTiers() {
+  const result = await pool.query(
+    'SELECT channel, user_id, login, tier, plan, source, last_seen_at FROM subscriber_tiers'
+  );
+  return result.rows;
+}
+
+// Insert or update the known subscription tier of a user in a channel
+export async function upsertSubscriberTier(channel, userId, login, tier, plan, source) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO subscriber_tiers (channel, user_id, login, tier, plan, source, last_seen_at)
+       VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+       ON CONFLICT (channel, user_id)
+       DO UPDATE SET login = $3, tier = $4, plan = $5, source = $6, last_seen_at = CURRENT_TIMESTAMP
+       RETURNING channel, user_id, login, tier, plan, source, last_seen_at`,
+      [channel, userId, login, tier, plan, source]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('[DB] upsertSubscriberTier error:', error);
+    throw error;
+  }
+}
+
+const DRAW_COLUMNS = 'id, session_id, channel, command_id, user_id, name, message, tier, seed, weights, candidates, use_votes, drawn_by, created_at';
+
+// Draw one pending command of a channel and mark it picked, atomically.
+// choose(rows) gets the pending rows ordered by ID, with their vote totals, and
+// returns { row, seed, weights, candidates, useVotes }, or null when there is
+// nothing to draw.
+// Returns { draw, command } or null.
+export async function drawPendingCommand(channel, choose, drawnBy) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const pending = await client.query(
+      `SELECT ${COMMAND_COLUMNS},
+         (SELECT COALESCE(SUM(v.weight), 0) FROM submission_votes v WHERE v.command_id = subscriber_commands.id)::real AS votes
+       FROM subscriber_commands
+       WHERE channel = $1 AND status = 'pending'
+       ORDER BY id
+       FOR UPDATE`,
+      [channel]
+    );
+    const choice = choose(pending.rows);
+    if (!choice) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const command = await client.query(
+      `UPDATE subscriber_commands SET status = 'picked', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${COMMAND_COLUMNS}`,
+      [choice.row.id]
+    );
+    const session = await ensureActiveSession(client, channel);
+    const draw = await client.query(
+      `INSERT INTO subday_draws (session_id, channel, command_id, user_id, name, message, tier, seed, weights, candidates, use_votes, drawn_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING ${DRAW_COLUMNS}`,
+      [
+        session.id,
+        channel,
+        choice.row.id,
+        choice.row.user_id,
+        choice.row.display_name || choice.row.name,
+        choice.row.message,
+        choice.row.tier,
+        choice.seed,
+        JSON.stringify(choice.weights),
+        JSON.stringify(choice.candidates),
+        Boolean(choice.useVotes),
+        drawnBy,
+      ]
+    );
+    await client.query('COMMIT');
+    return { draw: draw.rows[0], command: command.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[DB] drawPendingCommand error:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// List the latest draws of a channel
+export async function listDraws(channel, limit = 20) {
+  const result = await pool.query(
+    `SELECT ${DRAW_COLUMNS} FROM subday_draws WHERE channel = $1
+     ORDER BY created_at DESC, id DESC LIMIT $2`,
+    [channel, limit]
+  );
+  return result.rows;
+}
+
+// Get the submission window of every channel that has one
+export async function getAllSubmissionWindows() {
+  const result = await pool.query(
+    'SELECT channel, is_open, opens_at, closes_at, updated_by, updated_at FROM submission_windows'
+  );
+  return result.rows;
+}
+
+// Insert or replace the submission window of a channel
+export async function saveSubmissionWindow(channel, { isOpen, opensAt, closesAt, updatedBy }) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO submission_windows (channel, is_open, opens_at, closes_at, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+       ON CONFLICT (channel)
+       DO UPDATE SET is_open = $2, opens_at = $3, closes_at = $4, updated_by = $5, updated_at = CURRENT_TIMESTAMP
+       RETURNING channel, is_open, opens_at, closes_at, updated_by, updated_at`,
+      [channel, isOpen, opensAt, closesAt, updatedBy]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('[DB] saveSubmissionWindow error:', error);
+    throw error;
+  }
+}
+
+const SESSION_COLUMNS = 'id, channel, started_by, ended_by, started_at, ended_at';
+
+// Get the open session of a channel, creating it if there is none
+async function ensureActiveSession(client, channel) {
+  await client.query(
+    `INSERT INTO subday_sessions (channel) VALUES ($1)
+     ON CONFLICT (channel) WHERE ended_at IS NULL DO NOTHING`,
+    [channel]
+  );
+  const result = await client.query(
+    `SELECT ${SESSION_COLUMNS} FROM subday_sessions WHERE channel = $1 AND ended_at IS NULL`,
+    [channel]
+  );
+  return result.rows[0];
+}
+
+// Get the open session of a channel without creating one, or null
+export async function findActiveSession(channel) {
+  try {
+    const result = await pool.query(
+      `SELECT ${SESSION_COLUMNS} FROM subday_sessions WHERE channel = $1 AND ended_at IS NULL`,
+      [channel]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] findActiveSession error:', error);
+    throw error;
+  }
+}
+
+// Get the open session of a channel, creating it if there is none
+export async function getActiveSession(channel) {
+  try {
+    return await ensureActiveSession(pool, channel);
+  } catch (error) {
+    console.error('[DB] getActiveSession error:', error);
+    throw error;
+  }
+}
+
+// End the open session of a channel and start a new one. The current
+// submissions, with their status as outcome, are archived into the ended
+// session and removed from subscriber_commands.
+// Returns { ended, started, archived } where archived is the number of entries.
+export async function startNewSession(channel, startedBy) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await ensureActiveSession(client, channel);
+    await client.query('SELECT id FROM subday_sessions WHERE id = $1 FOR UPDATE', [current.id]);
+
+    const archived = await client.query(
+      `INSERT INTO subday_session_entries
+         (session_id, command_id, channel, user_id, name, display_name, message, tier, slot, status, revision_id, votes, created_at, updated_at)
+       SELECT $1, id, channel, user_id, name, display_name, message, tier, slot, status, revision_id,
+         (SELECT COALESCE(SUM(v.weight), 0) FROM submission_votes v WHERE v.command_id = subscriber_commands.id),
+         created_at, updated_at
+       FROM subscriber_commands WHERE channel = $2`,
+      [current.id, channel]
+    );
+    await client.query('DELETE FROM subscriber_commands WHERE channel = $1', [channel]);
+
+    const ended = await client.query(
+      `UPDATE subday_sessions SET ended_at = CURRENT_TIMESTAMP, ended_by = $2
+       WHERE id = $1
+       RETURNING ${SESSION_COLUMNS}`,
+      [current.id, startedBy]
+    );
+    const started = await client.query(
+      `INSERT INTO subday_sessions (channel, started_by) VALUES ($1, $2)
+       RETURNING ${SESSION_COLUMNS}`,
+      [channel, startedBy]
+    );
+    await client.query('COMMIT');
+    return { ended: ended.rows[0], started: started.rows[0], archived: archived.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[DB] startNewSession error:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// List the sessions of a channel, newest first, with entry and draw counts.
+// The open session counts the current submissions.
+export async function listSessions(channel, limit = 20, offset = 0) {
+  const result = await pool.query(
+    `SELECT ${SESSION_COLUMNS.split(', ').map(column => `s.${column}`).join(', ')},
+       CASE WHEN s.ended_at IS NULL
+         THEN (SELECT COUNT(*) FROM subscriber_commands c WHERE c.channel = s.channel)
+         ELSE (SELECT COUNT(*) FROM subday_session_entries e WHERE e.session_id = s.id)
+       END::int AS entry_count,
+       (SELECT COUNT(*) FROM subday_draws d WHERE d.session_id = s.id)::int AS draw_count
+     FROM subday_sessions s
+     WHERE s.channel = $1
+     ORDER BY s.started_at DESC, s.id DESC
+     LIMIT $2 OFFSET $3`,
+    [channel, limit, offset]
+  );
+  return result.rows;
+}
+
+// Get a session by ID
+export async function getSessionById(id) {
+  const result = await pool.query(
+    `SELECT ${SESSION_COLUMNS} FROM subday_sessions WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// Entries of an ended session, as archived
+export async function getSessionEntries(sessionId) {
+  const result = await pool.query(
+    `SELECT id, session_id, command_id, channel, user_id, name, display_name, message, tier, slot, status, revision_id, votes, created_at, updated_at
+     FROM subday_session_entries WHERE session_id = $1
+     ORDER BY created_at, id`,
+    [sessionId]
+  );
+  return result.rows;
+}
+
+// Draws made during a session
+export async function getSessionDraws(sessionId) {
+  const result = await pool.query(
+    `SELECT ${DRAW_COLUMNS} FROM subday_draws WHERE session_id = $1 ORDER BY created_at, id`,
+    [sessionId]
+  );
+  return result.rows;
+}
+
+// Edit timeline of a user in a channel, by Twitch user ID or login, oldest first.
+// Pass a session ID to only get the revisions made during that session.
+export async function getUserRevisions(channel, user, sessionId = null) {
+  const result = await pool.query(
+    `SELECT r.id, r.command_id, r.session_id, r.channel, r.user_id, r.name, r.tier, r.slot, r.raw_text, r.created_at,
+       EXISTS (SELECT 1 FROM subscriber_commands c WHERE c.revision_id = r.id) AS is_current
+     FROM submission_revisions r
+     WHERE r.channel = $1
+     AND (r.user_id = $2 OR r.user_id = (
+       SELECT user_id FROM submission_revisions
+       WHERE channel = $1 AND name = lower($2) AND user_id IS NOT NULL
+       ORDER BY created_at DESC LIMIT 1
+     ) OR (r.user_id IS NULL AND r.name = lower($2)))
+     AND ($3::int IS NULL OR r.session_id = $3)
+     ORDER BY r.created_at, r.id`,
+    [channel, user, sessionId]
+  );
+  return result.rows;
+}
+
+// Get the banned words of every channel
+export async function getAllBannedWords() {
+  const result = await pool.query(
+    'SELECT channel, word, added_by, created_at FROM channel_banned_words ORDER BY channel, word'
+  );
+  return result.rows;
+}
+
+// Add a banned word to a channel. Returns false if it was already banned.
+export async function addBannedWord(channel, word, addedBy) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO channel_banned_words (channel, word, added_by) VALUES ($1, $2, $3)
+       ON CONFLICT (channel, word) DO NOTHING`,
+      [channel, word, addedBy]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('[DB] addBannedWord error:', error);
+    throw error;
+  }
+}
+
+// Remove a banned word from a channel. Returns false if it was not banned.
+export async function removeBannedWord(channel, word) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM channel_banned_words WHERE channel = $1 AND word = $2',
+      [channel, word]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('[DB] removeBannedWord error:', error);
+    throw error;
+  }
+}
+
+// Record a rejected % message and why it was rejected
+export async function recordRejection(channel, user, rawText, reason, detail) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO submission_rejections (channel, user_id, name, raw_text, reason, detail)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, channel, user_id, name, raw_text, reason, detail, created_at`,
+      [channel, user.userId, user.login, rawText, reason, detail]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('[DB] recordRejection error:', error);
+    throw error;
+  }
+}
+
+// List rejected % messages of a channel, newest first
+export async function listRejections(channel, { reason = null, limit = 50, offset = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT id, channel, user_id, name, raw_text, reason, detail, created_at
+     FROM submission_rejections
+     WHERE channel = $1 AND ($2::text IS NULL OR reason = $2)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $3 OFFSET $4`,
+    [channel, reason, limit, offset]
+  );
+  return result.rows;
+}
+
+// Get the game catalog, each title with its aliases
+export async function getGameCatalog() {
+  const games = await pool.query(
+    'SELECT id, title, key, added_by, created_at FROM game_catalog ORDER BY title'
+  );
+  const aliases = await pool.query(
+    'SELECT key, game_id FROM game_aliases ORDER BY key'
+  );
+  return games.rows.map(game => ({
+    ...game,
+    aliases: aliases.rows.filter(alias => alias.game_id === game.id).map(alias => alias.key),
+  }));
+}
+
+// Add a title to the catalog. Returns the existing entry if the key is taken.
+export async function insertCatalogGame(title, key, addedBy) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO game_catalog (title, key, added_by) VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO NOTHING
+       RETURNING id, title, key, added_by, created_at`,
+      [title, key, addedBy]
+    );
+    if (result.rows[0]) {
+      return { ...result.rows[0], created: true };
+    }
+    const existing = await pool.query(
+      'SELECT id, title, key, added_by, created_at FROM game_catalog WHERE key = $1',
+      [key]
+    );
+    return { ...existing.rows[0], created: false };
+  } catch (error) {
+    console.error('[DB] insertCatalogGame error:', error);
+    throw error;
+  }
+}
+
+// Point an alias key at a catalog title, moving it if it belonged to another one
+export async function upsertGameAlias(key, gameId, addedBy) {
+  try {
+    await pool.query(
+      `INSERT INTO game_aliases (key, game_id, added_by) VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO UPDATE SET game_id = $2, added_by = $3`,
+      [key, gameId, addedBy]
+    );
+  } catch (error) {
+    console.error('[DB] upsertGameAlias error:', error);
+    throw error;
+  }
+}
+
+// Remove a title from the catalog, returning the deleted entry
+export async function deleteCatalogGame(id) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM game_catalog WHERE id = $1 RETURNING id, title, key',
+      [id]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] deleteCatalogGame error:', error);
+    throw error;
+  }
+}
+
+// Fold one catalog title into another: its key and aliases become aliases of
+// the target and its submissions move over
+export async function mergeCatalogGames(fromId, intoId, mergedBy) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const from = await client.query('SELECT key FROM game_catalog WHERE id = $1 FOR UPDATE', [fromId]);
+    if (!from.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    await client.query('UPDATE game_aliases SET game_id = $2 WHERE game_id = $1', [fromId, intoId]);
+    await client.query('UPDATE subscriber_commands SET game_id = $2 WHERE game_id = $1', [fromId, intoId]);
+    await client.query('DELETE FROM game_catalog WHERE id = $1', [fromId]);
+    await client.query(
+      `INSERT INTO game_aliases (key, game_id, added_by) VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO UPDATE SET game_id = $2, added_by = $3`,
+      [from.rows[0].key, intoId, mergedBy]
+    );
+    await client.query('COMMIT');
+    return from.rows[0].key;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[DB] mergeCatalogGames error:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Set the catalog title of a submission
+export async function setCommandGame(id, gameId, pinned = false) {
+  try {
+    const result = await pool.query(
+      `UPDATE subscriber_commands SET game_id = $2, game_pinned = $3
+       WHERE id = $1
+       RETURNING ${COMMAND_COLUMNS}`,
+      [id, gameId, pinned]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] setCommandGame error:', error);
+    throw error;
+  }
+}
+
+// Vote for a pending submission of a channel in the current session.
+// voter is { userId, login }. Returns { vote } when counted, { existing } with
+// the earlier vote if the voter already voted this session, or null if the
+// submission is not a pending one of the channel.
+export async function castVote(channel, commandId, voter, voterTier, weight) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const command = await client.query(
+      `SELECT id FROM subscriber_commands WHERE id = $1 AND channel = $2 AND status = 'pending'`,
+      [commandId, channel]
+    );
+    if (!command.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const session = await ensureActiveSession(client, channel);
+    const inserted = await client.query(
+      `INSERT INTO submission_votes (session_id, channel, command_id, voter_id, voter_name, voter_tier, weight)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (session_id, voter_id) DO NOTHING
+       RETURNING id, session_id, command_id, voter_id, voter_name, voter_tier, weight, created_at`,
+      [session.id, channel, commandId, voter.userId, voter.login, voterTier, weight]
+    );
+    let result;
+    if (inserted.rows[0]) {
+      result = { vote: inserted.rows[0] };
+    } else {
+      const existing = await client.query(
+        `SELECT id, session_id, command_id, voter_id, voter_name, voter_tier, weight, created_at
+         FROM submission_votes WHERE session_id = $1 AND voter_id = $2`,
+        [session.id, voter.userId]
+      );
+      result = { existing: existing.rows[0] };
+    }
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[DB] castVote error:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Weighted vote totals of a channel's current submissions, most votes first
+export async function getVoteTotals(channel) {
+  const result = await pool.query(
+    `SELECT c.id AS submission_id, c.user_id, c.name, c.display_name, c.message, c.tier, c.status,
+       SUM(v.weight)::real AS votes, COUNT(*)::int AS voters
+     FROM submission_votes v
+     JOIN subscriber_commands c ON c.id = v.command_id
+     WHERE v.channel = $1
+     GROUP BY c.id
+     ORDER BY votes DESC, voters DESC, c.id`,
+    [channel]
+  );
+  return result.rows;
+}
+
+const WEBHOOK_COLUMNS = 'id, channel, url, format, secret, events, enabled, created_at, updated_at';
+const DELIVERY_COLUMNS = 'id, webhook_id, event, payload, status, attempts, next_attempt_at, response_status, last_error, created_at, delivered_at';
+
+// Get every webhook
+export async function getAllWebhooks() {
+  const result = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id`);
+  return result.rows;
+}
+
+export async function insertWebhook({ channel, url, format, secret, events, enabled }) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO webhooks (channel, url, format, secret, events, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${WEBHOOK_COLUMNS}`,
+      [channel, url, format, secret, events, enabled]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('[DB] insertWebhook error:', error);
+    throw error;
+  }
+}
+
+// Update a webhook. Fields left undefined are kept; channel and secret can be
+// cleared with null.
+export async function updateWebhook(id, changes) {
+  const columns = ['channel', 'url', 'format', 'secret', 'events', 'enabled'].filter(column => changes[column] !== undefined);
+  if (columns.length === 0) {
+    const result = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+  try {
+    const result = await pool.query(
+      `UPDATE webhooks
+       SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${WEBHOOK_COLUMNS}`,
+      [id, ...columns.map(column => changes[column])]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] updateWebhook error:', error);
+    throw error;
+  }
+}
+
+export async function deleteWebhook(id) {
+  try {
+    const result = await pool.query(
+      `DELETE FROM webhooks WHERE id = $1 RETURNING ${WEBHOOK_COLUMNS}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] deleteWebhook error:', error);
+    throw error;
+  }
+}
+
+// Queue a webhook call
+export async function enqueueWebhookDelivery(webhookId, event, payload) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+       VALUES ($1, $2, $3)
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [webhookId, event, JSON.stringify(payload)]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('[DB] enqueueWebhookDelivery error:', error);
+    throw error;
+  }
+}
+
+// Claim up to `limit` due deliveries. Claimed rows are pushed back by
+// leaseSeconds, so other workers skip them until then. If the worker dies
+// mid-send, they are sent again once the lease runs out.
+export async function claimDueWebhookDeliveries(limit, leaseSeconds) {
+  try {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY next_attempt_at, id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [limit, leaseSeconds]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[DB] claimDueWebhookDeliveries error:', error);
+    throw error;
+  }
+}
+
+// Record the outcome of an attempt. status is "delivered", "pending" (retry at
+// nextAttemptAt) or "failed" (gave up).
+export async function recordWebhookAttempt(id, { status, responseStatus, error, nextAttemptAt }) {
+  try {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2::varchar,
+           attempts = attempts + 1,
+           response_status = $3,
+           last_error = $4,
+           next_attempt_at = COALESCE($5, next_attempt_at),
+           delivered_at = CASE WHEN $2::varchar = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+       WHERE id = $1
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [id, status, responseStatus ?? null, error ?? null, nextAttemptAt ?? null]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] recordWebhookAttempt error:', error);
+    throw error;
+  }
+}
+
+// Delivery log of a webhook, newest first
+export async function listWebhookDeliveries(webhookId, { status = null, limit = 50, offset = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+     WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $3 OFFSET $4`,
+    [webhookId, status, limit, offset]
+  );
+  return result.rows;
+}
+
+// Queue a failed delivery again, with a fresh set of attempts
+export async function retryWebhookDelivery(id) {
+  try {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'failed'
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] retryWebhookDelivery error:', error);
+    throw error;
+  }
+}
+
+// Tell other processes, such as a running bot, that the submissions of a
+// channel changed
+export async function notifyCommandsChanged(channel) {
+  try {
+    await pool.query('SELECT pg_notify($1, $2)', [CHANGES_CHANNEL, channel]);
+  } catch (error) {
+    console.error('[DB] notifyCommandsChanged error:', error);
+    throw error;
+  }
+}
+
+// Call onChange(channel) for every notifyCommandsChanged() of another process,
+// over a connection of its own. After that connection was lost, changes may
+// have been missed, so onChange(null) follows reconnecting.
+// Returns a function that stops listening.
+export async function listenForCommandChanges(onChange) {
+  let client = null;
+  let retryTimer = null;
+  let stopped = false;
+
+  const drop = () => {
+    if (!client) return;
+    client.removeAllListeners();
+    client.on('error', () => {});
+    client.end().catch(() => {});
+    client = null;
+  };
+
+  const reconnect = () => {
+    drop();
+    if (stopped || retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      listen(true);
+    }, LISTEN_RETRY_DELAY);
+  };
+
+  const listen = async missedChanges => {
+    client = new Client(connectionConfig);
+    client.on('notification', message => onChange(message.payload));
+    client.on('error', error => {
+      console.error('[DB] Change listener connection lost:', error.message);
+      reconnect();
+    });
+    client.on('end', reconnect);
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${CHANGES_CHANNEL}`);
+      if (missedChanges) onChange(null);
+    } catch (error) {
+      console.error('[DB] listenForCommandChanges error:', error.message);
+      reconnect();
+    }
+  };
+
+  await listen(false);
+  return async () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    const current = client;
+    client = null;
+    if (current) {
+      current.removeAllListeners();
+      current.on('error', () => {});
+      await current.end().catch(() => {});
+    }
+  };
+}
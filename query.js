@@ -0,0 +1,69 @@
+// Query string parameters of the public and admin APIs. Every parser throws a
+// QueryError for a malformed value, which the routes report as 400.
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+// Error for a malformed query parameter, reported as 400
+export class QueryError extends Error {}
+
+// A parameter given once. Repeating it (?sort=a&sort=b) or using brackets
+// (?sort[a]=b) makes Express hand over an array or object instead.
+export function parseString(value, name) {
+  if (value !== undefined && typeof value !== 'string') {
+    throw new QueryError(`Invalid ${name}: expected a single value`);
+  }
+  return value;
+}
+
+// One of the allowed values, or null if the parameter is missing
+export function parseChoice(value, allowed, name) {
+  value = parseString(value, name);
+  if (value === undefined || value === '') return null;
+  if (!allowed.includes(value)) {
+    throw new QueryError(`Invalid ${name}: ${value}. Expected one of ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+// Parse a comma separated list parameter, checking each value against the allowed ones.
+// The parameter may also be repeated (?tier=1&tier=2).
+export function parseList(value, allowed, name) {
+  value = parseString(Array.isArray(value) && value.every(v => typeof v === 'string') ? value.join(',') : value, name);
+  if (value === undefined || value === '') return null;
+  const values = String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+  for (const v of values) {
+    if (!allowed.includes(v)) {
+      throw new QueryError(`Invalid ${name}: ${v}. Expected one of ${allowed.join(', ')}`);
+    }
+  }
+  return values;
+}
+
+export function parseDate(value, name) {
+  value = parseString(value, name);
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new QueryError(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+}
+
+export function parseInteger(value, name, fallback, min, max) {
+  value = parseString(value, name);
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new QueryError(`Invalid ${name}: ${value}. Expected an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// ?limit= and ?offset= of a paginated list
+export function parsePage(query, defaultLimit = DEFAULT_LIMIT) {
+  return {
+    limit: parseInteger(query.limit, 'limit', defaultLimit, 1, MAX_LIMIT),
+    offset: parseInteger(query.offset, 'offset', 0, 0, Number.MAX_SAFE_INTEGER),
+  };
+}
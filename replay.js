@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import fs from 'fs';
+
+// Replay a chat script through the message handler without Twitch or a
+// database: subs, mods and tiers behave as they would live, and every reply
+// the bot would send is printed under the line that caused it. See
+// "Chat replays" in the README for the script format.
+//
+//   node replay.js <script> [--feedback reply|whisper|off]
+
+const USAGE = 'Usage: node replay.js <script> [--feedback reply|whisper|off]';
+
+function parseArgs(argv) {
+  const options = { file: null, feedback: 'reply' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--feedback') {
+      options.feedback = argv[++i];
+      if (!['reply', 'whisper', 'off'].includes(options.feedback)) return null;
+    } else if (!options.file && !argv[i].startsWith('--')) {
+      options.file = argv[i];
+    } else {
+      return null;
+    }
+  }
+  return options.file ? options : null;
+}
+
+function formatSent({ channel, message, replyTo }) {
+  return replyTo ? `  -> reply in #${channel}: ${message}` : `  -> ${channel ? `#${channel}` : 'raw'}: ${message}`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Replays never touch the real database, and nothing is held back by
+  // cooldowns or the chat rate limit. These are read when the modules load.
+  process.env.STORAGE_BACKEND = 'memory';
+  process.env.FEEDBACK_MODE = options.feedback;
+  process.env.FEEDBACK_USER_COOLDOWN = '0';
+  process.env.FEEDBACK_CHANNEL_COOLDOWN = '0';
+  process.env.CHAT_RATE_LIMIT = '100000';
+
+  const { parseChatScript, FakeChatClient } = await import('./fake-client.js');
+  const { getDefaultChannel } = await import('./channels.js');
+
+  let lines;
+  try {
+    lines = parseChatScript(fs.readFileSync(options.file, 'utf8'), { channel: getDefaultChannel() });
+  } catch (error) {
+    console.error(error.code === 'ENOENT' ? `Script not found: ${options.file}` : error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { initStorage, getAllCommands } = await import('./db.js');
+  const { registerChatHandlers } = await import('./messages.js');
+  const { setChatClient } = await import('./chat.js');
+
+  // The handlers log every step; only show what the script and the bot say
+  const log = console.log;
+  console.log = () => {};
+  await initStorage();
+
+  const client = new FakeChatClient();
+  registerChatHandlers(client);
+  setChatClient(client);
+
+  for (const { line, text, raw } of lines) {
+    const before = client.sent.length;
+    await client.receive(raw);
+    log(`${String(line).padStart(4)}  ${text}`);
+    for (const sent of client.sent.slice(before)) {
+      log(formatSent(sent));
+    }
+  }
+
+  const rows = await getAllCommands();
+  log(`\n${rows.length} submission${rows.length === 1 ? '' : 's'} stored:`);
+  for (const row of rows) {
+    log(`  #${row.channel} ${row.name} (tier ${row.tier}, slot ${row.slot}): ${row.message}`);
+  }
+  console.log = log;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,15 @@
+// Subday sessions: starting a new subday archives the current submissions with
+// their outcome and starts a fresh set
+import { startNewSession } from "./db.js";
+import { clearChannelCache } from "./cache.js";
+import { say } from "./chat.js";
+
+// Archive the current submissions of a channel and start a new session.
+// Returns { ended, started, archived }.
+export async function startSubdaySession(channel, startedBy) {
+  const result = await startNewSession(channel, startedBy);
+  clearChannelCache(channel);
+  console.log(`[SESSIONS] ${startedBy} started session ${result.started.id} in ${channel}, archived ${result.archived} submissions into session ${result.ended.id}`);
+  await say(channel, `A new subday has started! ${result.archived} submissions from the last one were archived. Subs can send %your pick.`);
+  return result;
+}
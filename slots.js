@@ -0,0 +1,98 @@
+// Submission slots: higher tiers can hold several picks at once.
+//
+// SUBMISSION_SLOTS: slots per tier, e.g. "1:1,2:2,3:3" (default one slot each).
+// "%<pick>" fills the next free slot (or replaces the only one), "%2 <pick>"
+// fills or replaces slot 2. "!slots" lists a user's picks and
+// "!slots remove <slot>" frees one.
+import { deleteCommandSlot } from "./db.js";
+import { getCachedSlots, uncacheCommandRow } from "./cache.js";
+import { sendSubmissionFeedback } from "./feedback.js";
+
+const DEFAULT_SLOTS = { '1': 1, '2': 1, '3': 1 };
+const MAX_SLOTS = 9;
+
+export function getSlotCounts() {
+  const counts = { ...DEFAULT_SLOTS };
+  for (const pair of (process.env.SUBMISSION_SLOTS || '').split(',')) {
+    const [tier, count] = pair.split(':').map(part => part?.trim());
+    if (!tier || count === undefined) continue;
+    const value = Number(count);
+    if (!(tier in counts) || !Number.isInteger(value) || value < 1 || value > MAX_SLOTS) {
+      console.warn(`Ignoring invalid SUBMISSION_SLOTS entry: ${pair}`);
+      continue;
+    }
+    counts[tier] = value;
+  }
+  return counts;
+}
+
+export function getSlotLimit(tier) {
+  return getSlotCounts()[tier] ?? 1;
+}
+
+// Split "%2 Elden Ring" into { slot: 2, message: "%Elden Ring" }. The slot
+// prefix only counts for users with more than one slot, and only up to their
+// limit, so "%7 Days to Die" stays a pick for everyone else.
+export function parseSlotSubmission(msg, limit) {
+  const match = /^%(\d)\s+(\S.*)$/s.exec(msg.trim());
+  if (limit > 1 && match && Number(match[1]) >= 1 && Number(match[1]) <= limit) {
+    return { slot: Number(match[1]), message: `%${match[2]}` };
+  }
+  return { slot: null, message: msg };
+}
+
+// Slot a submission goes to, given the user's cached rows: the requested one,
+// slot 1 for single-slot users, otherwise the first free one. Returns
+// { slot, current } with the row being replaced (if any), or null when every
+// slot is taken.
+export function chooseSlot(rows, limit, requestedSlot = null) {
+  const bySlot = new Map(rows.map(row => [row.slot, row]));
+  if (requestedSlot) {
+    return { slot: requestedSlot, current: bySlot.get(requestedSlot) || null };
+  }
+  if (limit === 1) {
+    return { slot: 1, current: bySlot.get(1) || null };
+  }
+  for (let slot = 1; slot <= limit; slot++) {
+    if (!bySlot.has(slot)) return { slot, current: null };
+  }
+  return null;
+}
+
+function describeSlots(rows) {
+  return rows.map(row => `${row.slot}: ${row.value}`).join(' | ');
+}
+
+export function isSlotsCommand(msg) {
+  return /^!slots(\s|$)/i.test(msg.trim());
+}
+
+// Handle "!slots" and "!slots remove <slot>" from a chat user
+export async function handleSlotsCommand(channel, user, msg, { tier, parentMsgId }) {
+  if (!user.userId) return;
+  const tell = message => sendSubmissionFeedback(channel, user, parentMsgId, 'slots', message, { always: true });
+  const [, action, slotText] = msg.trim().split(/\s+/);
+  const rows = getCachedSlots(channel, user.userId);
+  const limit = getSlotLimit(tier);
+
+  if (!action) {
+    await tell(rows.length
+      ? `your picks (${rows.length}/${limit} slots): ${describeSlots(rows)}`
+      : `you have no picks yet (${limit} ${limit === 1 ? 'slot' : 'slots'}).`);
+    return;
+  }
+
+  const slot = Number(slotText);
+  if (action.toLowerCase() !== 'remove' || !Number.isInteger(slot)) {
+    await tell('usage: !slots or !slots remove <slot>');
+    return;
+  }
+  const removed = await deleteCommandSlot(channel, user.userId, slot);
+  if (!removed) {
+    await tell(`slot ${slot} is empty.`);
+    return;
+  }
+  uncacheCommandRow(removed);
+  console.log(`[SLOTS] ${user.login} removed slot ${slot} in ${channel}`);
+  await tell(`removed your pick in slot ${slot}: ${removed.message}`);
+}
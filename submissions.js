@@ -0,0 +1,8 @@
+// Values a submission can hold, shared by every storage backend
+export const SUBMISSION_TIERS = ['1', '2', '3'];
+
+// Lifecycle of a submission during a subday
+export const SUBMISSION_STATUSES = ['pending', 'picked', 'played', 'skipped'];
+
+// Columns submissions can be sorted by
+export const SUBMISSION_SORT_COLUMNS = ['created_at', 'updated_at', 'tier', 'name', 'channel', 'status'];
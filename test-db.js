@@ -1,5 +1,5 @@
 import 'dotenv/config';
-import { pool } from './db.js';
+import { pool } from './postgres-store.js';
 
 async function main() {
     const result = await pool.query('SELECT now()');
@@ -0,0 +1,196 @@
+// Tests for the chat connection supervisor. Chat clients are FakeChatClients
+// that connect or fail as each test says, tokens live in the in-memory
+// storage backend and Twitch's token endpoint is a stubbed fetch.
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// These are read when the modules load, so set them before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TWITCH_CLIENT_ID = 'test-client';
+process.env.TWITCH_CLIENT_SECRET = 'test-secret';
+
+const { FakeChatClient } = await import('../fake-client.js');
+const { getRetryDelay, startConnection, stopConnection, reconnectNow, updateCredentials, reloadCredentials, getConnectionStatus } = await import('../connection.js');
+const { saveTwitchToken, setActiveTwitchAccount } = await import('../db.js');
+
+// Retry almost right away
+const RETRY_DELAYS = { RECONNECT_MIN_DELAY: '0.001', RECONNECT_MAX_DELAY: '0.005' };
+
+let clients = []; // every client the supervisor created, oldest first
+let failures = []; // disconnect reasons for the next connects; connects succeed once it is empty
+
+// Connects or fails like a tmi client talking to Twitch would
+class ScriptedClient extends FakeChatClient {
+  constructor(tokenData) {
+    super({ username: tokenData.username });
+    this.accessToken = tokenData.access_token;
+  }
+
+  async connect() {
+    const failure = failures.shift();
+    setImmediate(() => failure ? this.emit('disconnected', failure) : this.emit('connected', 'irc.example', 443));
+  }
+}
+
+function createClient(tokenData) {
+  const client = new ScriptedClient(tokenData);
+  client.on('message', () => {}); // like the chat handlers
+  clients.push(client);
+  return client;
+}
+
+function listenerCount(client) {
+  return Object.keys(client._events || {}).length;
+}
+
+async function waitFor(predicate) {
+  const deadline = Date.now() + 2000;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error(`Timed out, connection is ${JSON.stringify(getConnectionStatus())}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function isConnectedAs(username) {
+  const { state, username: current } = getConnectionStatus();
+  return state === 'connected' && current === username;
+}
+
+async function authorize(username, { accessToken = `${username}-access`, refreshToken = `${username}-refresh`, expiresAt = new Date(Date.now() + 60 * 60 * 1000) } = {}) {
+  await saveTwitchToken(username, accessToken, refreshToken, expiresAt, 'chat:read chat:edit');
+  await setActiveTwitchAccount(username);
+}
+
+const log = console.log;
+const error = console.error;
+
+before(() => {
+  // The supervisor and auth.js log every step
+  console.log = () => {};
+  console.error = () => {};
+  Object.assign(process.env, RETRY_DELAYS);
+});
+
+afterEach(async () => {
+  await stopConnection();
+  mock.restoreAll();
+  clients = [];
+  failures = [];
+});
+
+after(() => {
+  console.log = log;
+  console.error = error;
+});
+
+describe('getRetryDelay', () => {
+  function withDelays(min, max, fn) {
+    Object.assign(process.env, { RECONNECT_MIN_DELAY: min, RECONNECT_MAX_DELAY: max });
+    try {
+      fn();
+    } finally {
+      Object.assign(process.env, RETRY_DELAYS);
+    }
+  }
+
+  it('doubles from the minimum, with up to half taken off at random', () => {
+    withDelays('2', '300', () => {
+      mock.method(Math, 'random', () => 0);
+      assert.deepEqual([0, 1, 3].map(getRetryDelay), [1000, 2000, 8000]);
+      mock.method(Math, 'random', () => 1);
+      assert.deepEqual([0, 1, 3].map(getRetryDelay), [2000, 4000, 16000]);
+    });
+  });
+
+  it('never waits longer than the maximum', () => {
+    withDelays('2', '300', () => {
+      mock.method(Math, 'random', () => 1);
+      assert.deepEqual([8, 20, 5000].map(getRetryDelay), [300000, 300000, 300000]);
+      mock.method(Math, 'random', () => 0);
+      assert.equal(getRetryDelay(5000), 150000);
+    });
+  });
+
+  it('stays between half and all of the ceiling', () => {
+    withDelays('2', '300', () => {
+      for (let attempt = 0; attempt < 12; attempt++) {
+        const ceiling = Math.min(300000, 2000 * 2 ** attempt);
+        const delay = getRetryDelay(attempt);
+        assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}`);
+      }
+    });
+  });
+
+  it('uses the defaults for settings that are not positive numbers', () => {
+    withDelays('0', 'soon', () => {
+      mock.method(Math, 'random', () => 1);
+      assert.deepEqual([0, 20].map(getRetryDelay), [2000, 300000]);
+    });
+  });
+});
+
+describe('supervisor', () => {
+  it('retries failed connects and leaves no listeners on retired clients', async () => {
+    await authorize('retrybot');
+    failures = ['Connection closed.', 'Unable to connect.'];
+    startConnection(createClient);
+    await waitFor(() => isConnectedAs('retrybot'));
+    assert.equal(clients.length, 3);
+    assert.equal(getConnectionStatus().failed_attempts, 0);
+
+    clients.at(-1).emit('disconnected', 'Connection closed.');
+    await waitFor(() => clients.length === 4 && isConnectedAs('retrybot'));
+    reconnectNow('test');
+    await waitFor(() => clients.length === 5 && isConnectedAs('retrybot'));
+
+    assert.deepEqual(clients.map(listenerCount).slice(0, -1), [0, 0, 0, 0]);
+    assert.ok(listenerCount(clients.at(-1)) > 0);
+  });
+
+  it('waits for a new authorization once Twitch revokes the token', async () => {
+    await authorize('revokedbot', { expiresAt: new Date(Date.now() - 1000) });
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response('{"status":400,"message":"Invalid refresh token"}', { status: 400 }));
+    startConnection(createClient);
+    await waitFor(() => getConnectionStatus().state === 'needs_auth');
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.equal(clients.length, 0);
+    assert.equal(getConnectionStatus().next_retry_at, null);
+    assert.match(getConnectionStatus().last_error, /Refresh token rejected by Twitch: 400/);
+
+    await authorize('revokedbot', { accessToken: 'reauthorized', refreshToken: 'new-refresh' });
+    await reloadCredentials();
+    await waitFor(() => isConnectedAs('revokedbot'));
+    assert.equal(clients.length, 1);
+    assert.equal(clients[0].accessToken, 'reauthorized');
+  });
+
+  it('retries refresh errors other than a revoked token', async () => {
+    await authorize('retryrefreshbot', { expiresAt: new Date(Date.now() - 1000) });
+    const responses = [
+      new Response('{"status":400,"message":"Invalid client secret"}', { status: 400 }),
+      new Response('{"status":401,"message":"invalid client"}', { status: 401 }),
+      Response.json({ access_token: 'refreshed', refresh_token: 'next-refresh', expires_in: 3600 }),
+    ];
+    const fetch = mock.method(globalThis, 'fetch', async () => responses.shift());
+    startConnection(createClient);
+    await waitFor(() => isConnectedAs('retryrefreshbot'));
+    assert.equal(fetch.mock.callCount(), 3);
+    assert.equal(clients.at(-1).accessToken, 'refreshed');
+  });
+
+  it('reconnects as another account, but keeps the connection for a refreshed token', async () => {
+    await authorize('firstbot');
+    startConnection(createClient);
+    await waitFor(() => isConnectedAs('firstbot'));
+
+    await authorize('secondbot');
+    await reloadCredentials();
+    await waitFor(() => isConnectedAs('secondbot'));
+    assert.deepEqual(clients.map(client => client.username), ['firstbot', 'secondbot']);
+    assert.equal(listenerCount(clients[0]), 0);
+
+    await updateCredentials({ username: 'secondbot', access_token: 'refreshed' });
+    assert.equal(clients.length, 2);
+    assert.ok(isConnectedAs('secondbot'));
+  });
+});
@@ -0,0 +1,100 @@
+// Tests for the dashboard routes: who may see and change which channel.
+// The router runs in a real Express app over the in-memory storage backend.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// These are read when the modules load, so set them before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TWITCH_CHANNELS = 'alpha,beta';
+process.env.DASHBOARD_LOGINS = 'helper';
+
+const { createDashboardRouter, startDashboardSession, isDashboardLogin } = await import('../dashboard.js');
+const { importCommands, getCommandById } = await import('../db.js');
+
+let server;
+let baseUrl;
+let alphaRow;
+let betaRow;
+
+// Session cookie of a login, as set after the OAuth callback
+function login(name) {
+  let cookie;
+  startDashboardSession({ secure: false }, { cookie: (key, value) => { cookie = `${key}=${value}`; } }, name);
+  return cookie;
+}
+
+function get(path, cookie) {
+  return fetch(`${baseUrl}${path}`, { headers: { Cookie: cookie } });
+}
+
+async function setStatus(cookie, id, status) {
+  const page = await (await get('/dashboard', cookie)).text();
+  const csrf = page.match(/name="csrf" value="([0-9a-f]+)"/)[1];
+  return fetch(`${baseUrl}/dashboard/submissions/${id}/status`, {
+    method: 'POST',
+    headers: { Cookie: cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ csrf, status }),
+    redirect: 'manual',
+  });
+}
+
+const log = console.log;
+
+before(async () => {
+  console.log = () => {};
+  [alphaRow] = await importCommands('alpha', [{ user_id: '1', name: 'ann', message: 'Hades', tier: '1', slot: 1, status: 'pending' }]);
+  [betaRow] = await importCommands('beta', [{ user_id: '2', name: 'ben', message: 'Doom', tier: '1', slot: 1, status: 'pending' }]);
+  await importCommands('gamma', [{ user_id: '3', name: 'cat', message: 'Portal', tier: '1', slot: 1, status: 'pending' }]);
+
+  const app = express();
+  app.use('/dashboard', createDashboardRouter({
+    getBotState: () => 'connected',
+    getAuthStatus: async () => ({ authenticated: false }),
+  }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  console.log = log;
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('dashboard access', () => {
+  it('lets broadcasters and DASHBOARD_LOGINS log in', () => {
+    assert.ok(isDashboardLogin('Alpha'));
+    assert.ok(isDashboardLogin('helper'));
+    assert.ok(!isDashboardLogin('gamma'));
+  });
+
+  it('shows a broadcaster only their own channel', async () => {
+    const cookie = login('alpha');
+    const page = await (await get('/dashboard', cookie)).text();
+    assert.match(page, /Submissions in alpha/);
+    assert.doesNotMatch(page, /channel=beta/);
+    assert.equal((await get('/dashboard?channel=beta', cookie)).status, 403);
+  });
+
+  it('shows admins every channel, including unconfigured ones with submissions', async () => {
+    const page = await (await get('/dashboard', login('helper'))).text();
+    for (const channel of ['alpha', 'beta', 'gamma']) {
+      assert.match(page, new RegExp(`channel=${channel}`));
+    }
+  });
+
+  it('only lets a broadcaster change submissions of their own channel', async () => {
+    const cookie = login('alpha');
+    assert.equal((await setStatus(cookie, betaRow.id, 'played')).status, 403);
+    assert.equal((await getCommandById(betaRow.id)).status, 'pending');
+
+    assert.equal((await setStatus(cookie, alphaRow.id, 'played')).status, 302);
+    assert.equal((await getCommandById(alphaRow.id)).status, 'played');
+  });
+
+  it('lets admins change submissions of any channel', async () => {
+    assert.equal((await setStatus(login('helper'), betaRow.id, 'skipped')).status, 302);
+    assert.equal((await getCommandById(betaRow.id)).status, 'skipped');
+  });
+});
@@ -0,0 +1,53 @@
+// Tests for drawing submissions against the in-memory storage backend
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the modules load, so set it before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+
+const { runDraw } = await import('../draw.js');
+const { importCommands } = await import('../db.js');
+
+let channelCount = 0;
+
+// Every draw gets its own channel with the same submissions, so draws with
+// the same seed pick the same one
+async function newChannel() {
+  const channel = `drawchannel${++channelCount}`;
+  await importCommands(channel, ['alice', 'bob', 'carol', 'dave'].map((name, index) => ({
+    user_id: String(100 + index), name, message: `Game ${index}`, tier: '1', slot: 1, status: 'pending',
+  })));
+  return channel;
+}
+
+const log = console.log;
+
+before(() => {
+  // Draws are logged and announced
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = log;
+});
+
+describe('runDraw', () => {
+  it('repeats a draw with the same seed', async () => {
+    const first = await runDraw(await newChannel(), { seed: 'abc' });
+    const second = await runDraw(await newChannel(), { seed: 'abc' });
+    assert.equal(first.seed, 'abc');
+    assert.equal(second.name, first.name);
+  });
+
+  it('keeps 0 as the seed', async () => {
+    const first = await runDraw(await newChannel(), { seed: 0 });
+    const second = await runDraw(await newChannel(), { seed: '0' });
+    assert.equal(first.seed, '0');
+    assert.equal(second.name, first.name);
+  });
+
+  it('picks a random seed without one', async () => {
+    const draw = await runDraw(await newChannel(), { seed: '' });
+    assert.match(draw.seed, /^[0-9a-f]{16}$/);
+  });
+});
@@ -0,0 +1,246 @@
+// Tests for the chat message handler: raw IRC lines go through a
+// FakeChatClient, so tmi's own tag parsing, the handlers in messages.js and
+// the in-memory storage backend all run as they would live.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// These are read when the modules load, so set them before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FEEDBACK_MODE = 'reply';
+process.env.FEEDBACK_USER_COOLDOWN = '0';
+process.env.FEEDBACK_CHANNEL_COOLDOWN = '0';
+process.env.CHAT_RATE_LIMIT = '100000';
+process.env.SUBMISSION_SLOTS = '1:1,2:1,3:3';
+
+const { FakeChatClient, formatChatLine, formatSubscriptionLine, parseChatScript } = await import('../fake-client.js');
+const { registerChatHandlers } = await import('../messages.js');
+const { setChatClient } = await import('../chat.js');
+const { getAllCommands, importCommands, listRejections, deleteCommand } = await import('../db.js');
+const { getCachedRow, getCachedSlots, cacheCommandRow, legacyCacheKey, replaceCachedRows } = await import('../cache.js');
+
+let client;
+let channelCount = 0;
+
+// Every test gets its own channel, so picks and windows never carry over
+function newChannel() {
+  return `testchannel${++channelCount}`;
+}
+
+async function chat(channel, login, userId, message, badges = []) {
+  const before = client.sent.length;
+  await client.receive(formatChatLine({ channel, login, userId, badges, message }));
+  return client.sent.slice(before);
+}
+
+async function entries(channel) {
+  return (await getAllCommands(channel)).sort((a, b) => a.id - b.id);
+}
+
+const log = console.log;
+
+before(() => {
+  // The handler logs every message
+  console.log = () => {};
+  client = new FakeChatClient();
+  registerChatHandlers(client);
+  setChatClient(client);
+});
+
+after(() => {
+  console.log = log;
+});
+
+describe('permissions', () => {
+  it('rejects picks from viewers without a subscription', async () => {
+    const channel = newChannel();
+    const sent = await chat(channel, 'viewer', '100', '%Elden Ring');
+    assert.deepEqual(await entries(channel), []);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].message, /^@viewer only subscribers/);
+  });
+
+  it('accepts picks from subscribers', async () => {
+    const channel = newChannel();
+    const sent = await chat(channel, 'alice', '100', '%Elden Ring', ['subscriber/3']);
+    const [row] = await entries(channel);
+    assert.equal(row.user_id, '100');
+    assert.equal(row.name, 'alice');
+    assert.equal(row.message, 'Elden Ring');
+    assert.match(sent[0].message, /was saved: Elden Ring/);
+    assert.ok(sent[0].replyTo, 'feedback is a threaded reply');
+  });
+
+  it('accepts picks from mods and the broadcaster without a subscription', async () => {
+    const channel = newChannel();
+    await chat(channel, 'moddy', '100', '%Portal 2', ['moderator/1']);
+    await chat(channel, 'owner', '200', '%Celeste', ['broadcaster/1']);
+    await chat(channel, channel, '300', '%Hades');
+    assert.deepEqual((await entries(channel)).map(row => row.name), ['moddy', 'owner', channel]);
+  });
+
+  it('ignores picks without a user ID', async () => {
+    const channel = newChannel();
+    await client.receive(formatChatLine({ channel, login: 'ghost', userId: null, badges: ['subscriber/1'], message: '%Tetris' }));
+    assert.deepEqual(await entries(channel), []);
+  });
+
+  it('only lets mods and the broadcaster close submissions', async () => {
+    const channel = newChannel();
+    await chat(channel, 'alice', '100', '!subday close', ['subscriber/1']);
+    await chat(channel, 'bob', '200', '%Tetris', ['subscriber/1']);
+    assert.equal((await entries(channel)).length, 1);
+
+    const sent = await chat(channel, 'moddy', '300', '!subday close', ['moderator/1']);
+    assert.match(sent[0].message, /closed/);
+    const rejected = await chat(channel, 'carol', '400', '%Doom', ['subscriber/1']);
+    assert.match(rejected[0].message, /submissions are closed/);
+    assert.deepEqual((await entries(channel)).map(row => row.name), ['bob']);
+  });
+});
+
+describe('tiers', () => {
+  it('reads the tier from the subscriber badge', async () => {
+    const channel = newChannel();
+    await chat(channel, 'tierthree', '100', '%Elden Ring', ['subscriber/3012']);
+    await chat(channel, 'tiertwo', '200', '%Hades', ['subscriber/2006']);
+    await chat(channel, 'tierone', '300', '%Doom', ['subscriber/12']);
+    assert.deepEqual((await entries(channel)).map(row => [row.name, row.tier]), [
+      ['tierthree', '3'], ['tiertwo', '2'], ['tierone', '1'],
+    ]);
+  });
+
+  it('prefers the plan of a subscription event and retiers the existing pick', async () => {
+    const channel = newChannel();
+    await chat(channel, 'alice', '100', '%Elden Ring', ['subscriber/1']);
+    await client.receive(formatSubscriptionLine({ channel, login: 'alice', userId: '100', type: 'resub', plan: '3000' }));
+    const [row] = await entries(channel);
+    assert.equal(row.tier, '3');
+    assert.equal(getCachedRow(channel, '100').tier, '3');
+
+    await chat(channel, 'alice', '100', '%Hades', ['subscriber/1']);
+    assert.equal((await entries(channel))[0].tier, '3');
+  });
+
+  it('gives tier 3 subscribers their extra slots', async () => {
+    const channel = newChannel();
+    await chat(channel, 'alice', '100', '%Elden Ring', ['subscriber/3000']);
+    await chat(channel, 'alice', '100', '%Hades', ['subscriber/3000']);
+    await chat(channel, 'alice', '100', '%3 Doom', ['subscriber/3000']);
+    await chat(channel, 'alice', '100', '%1 Celeste', ['subscriber/3000']);
+    assert.deepEqual((await entries(channel)).map(row => [row.slot, row.message]), [
+      [1, 'Celeste'], [2, 'Hades'], [3, 'Doom'],
+    ]);
+  });
+});
+
+describe('submissions', () => {
+  it('updates the existing pick and the cache', async () => {
+    const channel = newChannel();
+    await chat(channel, 'alice', '100', '%Elden Ring', ['subscriber/1']);
+    const [first] = await entries(channel);
+    const sent = await chat(channel, 'alice', '100', '%Hades', ['subscriber/1']);
+
+    const rows = await entries(channel);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].id, first.id);
+    assert.equal(rows[0].message, 'Hades');
+    assert.match(sent[0].message, /was updated: Hades/);
+    assert.equal(getCachedRow(channel, '100').value, 'Hades');
+    assert.equal(getCachedSlots(channel, '100').length, 1);
+  });
+
+  it('rejects picks that fail validation', async () => {
+    const channel = newChannel();
+    const sent = await chat(channel, 'alice', '100', '%see https://example.com', ['subscriber/1']);
+    assert.deepEqual(await entries(channel), []);
+    assert.match(sent[0].message, /links are not allowed/);
+    assert.equal((await listRejections(channel))[0].reason, 'url');
+  });
+
+  it('follows renames of the user', async () => {
+    const channel = newChannel();
+    await chat(channel, 'oldname', '100', '%Elden Ring', ['subscriber/1']);
+    await chat(channel, 'newname', '100', 'hello chat');
+    const [row] = await entries(channel);
+    assert.equal(row.name, 'newname');
+    assert.equal(getCachedRow(channel, '100').name, 'newname');
+  });
+
+  it('links a legacy name-only pick to the user', async () => {
+    const channel = newChannel();
+    const [legacy] = await importCommands(channel, [{ name: 'alice', message: 'Elden Ring', tier: '1', slot: 1, status: 'pending' }]);
+    cacheCommandRow(legacy);
+
+    await chat(channel, 'alice', '100', '%Hades', ['subscriber/1']);
+    const rows = await entries(channel);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].id, legacy.id);
+    assert.equal(rows[0].user_id, '100');
+    assert.equal(rows[0].message, 'Hades');
+    assert.equal(getCachedRow(channel, legacyCacheKey('alice')), undefined);
+  });
+
+  it('links legacy picks to the user up to their slot limit, in slot order', async () => {
+    const channel = newChannel();
+    const legacy = await importCommands(channel, [
+      { name: 'alice', message: 'Doom', tier: '3', slot: 2, status: 'pending' },
+      { name: 'alice', message: 'Hades', tier: '3', slot: 1, status: 'pending', updated_at: '2024-01-01' },
+      { name: 'alice', message: 'Celeste', tier: '3', slot: 1, status: 'pending', updated_at: '2024-02-01' },
+      { name: 'alice', message: 'Portal', tier: '3', slot: 3, status: 'pending', updated_at: '2024-01-01' },
+    ]);
+    legacy.forEach(cacheCommandRow);
+
+    await chat(channel, 'alice', '100', '%3 Tetris', ['subscriber/3000']);
+    assert.deepEqual((await entries(channel)).map(row => [row.message, row.user_id, row.slot]), [
+      ['Tetris', '100', 3], ['Hades', '100', 2], ['Celeste', '100', 1], ['Portal', null, 3],
+    ]);
+    assert.deepEqual(getCachedSlots(channel, '100').map(row => row.value), ['Celeste', 'Hades', 'Tetris']);
+    assert.deepEqual(getCachedSlots(channel, legacyCacheKey('alice')).map(row => row.value), ['Portal']);
+  });
+
+  it('frees a slot deleted outside the bot once its channel is reloaded', async () => {
+    const channel = newChannel();
+    for (const game of ['Elden Ring', 'Hades', 'Doom']) {
+      await chat(channel, 'alice', '100', `%${game}`, ['subscriber/3000']);
+    }
+    const [first] = await entries(channel);
+    await deleteCommand(first.id); // as the CLI does, without the bot's cache
+
+    replaceCachedRows(channel, await getAllCommands(channel));
+    assert.deepEqual(getCachedSlots(channel, '100').map(row => row.slot), [2, 3]);
+    await chat(channel, 'alice', '100', '%Celeste', ['subscriber/3000']);
+    assert.deepEqual((await entries(channel)).map(row => [row.slot, row.message]), [
+      [2, 'Hades'], [3, 'Doom'], [1, 'Celeste'],
+    ]);
+  });
+});
+
+describe('parseChatScript', () => {
+  it('turns a script into IRC lines', async () => {
+    const lines = parseChatScript([
+      '# comment',
+      'channel #Scripted',
+      'Alice sub/3012: %Elden Ring: the game',
+      'moddy mod id=42: !subday close',
+      'resub alice 2000',
+    ].join('\n'));
+    assert.deepEqual(lines.map(line => line.line), [3, 4, 5]);
+
+    const seen = [];
+    const parser = new FakeChatClient();
+    parser.on('message', (channel, tags, message) => seen.push([channel, tags.username, tags['user-id'], tags.badges, tags.subscriber, tags.mod, message]));
+    parser.on('resub', (channel, login, months, message, tags, methods) => seen.push([channel, login, tags['user-id'], methods.plan]));
+    await parser.receive(lines.map(line => line.raw));
+    assert.deepEqual(seen, [
+      ['#scripted', 'alice', '1001', { subscriber: '3012' }, true, false, '%Elden Ring: the game'],
+      ['#scripted', 'moddy', '42', { moderator: '1' }, false, true, '!subday close'],
+      ['#scripted', 'alice', '1001', '2000'],
+    ]);
+  });
+
+  it('reports the line of a mistake', () => {
+    assert.throws(() => parseChatScript('alice: hi'), /Line 1: no channel yet/);
+    assert.throws(() => parseChatScript('channel x\n\nno colon here'), /Line 3: expected/);
+    assert.throws(() => parseChatScript('channel x\nsub alice 4000'), /Line 2: unknown plan/);
+  });
+});
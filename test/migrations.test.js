@@ -0,0 +1,156 @@
+// Tests for the schema migrations. Reading the migration files always runs;
+// the rest needs Postgres and runs when TEST_DATABASE_URL is set, in a
+// database of its own (TEST_DATABASE_URL's name plus "_migrations") that it
+// creates and drops, since it rolls the whole schema back and forth.
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import pkg from 'pg';
+
+const { Client } = pkg;
+
+const testDatabaseUrl = process.env.TEST_DATABASE_URL ? new URL(process.env.TEST_DATABASE_URL) : null;
+const databaseUrl = testDatabaseUrl && new URL(testDatabaseUrl);
+if (databaseUrl) {
+  databaseUrl.pathname = `${testDatabaseUrl.pathname}_migrations`;
+  // postgres-store.js connects to DATABASE_URL, so set it before the module loads
+  process.env.DATABASE_URL = databaseUrl.toString();
+}
+
+const { loadMigrations, formatMigration, getMigrationStatus, migrate, rollback, checkSchemaVersion, DataLossError } = await import('../migrations.js');
+const { pool } = await import('../postgres-store.js');
+
+// Run one statement against the test database server, outside the pool
+async function adminQuery(url, sql) {
+  const client = new Client({ connectionString: url.toString() });
+  await client.connect();
+  try {
+    return await client.query(sql);
+  } finally {
+    await client.end();
+  }
+}
+
+async function tableExists(table) {
+  const result = await pool.query('SELECT to_regclass($1) IS NOT NULL AS exists', [table]);
+  return result.rows[0].exists;
+}
+
+async function appliedVersions() {
+  return (await getMigrationStatus()).applied.map(row => row.version);
+}
+
+it('numbers the migrations from 1 without gaps, each with a down file', () => {
+  const migrations = loadMigrations();
+  assert.deepEqual(migrations.map(migration => migration.version), migrations.map((migration, index) => index + 1));
+  assert.equal(formatMigration(migrations[0]), '001_baseline');
+  assert.ok(migrations.every(migration => migration.down));
+});
+
+describe('postgres migrations', { skip: !databaseUrl && 'set TEST_DATABASE_URL to run against Postgres' }, () => {
+  const databaseName = databaseUrl?.pathname.slice(1);
+  const latest = loadMigrations().at(-1).version;
+  const log = console.log;
+  const warn = console.warn;
+
+  before(async () => {
+    // Every migration and connection is logged
+    console.log = () => {};
+    console.warn = () => {};
+    await adminQuery(testDatabaseUrl, `DROP DATABASE IF EXISTS "${databaseName}"`);
+    await adminQuery(testDatabaseUrl, `CREATE DATABASE "${databaseName}"`);
+  });
+
+  beforeEach(async () => {
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public');
+  });
+
+  after(async () => {
+    await pool.end();
+    await adminQuery(testDatabaseUrl, `DROP DATABASE IF EXISTS "${databaseName}"`);
+    console.log = log;
+    console.warn = warn;
+  });
+
+  it('reads the status of an empty database without creating anything', async () => {
+    const status = await getMigrationStatus();
+    assert.deepEqual([status.current, status.latest, status.applied, status.pending.length], [0, latest, [], latest]);
+    assert.equal(await tableExists('schema_migrations'), false);
+  });
+
+  it('applies every migration once, or up to a version', async () => {
+    assert.deepEqual((await migrate({ to: 2 })).map(formatMigration), ['001_baseline', '002_submission_revisions']);
+    assert.equal(await tableExists('submission_rejections'), false);
+    assert.equal((await migrate()).length, latest - 2);
+    assert.deepEqual(await migrate(), []);
+    assert.deepEqual(await appliedVersions(), loadMigrations().map(migration => migration.version));
+    assert.equal(await tableExists('submission_windows'), true);
+  });
+
+  it('rolls one feature back without touching the rest, once data loss is allowed', async () => {
+    await migrate();
+    await pool.query("INSERT INTO subscriber_commands (channel, user_id, name, message) VALUES ('chan', '100', 'alice', 'Halo')");
+
+    await assert.rejects(rollback({ to: 4 }), DataLossError);
+    assert.equal((await appliedVersions()).length, latest);
+
+    const rolledBack = await rollback({ to: 4, allowDataLoss: true });
+    assert.deepEqual(
+      rolledBack.map(formatMigration),
+      loadMigrations().filter(migration => migration.version > 4).map(formatMigration).reverse()
+    );
+    assert.equal(await tableExists('submission_votes'), false);
+    assert.equal(await tableExists('webhooks'), false);
+    assert.equal(await tableExists('game_catalog'), true);
+    assert.equal((await pool.query('SELECT message FROM subscriber_commands')).rows[0].message, 'Halo');
+
+    await migrate();
+    assert.equal(await tableExists('submission_votes'), true);
+    await rollback({ to: 0, allowDataLoss: true });
+    assert.deepEqual(await appliedVersions(), []);
+    assert.equal(await tableExists('subscriber_commands'), false);
+  });
+
+  it('reads the status while another process holds the migration lock', async () => {
+    await migrate();
+    const other = new Client({ connectionString: databaseUrl.toString() });
+    await other.connect();
+    try {
+      await other.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+      const status = await getMigrationStatus();
+      assert.equal(status.current, latest);
+    } finally {
+      await other.end();
+    }
+  });
+
+  it('refuses a schema newer than the known migrations', async () => {
+    await migrate();
+    await pool.query("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')");
+    await assert.rejects(migrate(), /newer than this version of the bot knows/);
+    await assert.rejects(checkSchemaVersion(), /newer than this version of the bot knows/);
+    assert.deepEqual((await getMigrationStatus()).unknown.map(row => row.version), [999]);
+  });
+
+  it('converts the subscriber_commands table of the first versions of the bot', async () => {
+    process.env.DEFAULT_CHANNEL = 'Oldchannel';
+    try {
+      await pool.query(`
+        CREATE TABLE subscriber_commands (
+          name VARCHAR(255) PRIMARY KEY,
+          message TEXT NOT NULL,
+          tier VARCHAR(1) NOT NULL DEFAULT '1',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO subscriber_commands (name, message) VALUES ('alice', 'Halo');
+      `);
+      await migrate();
+    } finally {
+      delete process.env.DEFAULT_CHANNEL;
+    }
+    const { rows } = await pool.query('SELECT channel, user_id, name, message, slot, status FROM subscriber_commands');
+    assert.deepEqual(rows, [{ channel: 'oldchannel', user_id: null, name: 'alice', message: 'Halo', slot: 1, status: 'pending' }]);
+    const sessions = await pool.query('SELECT channel FROM subday_sessions WHERE ended_at IS NULL');
+    assert.deepEqual(sessions.rows, [{ channel: 'oldchannel' }]);
+  });
+});
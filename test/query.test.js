@@ -0,0 +1,30 @@
+// Tests for the query string parsers of the public and admin APIs
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueryError, parseChoice, parseList, parseDate, parsePage } from '../query.js';
+
+describe('query parameters', () => {
+  it('reads pages with defaults and bounds', () => {
+    assert.deepEqual(parsePage({}), { limit: 50, offset: 0 });
+    assert.deepEqual(parsePage({ limit: '', offset: '' }, 20), { limit: 20, offset: 0 });
+    assert.deepEqual(parsePage({ limit: '200', offset: '40' }), { limit: 200, offset: 40 });
+    for (const query of [{ limit: 'abc' }, { limit: '5x' }, { limit: '0' }, { limit: '201' }, { offset: '-1' }, { limit: '1.5' }]) {
+      assert.throws(() => parsePage(query), QueryError, JSON.stringify(query));
+    }
+  });
+
+  it('rejects repeated and bracketed parameters', () => {
+    assert.throws(() => parsePage({ limit: ['5', '6'] }), /Invalid limit: expected a single value/);
+    assert.throws(() => parseChoice({ a: 'b' }, ['url'], 'reason'), /Invalid reason: expected a single value/);
+    assert.throws(() => parseDate(['2024-01-01'], 'from'), QueryError);
+  });
+
+  it('checks choices and lists against the allowed values', () => {
+    assert.equal(parseChoice(undefined, ['url'], 'reason'), null);
+    assert.equal(parseChoice('url', ['url'], 'reason'), 'url');
+    assert.throws(() => parseChoice('URL', ['url'], 'reason'), /Invalid reason: URL. Expected one of url/);
+    assert.deepEqual(parseList('1, 2', ['1', '2', '3'], 'tier'), ['1', '2']);
+    assert.deepEqual(parseList(['1', '3'], ['1', '2', '3'], 'tier'), ['1', '3']);
+    assert.throws(() => parseList('1,4', ['1', '2', '3'], 'tier'), /Invalid tier: 4/);
+  });
+});
@@ -0,0 +1,127 @@
+// Tests for subday sessions: "!subday new" in chat archives the picks, and
+// the API shows the archived and the open session. Chat goes through a
+// FakeChatClient and the API runs in a real Express app, both over the
+// in-memory storage backend.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// These are read when the modules load, so set them before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FEEDBACK_MODE = 'reply';
+process.env.FEEDBACK_USER_COOLDOWN = '0';
+process.env.FEEDBACK_CHANNEL_COOLDOWN = '0';
+process.env.CHAT_RATE_LIMIT = '100000';
+
+const { FakeChatClient, formatChatLine } = await import('../fake-client.js');
+const { registerChatHandlers } = await import('../messages.js');
+const { setChatClient } = await import('../chat.js');
+const { createApiRouter } = await import('../api.js');
+const { getAllCommands, getActiveSession } = await import('../db.js');
+const { getCachedSlots } = await import('../cache.js');
+
+let client;
+let server;
+let baseUrl;
+let channelCount = 0;
+
+// Every test gets its own channel, so sessions never carry over
+function newChannel() {
+  return `sessionchannel${++channelCount}`;
+}
+
+async function chat(channel, login, userId, message, badges = ['subscriber/1']) {
+  const before = client.sent.length;
+  await client.receive(formatChatLine({ channel, login, userId, badges, message }));
+  return client.sent.slice(before);
+}
+
+async function get(path) {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// A channel with an archived session of two picks and one pick in the open one
+async function playedSubday() {
+  const channel = newChannel();
+  await chat(channel, 'alice', '100', '%Elden Ring');
+  await chat(channel, 'bob', '200', '%Hades');
+  const first = await getActiveSession(channel);
+  const sent = await chat(channel, 'moddy', '300', '!subday new', ['moderator/1']);
+  await chat(channel, 'alice', '100', '%Celeste');
+  return { channel, first, sent };
+}
+
+const log = console.log;
+
+before(async () => {
+  // The handler logs every message
+  console.log = () => {};
+  client = new FakeChatClient();
+  registerChatHandlers(client);
+  setChatClient(client);
+
+  const app = express();
+  app.use('/api', createApiRouter());
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  console.log = log;
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('!subday new', () => {
+  it('archives the picks and starts over', async () => {
+    const { channel, sent } = await playedSubday();
+    assert.match(sent[0].message, /A new subday has started! 2 submissions from the last one were archived/);
+
+    const rows = await getAllCommands(channel);
+    assert.deepEqual(rows.map(row => [row.name, row.message]), [['alice', 'Celeste']]);
+    assert.deepEqual(getCachedSlots(channel, '100').map(row => row.value), ['Celeste']);
+    assert.deepEqual(getCachedSlots(channel, '200'), []);
+  });
+
+  it('is only for mods and the broadcaster', async () => {
+    const channel = newChannel();
+    await chat(channel, 'alice', '100', '%Elden Ring');
+    const session = await getActiveSession(channel);
+    assert.deepEqual(await chat(channel, 'alice', '100', '!subday new'), []);
+    assert.equal((await getActiveSession(channel)).id, session.id);
+    assert.equal((await getAllCommands(channel)).length, 1);
+  });
+});
+
+describe('session API', () => {
+  it('lists the sessions of a channel, newest first', async () => {
+    const { channel, first } = await playedSubday();
+    const { status, body } = await get(`/api/channels/${channel}/sessions`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.sessions.map(session => [session.id === first.id, session.ended_by, session.entry_count]), [
+      [false, null, 1],
+      [true, 'moddy', 2],
+    ]);
+    assert.equal(body.limit, 20);
+  });
+
+  it('shows the archived entries of an ended session and the picks of the open one', async () => {
+    const { channel, first } = await playedSubday();
+    const ended = await get(`/api/sessions/${first.id}`);
+    assert.equal(ended.body.session.channel, channel);
+    assert.deepEqual(ended.body.entries.map(entry => [entry.name, entry.message, entry.status]), [
+      ['alice', 'Elden Ring', 'pending'], ['bob', 'Hades', 'pending'],
+    ]);
+
+    const open = await get(`/api/sessions/${(await getActiveSession(channel)).id}`);
+    assert.equal(open.body.session.ended_at, null);
+    assert.deepEqual(open.body.entries.map(entry => entry.message), ['Celeste']);
+  });
+
+  it('answers 404 for unknown sessions and 400 for bad IDs', async () => {
+    assert.equal((await get('/api/sessions/999999')).status, 404);
+    assert.equal((await get('/api/sessions/abc')).status, 400);
+    assert.equal((await get('/api/channels/any/sessions?limit=0')).status, 400);
+  });
+});
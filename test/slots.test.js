@@ -0,0 +1,136 @@
+// Tests for submission slots: the slot settings, how picks find their slot,
+// and "!slots" in chat through a FakeChatClient over the in-memory storage
+// backend
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// These are read when the modules load, so set them before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FEEDBACK_MODE = 'reply';
+process.env.FEEDBACK_USER_COOLDOWN = '0';
+process.env.FEEDBACK_CHANNEL_COOLDOWN = '0';
+process.env.CHAT_RATE_LIMIT = '100000';
+
+const SLOTS = '1:1,2:2,3:3';
+process.env.SUBMISSION_SLOTS = SLOTS;
+
+const { FakeChatClient, formatChatLine } = await import('../fake-client.js');
+const { registerChatHandlers } = await import('../messages.js');
+const { setChatClient } = await import('../chat.js');
+const { getSlotCounts, parseSlotSubmission, chooseSlot } = await import('../slots.js');
+const { getAllCommands } = await import('../db.js');
+
+const TIER_3 = ['subscriber/3000'];
+
+let client;
+let channelCount = 0;
+
+// Every test gets its own channel, so picks never carry over
+function newChannel() {
+  return `slotchannel${++channelCount}`;
+}
+
+async function chat(channel, message, badges = TIER_3) {
+  const before = client.sent.length;
+  await client.receive(formatChatLine({ channel, login: 'alice', userId: '100', badges, message }));
+  return client.sent.slice(before).map(sent => sent.message);
+}
+
+async function picks(channel) {
+  return (await getAllCommands(channel)).sort((a, b) => a.slot - b.slot).map(row => [row.slot, row.message]);
+}
+
+const log = console.log;
+const warn = console.warn;
+
+before(() => {
+  // The handler logs every message
+  console.log = () => {};
+  console.warn = () => {};
+  client = new FakeChatClient();
+  registerChatHandlers(client);
+  setChatClient(client);
+});
+
+afterEach(() => {
+  process.env.SUBMISSION_SLOTS = SLOTS;
+});
+
+after(() => {
+  console.log = log;
+  console.warn = warn;
+});
+
+describe('getSlotCounts', () => {
+  it('gives every tier one slot by default', () => {
+    delete process.env.SUBMISSION_SLOTS;
+    assert.deepEqual(getSlotCounts(), { 1: 1, 2: 1, 3: 1 });
+  });
+
+  it('skips unknown tiers and counts outside 1 to 9', () => {
+    process.env.SUBMISSION_SLOTS = '1:2, 2:0,3:10,4:2,2:x';
+    assert.deepEqual(getSlotCounts(), { 1: 2, 2: 1, 3: 1 });
+  });
+});
+
+describe('parseSlotSubmission', () => {
+  it('reads a slot prefix up to the limit of users with several slots', () => {
+    assert.deepEqual(parseSlotSubmission('%2 Elden Ring', 3), { slot: 2, message: '%Elden Ring' });
+    assert.deepEqual(parseSlotSubmission('%4 Elden Ring', 3), { slot: null, message: '%4 Elden Ring' });
+    assert.deepEqual(parseSlotSubmission('%0 Elden Ring', 3), { slot: null, message: '%0 Elden Ring' });
+  });
+
+  it('leaves titles starting with a number alone for single-slot users', () => {
+    assert.deepEqual(parseSlotSubmission('%7 Days to Die', 1), { slot: null, message: '%7 Days to Die' });
+  });
+});
+
+describe('chooseSlot', () => {
+  const rows = [{ slot: 1, value: 'Hades' }, { slot: 3, value: 'Doom' }];
+
+  it('fills the first free slot, or nothing once all are taken', () => {
+    assert.deepEqual(chooseSlot(rows, 3), { slot: 2, current: null });
+    assert.equal(chooseSlot([...rows, { slot: 2, value: 'Portal' }], 3), null);
+  });
+
+  it('replaces the requested slot, or the only one', () => {
+    assert.deepEqual(chooseSlot(rows, 3, 3), { slot: 3, current: rows[1] });
+    assert.deepEqual(chooseSlot(rows, 1), { slot: 1, current: rows[0] });
+  });
+});
+
+describe('slots in chat', () => {
+  it('rejects a pick once every slot is taken', async () => {
+    const channel = newChannel();
+    for (const game of ['Elden Ring', 'Hades', 'Doom']) {
+      await chat(channel, `%${game}`);
+    }
+    const [full] = await chat(channel, '%Celeste');
+    assert.match(full, /all 3 of your slots are taken/);
+    assert.deepEqual(await picks(channel), [[1, 'Elden Ring'], [2, 'Hades'], [3, 'Doom']]);
+  });
+
+  it('lists the picks and frees a slot with !slots remove', async () => {
+    const channel = newChannel();
+    assert.deepEqual(await chat(channel, '!slots'), ['@alice you have no picks yet (3 slots).']);
+    await chat(channel, '%Elden Ring');
+    await chat(channel, '%3 Doom');
+    assert.deepEqual(await chat(channel, '!slots'), ['@alice your picks (2/3 slots): 1: Elden Ring | 3: Doom']);
+
+    assert.deepEqual(await chat(channel, '!slots remove 1'), ['@alice removed your pick in slot 1: Elden Ring']);
+    assert.deepEqual(await chat(channel, '!slots remove 1'), ['@alice slot 1 is empty.']);
+    assert.deepEqual(await chat(channel, '!slots drop 1'), ['@alice usage: !slots or !slots remove <slot>']);
+    await chat(channel, '%Celeste');
+    assert.deepEqual(await picks(channel), [[1, 'Celeste'], [3, 'Doom']]);
+  });
+
+  it('keeps extra picks of a user whose tier dropped, but only lets them change slot 1', async () => {
+    const channel = newChannel();
+    await chat(channel, '%Elden Ring');
+    await chat(channel, '%Hades');
+    await chat(channel, '%2 Doom', ['subscriber/1']);
+    assert.deepEqual(await picks(channel), [[1, '2 Doom'], [2, 'Hades']]);
+    await chat(channel, '%Celeste', ['subscriber/1']);
+    assert.deepEqual(await picks(channel), [[1, 'Celeste'], [2, 'Hades']]);
+  });
+});
@@ -0,0 +1,522 @@
+// Contract tests for the storage backends: the same cases run against each
+// one. The in-memory backend always runs; Postgres runs when TEST_DATABASE_URL
+// points at a database the tests may empty.
+//
+//   npm test
+//   TEST_DATABASE_URL=postgresql://localhost/chatbot_test npm test
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../memory-store.js';
+
+const TABLES = [
+  'subscriber_commands', 'twitch_oauth_tokens', 'subscriber_tiers', 'subday_draws', 'subday_sessions',
+  'subday_session_entries', 'submission_revisions', 'channel_banned_words', 'submission_rejections',
+  'game_catalog', 'game_aliases', 'submission_votes', 'webhooks', 'webhook_deliveries', 'submission_windows',
+];
+
+// postgres-store.js connects to DATABASE_URL, so point it at the test
+// database before the module loads
+function loadPostgresStore() {
+  if (process.env.TEST_DATABASE_URL) {
+    process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+  }
+  return import('../postgres-store.js');
+}
+
+const backends = [
+  {
+    name: 'memory',
+    async open() {},
+    async reset() {
+      return createMemoryStore();
+    },
+    async close() {},
+  },
+  {
+    name: 'postgres',
+    skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run against Postgres',
+    async open() {
+      this.store = await loadPostgresStore();
+      const { migrate } = await import('../migrations.js');
+      await migrate();
+    },
+    async reset() {
+      await this.store.pool.query(`TRUNCATE ${TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+      return this.store;
+    },
+    async close() {
+      await this.store.pool.end();
+    },
+  },
+];
+
+const alice = { userId: '100', login: 'alice', displayName: 'Alice' };
+const bob = { userId: '200', login: 'bob', displayName: 'Bob' };
+const carol = { userId: '300', login: 'carol', displayName: 'Carol' };
+
+// Pick the first pending row, the way draw.js hands a choice back
+function chooseFirst(rows) {
+  return rows.length ? { row: rows[0], seed: 'seed', weights: { 1: 1 }, candidates: rows.map(row => row.id), useVotes: false } : null;
+}
+
+it('the memory backend implements the whole storage interface', async () => {
+  const postgres = await loadPostgresStore();
+  const store = createMemoryStore();
+  const functions = Object.keys(postgres).filter(name => typeof postgres[name] === 'function');
+  assert.deepEqual(functions.filter(name => typeof store[name] !== 'function'), []);
+});
+
+for (const backend of backends) {
+  describe(`${backend.name} storage`, { skip: backend.skip }, () => {
+    let store;
+
+    before(() => backend.open());
+    beforeEach(async () => {
+      store = await backend.reset();
+    });
+    after(() => backend.close());
+
+    describe('submissions', () => {
+      it('inserts a submission, then updates it in place', async () => {
+        const first = await store.upsertCommand('chan', alice, 'Halo', '1');
+        assert.equal(first.status, 'pending');
+        assert.equal(first.slot, 1);
+        assert.ok(first.created_at instanceof Date);
+
+        const second = await store.upsertCommand('chan', { ...alice, login: 'alice2' }, 'Doom', '2', '%Doom');
+        assert.equal(second.id, first.id);
+        assert.equal(second.message, 'Doom');
+        assert.equal(second.name, 'alice2');
+        assert.equal(second.tier, '2');
+        assert.notEqual(second.revision_id, first.revision_id);
+
+        const revisions = await store.getUserRevisions('chan', alice.userId);
+        assert.deepEqual(revisions.map(revision => [revision.raw_text, revision.is_current]), [['Halo', false], ['%Doom', true]]);
+      });
+
+      it('keeps one row per slot and finds them by user ID or login', async () => {
+        await store.upsertCommand('chan', alice, 'Second', '3', 'Second', 2);
+        await store.upsertCommand('chan', alice, 'First', '3', 'First', 1);
+        await store.upsertCommand('other', alice, 'Elsewhere', '3');
+
+        const byId = await store.getCommandsForUser('chan', alice.userId);
+        assert.deepEqual(byId.map(row => [row.slot, row.message]), [[1, 'First'], [2, 'Second']]);
+        const byLogin = await store.getCommandsForUser('chan', 'ALICE');
+        assert.deepEqual(byLogin.map(row => row.id), byId.map(row => row.id));
+        assert.equal((await store.getCommandForUser('chan', 'alice')).message, 'First');
+        assert.deepEqual(await store.getCommandsForUser('chan', 'nobody'), []);
+
+        const deleted = await store.deleteCommandSlot('chan', alice.userId, 2);
+        assert.equal(deleted.message, 'Second');
+        assert.equal(await store.deleteCommandSlot('chan', alice.userId, 2), null);
+        assert.equal((await store.getCommandsForUser('chan', alice.userId)).length, 1);
+      });
+
+      it('lists with filters, sorting and pagination', async () => {
+        await store.upsertCommand('chan', alice, 'A', '1');
+        await store.upsertCommand('chan', bob, 'B', '2');
+        await store.upsertCommand('chan', carol, 'C', '3');
+        await store.upsertCommand('other', alice, 'D', '3');
+        const carolRow = await store.getCommandForUser('chan', carol.userId);
+        await store.updateCommand(carolRow.id, { status: 'picked' });
+
+        const page = await store.listCommands({ channel: 'chan', sort: 'name', order: 'asc', limit: 2 });
+        assert.equal(page.total, 3);
+        assert.deepEqual(page.rows.map(row => row.name), ['alice', 'bob']);
+        const next = await store.listCommands({ channel: 'chan', sort: 'name', order: 'asc', limit: 2, offset: 2 });
+        assert.deepEqual(next.rows.map(row => row.name), ['carol']);
+
+        const filtered = await store.listCommands({ tiers: ['3'], statuses: ['pending'] });
+        assert.deepEqual(filtered.rows.map(row => row.message), ['D']);
+        const future = await store.listCommands({ from: new Date(Date.now() + 60000) });
+        assert.equal(future.total, 0);
+
+        await assert.rejects(store.listCommands({ sort: 'message' }), /Invalid sort column/);
+        assert.deepEqual(await store.countCommandsByChannel(), [{ channel: 'chan', count: 3 }, { channel: 'other', count: 1 }]);
+        assert.equal((await store.getAllCommands('chan')).length, 3);
+        assert.equal((await store.getAllCommands()).length, 4);
+      });
+
+      it('updates only the given fields and unpins the game of a changed message', async () => {
+        const row = await store.upsertCommand('chan', alice, 'Halo', '1');
+        const game = await store.insertCatalogGame('Halo', 'halo', 'test');
+        await store.setCommandGame(row.id, game.id, true);
+
+        const retiered = await store.updateCommand(row.id, { tier: '3' });
+        assert.equal(retiered.message, 'Halo');
+        assert.equal(retiered.tier, '3');
+        assert.equal(retiered.game_pinned, true);
+
+        const edited = await store.updateCommand(row.id, { message: 'Doom' });
+        assert.equal(edited.game_pinned, false);
+        assert.equal(edited.status, 'pending');
+        assert.equal(await store.updateCommand(9999, { tier: '1' }), null);
+      });
+
+      it('deletes by ID and by channel', async () => {
+        const row = await store.upsertCommand('chan', alice, 'Halo', '1');
+        await store.upsertCommand('chan', bob, 'Doom', '1');
+        await store.upsertCommand('other', bob, 'Quake', '1');
+
+        assert.equal((await store.deleteCommand(row.id)).message, 'Halo');
+        assert.equal(await store.getCommandById(row.id), null);
+        assert.equal(await store.deleteCommand(row.id), null);
+        assert.equal(await store.deleteChannelCommands('chan'), 1);
+        assert.deepEqual(await store.countCommandsByChannel(), [{ channel: 'other', count: 1 }]);
+      });
+
+      it('renames and retiers a user', async () => {
+        await store.upsertCommand('chan', alice, 'Halo', '1');
+        await store.upsertCommand('chan', bob, 'Doom', '1');
+
+        const renamed = await store.updateCommandUserNames({ ...alice, login: 'alicia', displayName: 'Alicia' });
+        assert.deepEqual(renamed.map(row => row.name), ['alicia']);
+        assert.deepEqual(await store.updateCommandUserNames({ ...alice, login: 'alicia', displayName: 'Alicia' }), []);
+
+        assert.equal((await store.updateCommandTier('chan', alice.userId, '3')).length, 1);
+        assert.deepEqual(await store.updateCommandTier('chan', alice.userId, '3'), []);
+      });
+    });
+
+    describe('legacy rows and import', () => {
+      it('imports rows, updating by ID and inserting the rest', async () => {
+        const existing = await store.upsertCommand('chan', alice, 'Halo', '1');
+        const written = await store.importCommands('chan', [
+          { id: existing.id, display_name: null, message: 'Halo 2', tier: '2', status: 'played' },
+          { user_id: null, name: 'olduser', display_name: null, message: 'Tetris', tier: '1', slot: 1, status: 'pending', created_at: '2020-01-02T03:04:05Z' },
+          { id: 9999, message: 'Missing', tier: '1', status: 'pending' },
+        ]);
+        assert.equal(written.length, 2);
+        assert.equal(written[0].id, existing.id);
+        assert.equal(written[0].display_name, 'Alice');
+        assert.equal(written[0].status, 'played');
+        assert.equal(written[1].user_id, null);
+        assert.equal(written[1].created_at.toISOString(), written[1].updated_at.toISOString());
+        assert.ok(written.every(row => row.revision_id));
+        assert.deepEqual(await store.getLegacyCommandNames(), ['olduser']);
+      });
+
+      it('writes nothing when one imported row is rejected', async () => {
+        await store.upsertCommand('chan', alice, 'Halo', '1');
+        await assert.rejects(store.importCommands('chan', [
+          { user_id: '999', name: 'new', message: 'Tetris', tier: '1', slot: 1, status: 'pending' },
+          { user_id: alice.userId, name: 'alice', message: 'Again', tier: '1', slot: 1, status: 'pending' },
+        ]), /duplicate key/);
+        assert.equal((await store.getAllCommands('chan')).length, 1);
+      });
+
+      it('claims a legacy row when its login chats', async () => {
+        const [legacy] = await store.importCommands('chan', [
+          { user_id: null, name: 'alice', message: 'Halo', tier: '1', slot: 1, status: 'pending' },
+        ]);
+        assert.equal((await store.getCommandByName('chan', 'alice')).id, legacy.id);
+        const claimed = await store.upsertCommand('chan', alice, 'Doom', '1');
+        assert.equal(claimed.id, legacy.id);
+        assert.equal(claimed.user_id, alice.userId);
+        assert.equal((await store.getCommandByUserId('chan', alice.userId)).message, 'Doom');
+        assert.deepEqual(await store.claimLegacyCommandsForUser('chan', alice), []);
+      });
+
+      it('claims legacy rows in slot order up to the slot limit', async () => {
+        const legacy = await store.importCommands('chan', [
+          { user_id: null, name: 'alice', message: 'Doom', tier: '2', slot: 2, status: 'pending', updated_at: '2024-02-01' },
+          { user_id: null, name: 'alice', message: 'Halo', tier: '2', slot: 1, status: 'pending' },
+          { user_id: null, name: 'alice', message: 'Quake', tier: '2', slot: 2, status: 'pending', updated_at: '2024-01-01' },
+        ]);
+        const claimed = await store.claimLegacyCommandsForUser('chan', alice, 2);
+        assert.deepEqual(claimed.map(row => [row.id, row.slot, row.user_id]), [
+          [legacy[1].id, 1, alice.userId], [legacy[0].id, 2, alice.userId],
+        ]);
+        assert.equal((await store.getCommandById(legacy[2].id)).user_id, null);
+        assert.deepEqual(await store.claimLegacyCommandsForUser('chan', alice, 3), []);
+      });
+
+      it('backfills user IDs except where the user already has a row', async () => {
+        await store.importCommands('chan', [{ user_id: null, name: 'alice', message: 'Halo', tier: '1', slot: 1, status: 'pending' }]);
+        await store.importCommands('other', [{ user_id: null, name: 'alice', message: 'Doom', tier: '1', slot: 1, status: 'pending' }]);
+        await store.upsertCommand('other', { ...alice, login: 'alice_new' }, 'Quake', '1');
+
+        const assigned = await store.assignUserIdToLegacyCommands(alice);
+        assert.deepEqual(assigned.map(row => [row.channel, row.message]), [['chan', 'Halo']]);
+        assert.deepEqual(await store.getLegacyCommandNames(), ['alice']);
+      });
+    });
+
+    describe('bot account tokens', () => {
+      it('saves tokens and switches the active account', async () => {
+        const expiresAt = new Date('2030-01-01T00:00:00Z');
+        await store.saveTwitchToken('botone', 'access1', 'refresh1', expiresAt, 'chat:read');
+        await store.saveTwitchToken('bottwo', 'access2', 'refresh2', expiresAt, 'chat:read');
+        assert.equal(await store.getTwitchToken(), null);
+
+        assert.equal(await store.setActiveTwitchAccount('nobody'), false);
+        assert.equal(await store.setActiveTwitchAccount('bottwo'), true);
+        assert.equal((await store.getTwitchToken()).username, 'bottwo');
+        assert.equal(await store.setActiveTwitchAccount('botone'), true);
+
+        const token = await store.getTwitchToken();
+        assert.deepEqual(Object.keys(token).sort(), ['access_token', 'expires_at', 'refresh_token', 'scope', 'username']);
+        assert.equal(token.expires_at.getTime(), expiresAt.getTime());
+
+        const accounts = await store.listTwitchAccounts();
+        assert.deepEqual(accounts.map(account => [account.username, account.is_active]), [['botone', true], ['bottwo', false]]);
+        assert.ok(accounts.every(account => !('access_token' in account)));
+      });
+
+      it('keeps the refresh token when a refresh does not return one', async () => {
+        await store.saveTwitchToken('bot', 'access1', 'refresh1', new Date(), 'chat:read');
+        const updated = await store.updateTwitchToken('bot', 'access2', null, new Date('2030-01-01T00:00:00Z'));
+        assert.equal(updated.access_token, 'access2');
+        assert.equal(updated.refresh_token, 'refresh1');
+        assert.equal(await store.updateTwitchToken('nobody', 'access', null, new Date()), null);
+      });
+    });
+
+    it('stores one subscription tier per user and channel', async () => {
+      await store.upsertSubscriberTier('chan', alice.userId, 'alice', '1', '1000', 'subscription');
+      const updated = await store.upsertSubscriberTier('chan', alice.userId, 'alice', '3', '3000', 'resub');
+      assert.equal(updated.plan, '3000');
+      const tiers = await store.getAllSubscriberTiers();
+      assert.deepEqual(tiers.map(row => [row.channel, row.user_id, row.tier]), [['chan', alice.userId, '3']]);
+    });
+
+    describe('votes, draws and sessions', () => {
+      it('counts one vote per voter and session', async () => {
+        const a = await store.upsertCommand('chan', alice, 'Halo', '1');
+        const b = await store.upsertCommand('chan', bob, 'Doom', '1');
+
+        const first = await store.castVote('chan', a.id, carol, '2', 1.5);
+        assert.equal(first.vote.weight, 1.5);
+        const again = await store.castVote('chan', b.id, carol, '2', 1);
+        assert.equal(again.existing.command_id, a.id);
+        await store.castVote('chan', b.id, alice, '1', 1);
+        await store.castVote('chan', b.id, bob, '1', 1);
+        assert.equal(await store.castVote('other', a.id, bob, '1', 1), null);
+
+        const totals = await store.getVoteTotals('chan');
+        assert.deepEqual(totals.map(total => [total.submission_id, total.votes, total.voters]), [[b.id, 2, 2], [a.id, 1.5, 1]]);
+      });
+
+      it('gives votes back when their submission is deleted', async () => {
+        const a = await store.upsertCommand('chan', alice, 'Halo', '1');
+        const b = await store.upsertCommand('chan', bob, 'Doom', '1');
+        await store.castVote('chan', a.id, carol, '1', 1);
+        await store.deleteCommand(a.id);
+
+        const revote = await store.castVote('chan', b.id, carol, '1', 1);
+        assert.equal(revote.vote.command_id, b.id);
+        await store.deleteCommandSlot('chan', bob.userId, 1);
+        assert.ok((await store.castVote('chan', (await store.upsertCommand('chan', alice, 'Quake', '1')).id, carol, '1', 1)).vote);
+        assert.deepEqual((await store.getVoteTotals('chan')).map(total => total.voters), [1]);
+      });
+
+      it('draws a pending submission and marks it picked', async () => {
+        const a = await store.upsertCommand('chan', alice, 'Halo', '1');
+        await store.upsertCommand('chan', bob, 'Doom', '2');
+        await store.castVote('chan', a.id, carol, '1', 2);
+
+        let seen;
+        const result = await store.drawPendingCommand('chan', rows => {
+          seen = rows;
+          return chooseFirst(rows);
+        }, 'mod');
+        assert.deepEqual(seen.map(row => [row.message, row.votes]), [['Halo', 2], ['Doom', 0]]);
+        assert.equal(result.command.status, 'picked');
+        assert.equal(result.draw.name, 'Alice');
+        assert.deepEqual(result.draw.weights, { 1: 1 });
+        assert.equal(result.draw.drawn_by, 'mod');
+
+        assert.equal(await store.drawPendingCommand('chan', () => null, 'mod'), null);
+        const draws = await store.listDraws('chan');
+        assert.deepEqual(draws.map(draw => draw.command_id), [a.id]);
+      });
+
+      it('looks up the open session without creating one', async () => {
+        assert.equal(await store.findActiveSession('chan'), null);
+        assert.equal(await store.findActiveSession('chan'), null);
+        const session = await store.getActiveSession('chan');
+        assert.equal((await store.findActiveSession('chan')).id, session.id);
+        assert.equal(await store.findActiveSession('other'), null);
+      });
+
+      it('archives the submissions when a new session starts', async () => {
+        const a = await store.upsertCommand('chan', alice, 'Halo', '1');
+        await store.upsertCommand('chan', bob, 'Doom', '1');
+        await store.upsertCommand('other', bob, 'Quake', '1');
+        await store.castVote('chan', a.id, carol, '1', 1);
+        await store.drawPendingCommand('chan', chooseFirst, 'mod');
+        const session = await store.getActiveSession('chan');
+        assert.equal((await store.getActiveSession('chan')).id, session.id);
+
+        const { ended, started, archived } = await store.startNewSession('chan', 'mod');
+        assert.equal(archived, 2);
+        assert.equal(ended.id, session.id);
+        assert.equal(ended.ended_by, 'mod');
+        assert.ok(ended.ended_at instanceof Date);
+        assert.equal(started.ended_at, null);
+        assert.equal((await store.getActiveSession('chan')).id, started.id);
+        assert.deepEqual(await store.getAllCommands('chan'), []);
+        assert.equal((await store.getAllCommands('other')).length, 1);
+
+        const entries = await store.getSessionEntries(session.id);
+        assert.deepEqual(entries.map(entry => [entry.message, entry.status, entry.votes]), [['Halo', 'picked', 1], ['Doom', 'pending', 0]]);
+        assert.equal((await store.getSessionDraws(session.id)).length, 1);
+        assert.equal((await store.getSessionById(session.id)).channel, 'chan');
+        assert.equal(await store.getSessionById(9999), null);
+
+        await store.upsertCommand('chan', carol, 'Tetris', '1');
+        const sessions = await store.listSessions('chan');
+        assert.deepEqual(sessions.map(row => [row.id, row.entry_count, row.draw_count]), [[started.id, 1, 0], [session.id, 2, 1]]);
+
+        const revisions = await store.getUserRevisions('chan', 'alice', session.id);
+        assert.deepEqual(revisions.map(revision => [revision.raw_text, revision.is_current]), [['Halo', false]]);
+      });
+    });
+
+    describe('revisions', () => {
+      it('finds the timeline by user ID, current login or a login used before', async () => {
+        await store.upsertCommand('chan', alice, 'Halo', '1');
+        await store.upsertCommand('chan', { ...alice, login: 'alice_new' }, 'Doom', '1', '%Doom');
+        await store.upsertCommand('other', alice, 'Quake', '1');
+
+        for (const user of [alice.userId, 'alice', 'ALICE_NEW']) {
+          const revisions = await store.getUserRevisions('chan', user);
+          assert.deepEqual(revisions.map(revision => [revision.name, revision.raw_text]), [['alice', 'Halo'], ['alice_new', '%Doom']], user);
+        }
+        assert.deepEqual(await store.getUserRevisions('chan', 'bob'), []);
+      });
+
+      it('keeps one current revision per slot', async () => {
+        await store.upsertCommand('chan', alice, 'Halo', '3', '%Halo', 1);
+        await store.upsertCommand('chan', alice, 'Doom', '3', '%2 Doom', 2);
+        await store.upsertCommand('chan', alice, 'Quake', '3', '%2 Quake', 2);
+
+        const revisions = await store.getUserRevisions('chan', alice.userId);
+        assert.deepEqual(revisions.map(revision => [revision.slot, revision.raw_text, revision.is_current]), [
+          [1, '%Halo', true], [2, '%2 Doom', false], [2, '%2 Quake', true],
+        ]);
+        const slot2 = (await store.getCommandsForUser('chan', alice.userId)).find(row => row.slot === 2);
+        assert.equal(slot2.revision_id, revisions[2].id);
+      });
+
+      it('lists revisions of legacy rows under their login', async () => {
+        await store.importCommands('chan', [{ user_id: null, name: 'alice', message: 'Halo', tier: '1', slot: 1, status: 'pending' }]);
+        const revisions = await store.getUserRevisions('chan', 'Alice');
+        assert.deepEqual(revisions.map(revision => [revision.user_id, revision.raw_text, revision.is_current]), [[null, 'Halo', true]]);
+      });
+    });
+
+    describe('validation', () => {
+      it('adds and removes banned words', async () => {
+        assert.equal(await store.addBannedWord('chan', 'spoiler', 'mod'), true);
+        assert.equal(await store.addBannedWord('chan', 'spoiler', 'mod'), false);
+        await store.addBannedWord('chan', 'ads', 'mod');
+        assert.deepEqual((await store.getAllBannedWords()).map(row => row.word), ['ads', 'spoiler']);
+        assert.equal(await store.removeBannedWord('chan', 'ads'), true);
+        assert.equal(await store.removeBannedWord('chan', 'ads'), false);
+      });
+
+      it('records and lists rejections', async () => {
+        await store.recordRejection('chan', alice, '%x', 'too_short', 'at least 2 characters');
+        await store.recordRejection('chan', bob, '%www.example.com', 'url', 'www.example.com');
+        await store.recordRejection('other', bob, '%y', 'too_short', null);
+
+        assert.deepEqual((await store.listRejections('chan')).map(row => row.name), ['bob', 'alice']);
+        const short = await store.listRejections('chan', { reason: 'too_short' });
+        assert.deepEqual(short.map(row => [row.user_id, row.raw_text]), [[alice.userId, '%x']]);
+        assert.equal((await store.listRejections('chan', { limit: 1, offset: 1 }))[0].name, 'alice');
+      });
+    });
+
+    describe('game catalog', () => {
+      it('adds titles and aliases, merges and deletes them', async () => {
+        const halo = await store.insertCatalogGame('Halo', 'halo', 'mod');
+        assert.equal(halo.created, true);
+        assert.equal((await store.insertCatalogGame('Halo!', 'halo', 'mod')).created, false);
+        const ce = await store.insertCatalogGame('Halo CE', 'haloce', 'mod');
+        await store.upsertGameAlias('combat evolved', ce.id, 'mod');
+        const row = await store.upsertCommand('chan', alice, 'Halo CE', '1');
+        await store.setCommandGame(row.id, ce.id);
+
+        assert.equal(await store.mergeCatalogGames(ce.id, halo.id, 'mod'), 'haloce');
+        assert.equal(await store.mergeCatalogGames(ce.id, halo.id, 'mod'), null);
+        const catalog = await store.getGameCatalog();
+        assert.deepEqual(catalog.map(game => [game.title, game.aliases]), [['Halo', ['combat evolved', 'haloce']]]);
+        assert.equal((await store.getCommandById(row.id)).game_id, halo.id);
+
+        assert.deepEqual(await store.deleteCatalogGame(halo.id), { id: halo.id, title: 'Halo', key: 'halo' });
+        assert.deepEqual(await store.getGameCatalog(), []);
+        assert.equal((await store.getCommandById(row.id)).game_id, null);
+      });
+    });
+
+    it('saves the submission window of a channel', async () => {
+      const closesAt = new Date('2030-01-01T20:00:00Z');
+      await store.saveSubmissionWindow('chan', { isOpen: true, opensAt: null, closesAt, updatedBy: 'mod' });
+      const saved = await store.saveSubmissionWindow('chan', { isOpen: false, opensAt: null, closesAt: null, updatedBy: 'cli' });
+      assert.equal(saved.is_open, false);
+      const windows = await store.getAllSubmissionWindows();
+      assert.deepEqual(windows.map(window => [window.channel, window.is_open, window.closes_at, window.updated_by]), [['chan', false, null, 'cli']]);
+    });
+
+    it('tells listeners which channel changed', async () => {
+      const seen = [];
+      const stop = await store.listenForCommandChanges(channel => seen.push(channel));
+      try {
+        await store.notifyCommandsChanged('chan');
+        // Postgres delivers notifications on the listener's own connection
+        const deadline = Date.now() + 2000;
+        while (seen.length === 0 && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        assert.deepEqual(seen, ['chan']);
+      } finally {
+        await stop();
+      }
+      await store.notifyCommandsChanged('other');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.deepEqual(seen, ['chan']);
+    });
+
+    describe('webhooks', () => {
+      it('stores and updates webhooks', async () => {
+        const webhook = await store.insertWebhook({ channel: 'chan', url: 'https://example.com/hook', format: 'json', secret: 's3cret', events: ['submission.created'], enabled: true });
+        assert.deepEqual(webhook.events, ['submission.created']);
+
+        const updated = await store.updateWebhook(webhook.id, { enabled: false, secret: null });
+        assert.equal(updated.enabled, false);
+        assert.equal(updated.secret, null);
+        assert.equal(updated.url, 'https://example.com/hook');
+        assert.equal((await store.updateWebhook(webhook.id, {})).enabled, false);
+        assert.equal(await store.updateWebhook(9999, { enabled: true }), null);
+        assert.deepEqual((await store.getAllWebhooks()).map(row => row.id), [webhook.id]);
+      });
+
+      it('leases, records and retries deliveries', async () => {
+        const webhook = await store.insertWebhook({ channel: null, url: 'https://example.com/hook', format: 'json', secret: null, events: [], enabled: true });
+        const delivery = await store.enqueueWebhookDelivery(webhook.id, 'draw.created', { id: 1 });
+        assert.deepEqual(delivery.payload, { id: 1 });
+
+        const claimed = await store.claimDueWebhookDeliveries(10, 60);
+        assert.deepEqual(claimed.map(row => row.id), [delivery.id]);
+        assert.deepEqual(await store.claimDueWebhookDeliveries(10, 60), []);
+
+        const failed = await store.recordWebhookAttempt(delivery.id, { status: 'failed', responseStatus: 500, error: 'HTTP 500' });
+        assert.equal(failed.attempts, 1);
+        assert.equal(failed.delivered_at, null);
+        const retried = await store.retryWebhookDelivery(delivery.id);
+        assert.equal(retried.status, 'pending');
+        assert.equal(retried.attempts, 0);
+        assert.equal(await store.retryWebhookDelivery(delivery.id), null);
+
+        const delivered = await store.recordWebhookAttempt(delivery.id, { status: 'delivered', responseStatus: 200 });
+        assert.ok(delivered.delivered_at instanceof Date);
+        assert.equal(delivered.last_error, null);
+        assert.deepEqual((await store.listWebhookDeliveries(webhook.id, { status: 'delivered' })).map(row => row.id), [delivery.id]);
+
+        assert.equal((await store.deleteWebhook(webhook.id)).id, webhook.id);
+        assert.deepEqual(await store.listWebhookDeliveries(webhook.id), []);
+      });
+    });
+  });
+}
@@ -0,0 +1,153 @@
+// Tests for reading import files and planning imports against the in-memory
+// storage backend.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the modules load, so set it before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+
+const { parseCsv, formatCsv, parseImportFile, planImport } = await import('../transfer.js');
+const { importCommands } = await import('../db.js');
+
+let channelCount = 0;
+
+// Every test gets its own channel, so imports never carry over
+function newChannel() {
+  return `importchannel${++channelCount}`;
+}
+
+describe('parseCsv', () => {
+  it('reads quoted commas, quotes and newlines', () => {
+    assert.deepEqual(parseCsv('name,message\r\nalice,"Doom, Eternal"\r\nbob,"Say ""hi""\nand bye"\r\n'), [
+      ['name', 'message'],
+      ['alice', 'Doom, Eternal'],
+      ['bob', 'Say "hi"\nand bye'],
+    ]);
+  });
+
+  it('drops a byte order mark, blank lines and a missing final newline', () => {
+    assert.deepEqual(parseCsv('\uFEFFname,message\n\n,\nalice,Hades'), [
+      ['name', 'message'],
+      ['alice', 'Hades'],
+    ]);
+  });
+
+  it('reads back what formatCsv writes', () => {
+    const rows = [{ name: 'alice', message: 'a "quoted",\r\nmultiline pick' }];
+    assert.deepEqual(parseCsv(formatCsv(rows, ['name', 'message'])), [
+      ['name', 'message'],
+      ['alice', 'a "quoted",\r\nmultiline pick'],
+    ]);
+  });
+
+  it('rejects an unterminated quote', () => {
+    assert.throws(() => parseCsv('name,message\nalice,"Doom'), /Unterminated quoted field/);
+  });
+});
+
+describe('parseImportFile', () => {
+  it('reads the old sheet layout', () => {
+    const { entries, invalid } = parseImportFile([
+      'Timestamp,Twitch Username,Submission,Sub Tier',
+      '2023-05-01 20:00,@Alice,Elden Ring,Tier 2',
+      '2023-05-02 20:00,bob,Hades,Prime',
+      ',carol,Doom,T3',
+      ',dave,Celeste,3000',
+      ',erin,Portal,',
+    ].join('\n'));
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(entries.map(({ line, row }) => [line, row.name, row.display_name, row.message, row.tier]), [
+      [2, 'alice', 'Alice', 'Elden Ring', '2'],
+      [3, 'bob', null, 'Hades', '1'],
+      [4, 'carol', null, 'Doom', '3'],
+      [5, 'dave', null, 'Celeste', '3'],
+      [6, 'erin', null, 'Portal', '1'],
+    ]);
+    assert.equal(entries[0].row.created_at.getTime(), new Date('2023-05-01 20:00').getTime());
+    assert.equal(entries[2].row.created_at, null);
+  });
+
+  it('lists invalid lines by their line number', () => {
+    const { entries, invalid } = parseImportFile([
+      'name,message,tier,slot,status',
+      'not a login,Doom,1,1,pending',
+      'alice,,1,1,pending',
+      'bob,Doom,Tier 4,1,pending',
+      'carol,Doom,1,10,pending',
+      'dave,Doom,1,1,lost',
+      'erin,"multi',
+      'line pick",1,1,pending',
+    ].join('\n'));
+    assert.deepEqual(invalid, [
+      { line: 2, error: 'invalid name not a login' },
+      { line: 3, error: 'missing message' },
+      { line: 4, error: 'invalid tier Tier 4' },
+      { line: 5, error: 'invalid slot 10' },
+      { line: 6, error: 'invalid status lost' },
+    ]);
+    assert.deepEqual(entries.map(({ line, row }) => [line, row.name]), [[7, 'erin']]);
+  });
+
+  it('reads JSON exports and arrays', () => {
+    const exported = JSON.stringify({ channel: 'x', submissions: [{ user_id: '100', name: 'alice', message: 'Hades', tier: '2', slot: 2 }] });
+    const [entry] = parseImportFile(exported).entries;
+    assert.deepEqual([entry.line, entry.row.user_id, entry.row.tier, entry.row.slot], [1, '100', '2', 2]);
+
+    const { invalid } = parseImportFile([{ name: 'alice', message: 'Hades' }, 'alice']);
+    assert.deepEqual(invalid, [{ line: 2, error: 'not an object' }]);
+  });
+
+  it('rejects files it cannot read', () => {
+    assert.throws(() => parseImportFile('login,pick_nope\nalice,Hades'), /needs a name/);
+    assert.throws(() => parseImportFile('{"oops"'), /Invalid JSON/);
+    assert.throws(() => parseImportFile('{"channel": "x"}'), /Expected an array/);
+    assert.throws(() => parseImportFile(''), /The file is empty/);
+  });
+});
+
+describe('planImport', () => {
+  it('matches rows by user ID, then by login', async () => {
+    const channel = newChannel();
+    const [withId, legacy] = await importCommands(channel, [
+      { user_id: '100', name: 'alice', message: 'Elden Ring', tier: '1', slot: 1, status: 'pending' },
+      { name: 'bob', message: 'Hades', tier: '1', slot: 1, status: 'pending' },
+      { user_id: '300', name: 'carol', message: 'Doom', tier: '2', slot: 1, status: 'pending' },
+    ]);
+
+    const plan = await planImport(channel, parseImportFile([
+      'user_id,name,message,tier',
+      '100,alice_renamed,Celeste,1', // same user under a new login
+      '200,bob,Portal,1', // the legacy row of bob gets the ID
+      ',carol,Doom,2', // the row of carol, matched by login
+      '400,alice,Tetris,1', // another user who took alice's old login
+    ].join('\n')));
+
+    assert.equal(plan.unchanged, 1);
+    assert.deepEqual(plan.updated.map(({ line, id, changes }) => [line, id, changes]), [
+      [2, withId.id, { message: { from: 'Elden Ring', to: 'Celeste' } }],
+      [3, legacy.id, { message: { from: 'Hades', to: 'Portal' } }],
+    ]);
+    assert.equal(plan.updated[1].row.user_id, '200');
+    assert.deepEqual(plan.added.map(row => [row.line, row.user_id, row.name]), [[5, '400', 'alice']]);
+  });
+
+  it('lets later lines replace earlier ones for the same user and slot', async () => {
+    const channel = newChannel();
+    const plan = await planImport(channel, parseImportFile([
+      'name,message,slot',
+      'alice,Elden Ring,1',
+      'alice,Hades,2',
+      'Alice,Doom,1',
+      'bob,Portal,',
+      'not valid,Tetris,1',
+    ].join('\n')));
+
+    assert.deepEqual(plan.replaced, [2]);
+    assert.deepEqual(plan.invalid.map(({ line }) => line), [6]);
+    assert.deepEqual(plan.added.map(row => [row.line, row.name, row.slot, row.message]), [
+      [4, 'alice', 1, 'Doom'],
+      [3, 'alice', 2, 'Hades'],
+      [5, 'bob', 1, 'Portal'],
+    ]);
+  });
+});
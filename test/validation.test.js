@@ -0,0 +1,133 @@
+// Tests for the validation rules of % submissions, against the in-memory
+// storage backend
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the modules load, so set it before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+
+const {
+  validateSubmission, cleanSubmissionText, describeRejection, banWord, unbanWord, listBannedWords, loadBannedWords,
+} = await import('../validation.js');
+const { addBannedWord, listRejections } = await import('../db.js');
+
+const SETTINGS = ['SUBMISSION_MIN_LENGTH', 'SUBMISSION_MAX_LENGTH', 'SUBMISSION_ALLOW_URLS', 'BANNED_WORDS'];
+const alice = { userId: '100', login: 'alice', displayName: 'Alice' };
+
+let channelCount = 0;
+
+// Every test gets its own channel, so banned words and rejections never carry over
+function newChannel() {
+  return `validationchannel${++channelCount}`;
+}
+
+// The reason a pick is rejected for, or null if it is accepted
+async function rejectionOf(channel, rawText, current = []) {
+  const result = await validateSubmission(channel, alice, rawText, current);
+  return result.ok ? null : result.reason;
+}
+
+const log = console.log;
+
+before(() => {
+  // Rejections are logged
+  console.log = () => {};
+});
+
+afterEach(() => {
+  for (const name of SETTINGS) delete process.env[name];
+});
+
+after(() => {
+  console.log = log;
+});
+
+describe('validateSubmission', () => {
+  it('accepts a pick and tidies it up', async () => {
+    assert.equal(cleanSubmissionText('%%  Elden   Ring '), 'Elden Ring');
+    assert.deepEqual(await validateSubmission(newChannel(), alice, '%Elden   Ring'), { ok: true, text: 'Elden Ring' });
+  });
+
+  it('checks the length, with SUBMISSION_MIN_LENGTH and SUBMISSION_MAX_LENGTH', async () => {
+    const channel = newChannel();
+    assert.equal(await rejectionOf(channel, '%XY'), null);
+    assert.equal(await rejectionOf(channel, '%X  '), 'too_short');
+    assert.equal(await rejectionOf(channel, `%${'a'.repeat(201)}`), 'too_long');
+
+    Object.assign(process.env, { SUBMISSION_MIN_LENGTH: '4', SUBMISSION_MAX_LENGTH: '6' });
+    assert.deepEqual(await validateSubmission(channel, alice, '%Doo'), { ok: false, reason: 'too_short', detail: 'at least 4 characters' });
+    assert.equal(await rejectionOf(channel, '%Doom 64'), 'too_long');
+    assert.equal(await rejectionOf(channel, '%Doom 2'), null);
+  });
+
+  it('uses the default lengths for settings that are not numbers', async () => {
+    Object.assign(process.env, { SUBMISSION_MIN_LENGTH: 'none', SUBMISSION_MAX_LENGTH: '-1' });
+    const channel = newChannel();
+    assert.equal(await rejectionOf(channel, '%X'), 'too_short');
+    assert.equal(await rejectionOf(channel, `%${'a'.repeat(200)}`), null);
+  });
+
+  it('blocks links unless SUBMISSION_ALLOW_URLS is set', async () => {
+    const channel = newChannel();
+    for (const text of ['%https://example.org/game', '%see www.example.org', '%buy at store.gg now']) {
+      assert.equal(await rejectionOf(channel, text), 'url', text);
+    }
+    assert.equal(await rejectionOf(channel, '%Half-Life 2. Episode One'), null);
+
+    process.env.SUBMISSION_ALLOW_URLS = 'true';
+    assert.equal(await rejectionOf(channel, '%https://example.org/game'), null);
+  });
+
+  it('rejects whole banned words of the channel and of BANNED_WORDS', async () => {
+    const channel = newChannel();
+    await banWord(channel, '  Spoiler  Alert ');
+    process.env.BANNED_WORDS = 'Ads, ';
+    assert.deepEqual(listBannedWords(channel), ['ads', 'spoiler alert']);
+
+    assert.equal(await rejectionOf(channel, '%SPOILER alert: Portal'), 'banned_word');
+    assert.equal(await rejectionOf(channel, '%Portal (ads)'), 'banned_word');
+    assert.equal(await rejectionOf(channel, '%Roads of Rome'), null);
+    assert.equal(await rejectionOf(newChannel(), '%Spoiler alert: Portal (ads)'), 'banned_word');
+    assert.equal(await rejectionOf(newChannel(), '%Spoiler alert: Portal'), null);
+
+    assert.equal(await unbanWord(channel, 'spoiler alert'), true);
+    assert.equal(await rejectionOf(channel, '%Spoiler alert: Portal'), null);
+  });
+
+  it('rejects a pick the user already holds in another slot', async () => {
+    const channel = newChannel();
+    assert.equal(await rejectionOf(channel, '%elden  RING', ['Hades', 'Elden Ring']), 'duplicate');
+    assert.equal(await rejectionOf(channel, '%Elden Ring', 'Elden Ring'), 'duplicate');
+    assert.equal(await rejectionOf(channel, '%Elden Ring', null), null);
+  });
+
+  it('records rejections for mods to review', async () => {
+    const channel = newChannel();
+    await validateSubmission(channel, alice, '%www.example.org');
+    await validateSubmission(channel, alice, '%Elden Ring');
+    const [rejection] = await listRejections(channel);
+    assert.deepEqual(
+      [rejection.user_id, rejection.name, rejection.raw_text, rejection.reason, rejection.detail],
+      ['100', 'alice', '%www.example.org', 'url', 'www.example.org']
+    );
+    assert.equal((await listRejections(channel)).length, 1);
+  });
+});
+
+describe('banned words', () => {
+  it('loads the words of every channel', async () => {
+    const channel = newChannel();
+    await addBannedWord(channel, 'spoiler', 'cli');
+    assert.deepEqual(listBannedWords(channel), []);
+    await loadBannedWords();
+    assert.deepEqual(listBannedWords(channel), ['spoiler']);
+  });
+});
+
+describe('describeRejection', () => {
+  it('explains the reason to the user', () => {
+    assert.equal(describeRejection({ reason: 'too_long', detail: 'at most 6 characters' }), 'your pick is too long (at most 6 characters).');
+    assert.equal(describeRejection({ reason: 'duplicate' }), 'that is already one of your picks.');
+    assert.equal(describeRejection({ reason: 'unknown' }), 'your pick was rejected.');
+  });
+});
@@ -0,0 +1,140 @@
+// Tests for viewer votes: "!vote" in chat through a FakeChatClient, vote
+// weights and vote-weighted draws, over the in-memory storage backend
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// These are read when the modules load, so set them before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FEEDBACK_MODE = 'reply';
+process.env.FEEDBACK_USER_COOLDOWN = '0';
+process.env.FEEDBACK_CHANNEL_COOLDOWN = '0';
+process.env.CHAT_RATE_LIMIT = '100000';
+
+const { FakeChatClient, formatChatLine } = await import('../fake-client.js');
+const { registerChatHandlers } = await import('../messages.js');
+const { setChatClient } = await import('../chat.js');
+const { getVoteWeights } = await import('../votes.js');
+const { chooseWeighted } = await import('../draw.js');
+const { getAllCommands, getVoteTotals, deleteCommand } = await import('../db.js');
+
+let client;
+let channelCount = 0;
+
+// Every test gets its own channel, so votes never carry over
+function newChannel() {
+  return `votechannel${++channelCount}`;
+}
+
+async function chat(channel, login, userId, message, badges = []) {
+  const before = client.sent.length;
+  await client.receive(formatChatLine({ channel, login, userId, badges, message }));
+  return client.sent.slice(before).map(sent => sent.message);
+}
+
+// A channel with alice's and bob's picks, oldest first
+async function channelWithPicks() {
+  const channel = newChannel();
+  await chat(channel, 'alice', '100', '%Elden Ring', ['subscriber/1']);
+  await chat(channel, 'bob', '200', '%Hades', ['subscriber/1']);
+  return { channel, picks: (await getAllCommands(channel)).sort((a, b) => a.id - b.id) };
+}
+
+async function totals(channel) {
+  return (await getVoteTotals(channel)).map(total => [total.message, total.votes, total.voters]);
+}
+
+const log = console.log;
+const warn = console.warn;
+
+before(() => {
+  // The handler logs every message
+  console.log = () => {};
+  console.warn = () => {};
+  client = new FakeChatClient();
+  registerChatHandlers(client);
+  setChatClient(client);
+});
+
+afterEach(() => {
+  delete process.env.VOTE_TIER_WEIGHTS;
+});
+
+after(() => {
+  console.log = log;
+  console.warn = warn;
+});
+
+describe('!vote', () => {
+  it('counts a vote by pick number or by game', async () => {
+    const { channel, picks: [elden] } = await channelWithPicks();
+    const [counted] = await chat(channel, 'carol', '300', `!vote #${elden.id}`);
+    assert.equal(counted, `@carol your vote for #${elden.id} Elden Ring was counted.`);
+    await chat(channel, 'dave', '400', '!vote hades');
+    assert.deepEqual(await totals(channel), [['Elden Ring', 1, 1], ['Hades', 1, 1]]);
+  });
+
+  it('allows one vote per viewer and session, and none for their own pick', async () => {
+    const { channel, picks: [elden, hades] } = await channelWithPicks();
+    await chat(channel, 'carol', '300', `!vote ${elden.id}`);
+    const [again] = await chat(channel, 'carol', '300', `!vote ${hades.id}`);
+    assert.equal(again, `@carol you already voted this session (#${elden.id}).`);
+    const [own] = await chat(channel, 'alice', '100', `!vote ${elden.id}`);
+    assert.equal(own, '@alice you cannot vote for your own pick.');
+    assert.deepEqual(await totals(channel), [['Elden Ring', 1, 1]]);
+  });
+
+  it('only counts votes for pending picks of the channel', async () => {
+    const { channel, picks: [elden] } = await channelWithPicks();
+    const [other] = await chat(newChannel(), 'carol', '300', `!vote ${elden.id}`);
+    assert.equal(other, `@carol no pending pick matches "${elden.id}".`);
+    const [unknown] = await chat(channel, 'carol', '300', '!vote Tetris');
+    assert.equal(unknown, '@carol no pending pick matches "Tetris".');
+    const [usage] = await chat(channel, 'carol', '300', '!vote');
+    assert.equal(usage, '@carol usage: !vote <pick number or game>');
+    assert.deepEqual(await totals(channel), []);
+  });
+
+  it('gives the vote back once the pick is removed', async () => {
+    const { channel, picks: [elden, hades] } = await channelWithPicks();
+    await chat(channel, 'carol', '300', `!vote ${elden.id}`);
+    await chat(channel, 'alice', '100', '!slots remove 1', ['subscriber/1']);
+    assert.deepEqual(await totals(channel), []);
+
+    const [counted] = await chat(channel, 'carol', '300', `!vote ${hades.id}`);
+    assert.match(counted, /was counted/);
+    await deleteCommand(hades.id); // as the admin API and CLI do
+    assert.match((await chat(channel, 'dave', '400', '%Celeste', ['subscriber/1']))[0], /was saved/);
+    assert.match((await chat(channel, 'carol', '300', '!vote celeste'))[0], /was counted/);
+  });
+
+  it('weighs votes by the voter\'s tier with VOTE_TIER_WEIGHTS', async () => {
+    process.env.VOTE_TIER_WEIGHTS = '0:0.5,1:2,3:4';
+    const { channel, picks: [elden] } = await channelWithPicks();
+    await chat(channel, 'carol', '300', `!vote ${elden.id}`);
+    await chat(channel, 'dave', '400', `!vote ${elden.id}`, ['subscriber/3000']);
+    await chat(channel, 'erin', '500', `!vote ${elden.id}`, ['subscriber/1']);
+    assert.deepEqual(await totals(channel), [['Elden Ring', 6.5, 3]]);
+  });
+});
+
+describe('getVoteWeights', () => {
+  it('counts every vote 1 by default', () => {
+    assert.deepEqual(getVoteWeights(), { 0: 1, 1: 1, 2: 1, 3: 1 });
+  });
+
+  it('skips entries for unknown tiers and negative weights', () => {
+    process.env.VOTE_TIER_WEIGHTS = '0:0, 2:3,4:5,1:-1,3:x';
+    assert.deepEqual(getVoteWeights(), { 0: 0, 1: 1, 2: 3, 3: 1 });
+  });
+});
+
+describe('vote-weighted draws', () => {
+  it('multiplies the tier weight by 1 + the vote total', () => {
+    const rows = [{ id: 1, tier: '1', votes: 3 }, { id: 2, tier: '3', votes: 0 }, { id: 3, tier: '2' }];
+    const weights = { 1: 1, 2: 2, 3: 3 };
+    const byVotes = chooseWeighted(rows, 'seed', weights, { useVotes: true });
+    assert.deepEqual(byVotes.candidates.map(candidate => [candidate.id, candidate.weight]), [[1, 4], [2, 3], [3, 2]]);
+    const byTier = chooseWeighted(rows, 'seed', weights);
+    assert.deepEqual(byTier.candidates.map(candidate => [candidate.id, candidate.weight]), [[1, 1], [2, 3], [3, 2]]);
+  });
+});
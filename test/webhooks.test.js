@@ -0,0 +1,166 @@
+// Tests for outgoing webhooks: request signing and the delivery queue with
+// its retries. Deliveries go to a local HTTP server that answers as each test
+// says, over the in-memory storage backend.
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+
+// Read when the modules load, so set it before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+
+const { buildWebhookRequest, createWebhook, changeWebhook, emitWebhookEvent, processDueDeliveries } = await import('../webhooks.js');
+const { listWebhookDeliveries } = await import('../db.js');
+
+let server;
+let url;
+let requests = []; // { headers, body } of every call the server got
+let responses = []; // [status, headers] for the next calls; 204 once it is empty
+let channelCount = 0;
+
+// Every test gets its own channel, so events only reach its own webhooks
+function newChannel() {
+  return `webhookchannel${++channelCount}`;
+}
+
+async function newWebhook(fields = {}) {
+  return createWebhook({ channel: newChannel(), url, format: 'json', secret: null, events: [], enabled: true, ...fields });
+}
+
+async function deliveries(webhook) {
+  return listWebhookDeliveries(webhook.id);
+}
+
+const delivery = { id: 7, event: 'draw.completed', payload: { channel: 'chan', timestamp: '2024-05-01T20:00:00.000Z', data: { name: 'alice', message: 'Hades', tier: '1', seed: 'abc', candidates: [1, 2] } } };
+
+const log = console.log;
+const warn = console.warn;
+const error = console.error;
+
+before(async () => {
+  // Every delivery is logged
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      const [status, headers] = responses.shift() || [204, {}];
+      res.writeHead(status, headers).end(status >= 400 ? 'Receiver is down' : undefined);
+    });
+  });
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  url = `http://localhost:${server.address().port}/hook`;
+});
+
+afterEach(() => {
+  requests = [];
+  responses = [];
+  delete process.env.WEBHOOK_MAX_ATTEMPTS;
+});
+
+after(async () => {
+  console.log = log;
+  console.warn = warn;
+  console.error = error;
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('buildWebhookRequest', () => {
+  it('signs the timestamp and body of json webhooks that have a secret', () => {
+    const { body, headers } = buildWebhookRequest({ format: 'json', secret: 's3cret' }, delivery);
+    assert.deepEqual(JSON.parse(body), {
+      id: 7, event: 'draw.completed', channel: 'chan', created_at: '2024-05-01T20:00:00.000Z', data: delivery.payload.data,
+    });
+    assert.equal(headers['X-Subdays-Event'], 'draw.completed');
+    assert.equal(headers['X-Subdays-Delivery'], '7');
+    assert.ok(Math.abs(Number(headers['X-Subdays-Timestamp']) - Date.now() / 1000) < 5);
+    const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['X-Subdays-Timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['X-Subdays-Signature'], `sha256=${expected}`);
+  });
+
+  it('sends no signature without a secret', () => {
+    const { headers } = buildWebhookRequest({ format: 'json', secret: null }, delivery);
+    assert.equal(headers['X-Subdays-Signature'], undefined);
+    assert.equal(headers['X-Subdays-Timestamp'], undefined);
+  });
+
+  it('posts Discord webhooks as an embed', () => {
+    const { body, headers } = buildWebhookRequest({ format: 'discord', secret: 's3cret' }, delivery);
+    const [embed] = JSON.parse(body).embeds;
+    assert.equal(embed.title, 'Subday draw in #chan');
+    assert.equal(embed.description, "alice's pick **Hades** wins!");
+    assert.deepEqual(embed.fields.map(field => [field.name, field.value]), [['Tier', '1'], ['Entries', '2'], ['Seed', 'abc']]);
+    assert.equal(headers['X-Subdays-Signature'], undefined);
+  });
+});
+
+describe('deliveries', () => {
+  it('sends events to the webhooks that want them', async () => {
+    const all = await newWebhook({ secret: 's3cret' });
+    const drawsOnly = await newWebhook({ channel: all.channel, events: ['draw.completed'] });
+    await emitWebhookEvent(all.channel, 'submission.created', { id: 1 });
+    await emitWebhookEvent(newChannel(), 'submission.created', { id: 2 });
+    await processDueDeliveries();
+
+    assert.equal(requests.length, 1);
+    assert.equal(JSON.parse(requests[0].body).data.id, 1);
+    assert.match(requests[0].headers['x-subdays-signature'], /^sha256=[0-9a-f]{64}$/);
+    const [sent] = await deliveries(all);
+    assert.deepEqual([sent.status, sent.attempts, sent.response_status], ['delivered', 1, 204]);
+    assert.deepEqual(await deliveries(drawsOnly), []);
+  });
+
+  it('retries a failed call later, with exponential backoff', async () => {
+    const webhook = await newWebhook();
+    responses = [[500, {}]];
+    await emitWebhookEvent(webhook.channel, 'submission.created', { id: 1 });
+    const before = Date.now();
+    await processDueDeliveries();
+
+    const [failed] = await deliveries(webhook);
+    assert.deepEqual([failed.status, failed.attempts, failed.response_status, failed.last_error], ['pending', 1, 500, 'Receiver is down']);
+    const delay = new Date(failed.next_attempt_at) - before;
+    assert.ok(delay >= 30000 && delay < 31000, `retried after ${delay} ms`);
+
+    await processDueDeliveries();
+    assert.equal(requests.length, 1, 'not sent again before it is due');
+  });
+
+  it('waits as long as Retry-After asks, then sends the same delivery again', async () => {
+    const webhook = await newWebhook();
+    responses = [[503, { 'Retry-After': '0.05' }]];
+    await emitWebhookEvent(webhook.channel, 'submission.created', { id: 1 });
+    await processDueDeliveries();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await processDueDeliveries();
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].headers['x-subdays-delivery'], requests[0].headers['x-subdays-delivery']);
+    const [sent] = await deliveries(webhook);
+    assert.deepEqual([sent.status, sent.attempts], ['delivered', 2]);
+  });
+
+  it('gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+    process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+    const webhook = await newWebhook();
+    responses = [[500, {}]];
+    await emitWebhookEvent(webhook.channel, 'submission.created', { id: 1 });
+    await processDueDeliveries();
+    const [failed] = await deliveries(webhook);
+    assert.deepEqual([failed.status, failed.attempts], ['failed', 1]);
+  });
+
+  it('fails queued deliveries of a webhook that was disabled', async () => {
+    const webhook = await newWebhook();
+    await emitWebhookEvent(webhook.channel, 'submission.created', { id: 1 });
+    await changeWebhook(webhook.id, { enabled: false });
+    await processDueDeliveries();
+    assert.equal(requests.length, 0);
+    const [failed] = await deliveries(webhook);
+    assert.deepEqual([failed.status, failed.last_error], ['failed', 'Webhook disabled or removed']);
+  });
+});
@@ -0,0 +1,143 @@
+// Tests for submission windows: scheduled opens and closes, and the !subday
+// commands that set them, against the in-memory storage backend
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the modules load, so set it before importing anything
+process.env.STORAGE_BACKEND = 'memory';
+
+const {
+  getSubmissionWindow, isSubmissionWindowOpen, openSubmissions, closeSubmissions, scheduleSubmissions,
+  clearSubmissionSchedule, loadSubmissionWindows, parseScheduleTime, describeSubmissionWindow,
+} = await import('../windows.js');
+const { handleSubdayCommand } = await import('../commands.js');
+const { saveSubmissionWindow } = await import('../db.js');
+const { FakeChatClient } = await import('../fake-client.js');
+const { setChatClient } = await import('../chat.js');
+
+const HOUR = 60 * 60 * 1000;
+const mod = { userId: '1', login: 'moddy', displayName: 'Moddy' };
+
+let client;
+let channelCount = 0;
+
+// Every test gets its own channel, so windows never carry over
+function newChannel() {
+  return `windowchannel${++channelCount}`;
+}
+
+async function subday(channel, message) {
+  const before = client.sent.length;
+  await handleSubdayCommand(channel, mod, message, { isBroadcaster: false, isMod: true });
+  return client.sent.slice(before).map(sent => sent.message);
+}
+
+const log = console.log;
+
+before(() => {
+  // Window changes are logged
+  console.log = () => {};
+  client = new FakeChatClient();
+  setChatClient(client);
+});
+
+after(() => {
+  console.log = log;
+});
+
+describe('parseScheduleTime', () => {
+  const now = new Date('2024-05-01T20:00:00Z');
+
+  it('reads times from now', () => {
+    assert.deepEqual(parseScheduleTime('30m', now), new Date('2024-05-01T20:30:00Z'));
+    assert.deepEqual(parseScheduleTime('2h', now), new Date('2024-05-01T22:00:00Z'));
+    assert.deepEqual(parseScheduleTime('1H30M', now), new Date('2024-05-01T21:30:00Z'));
+  });
+
+  it('reads dates and rejects anything else', () => {
+    assert.deepEqual(parseScheduleTime('2024-05-02T18:00Z', now), new Date('2024-05-02T18:00:00Z'));
+    for (const text of ['', 'h', 'soon', undefined]) {
+      assert.equal(parseScheduleTime(text, now), null, String(text));
+    }
+  });
+});
+
+describe('submission windows', () => {
+  it('leaves channels without a window open', () => {
+    const channel = newChannel();
+    assert.ok(isSubmissionWindowOpen(channel));
+    assert.equal(describeSubmissionWindow(getSubmissionWindow(channel)), 'open');
+  });
+
+  it('applies a scheduled close once it is due', async () => {
+    const channel = newChannel();
+    const closesAt = new Date(Date.now() + HOUR);
+    await scheduleSubmissions(channel, 'close', closesAt, 'moddy');
+    assert.ok(getSubmissionWindow(channel).isOpen);
+    assert.deepEqual(getSubmissionWindow(channel).closesAt, closesAt);
+
+    const later = getSubmissionWindow(channel, new Date(closesAt.getTime() + 1));
+    assert.equal(later.isOpen, false);
+    assert.equal(later.closesAt, null);
+  });
+
+  it('applies due opens and closes in the order they were due', async () => {
+    const channel = newChannel();
+    const opensAt = new Date(Date.now() + HOUR);
+    await closeSubmissions(channel, 'moddy');
+    await scheduleSubmissions(channel, 'open', opensAt, 'moddy');
+    await scheduleSubmissions(channel, 'close', new Date(opensAt.getTime() + HOUR), 'moddy');
+
+    assert.equal(getSubmissionWindow(channel, new Date(opensAt.getTime() + 1)).isOpen, true);
+    const after = getSubmissionWindow(channel, new Date(opensAt.getTime() + 2 * HOUR));
+    assert.deepEqual([after.isOpen, after.opensAt, after.closesAt], [false, null, null]);
+  });
+
+  it('keeps the opposite schedule when opening or closing right away', async () => {
+    const channel = newChannel();
+    const opensAt = new Date(Date.now() + HOUR);
+    const closesAt = new Date(Date.now() + 2 * HOUR);
+    await scheduleSubmissions(channel, 'open', opensAt, 'moddy');
+    await scheduleSubmissions(channel, 'close', closesAt, 'moddy');
+
+    const opened = await openSubmissions(channel, 'moddy');
+    assert.deepEqual([opened.isOpen, opened.opensAt, opened.closesAt], [true, null, closesAt]);
+    const closed = await closeSubmissions(channel, 'moddy');
+    assert.deepEqual([closed.isOpen, closed.opensAt, closed.closesAt], [false, null, null]);
+
+    await scheduleSubmissions(channel, 'open', opensAt, 'moddy');
+    const cleared = await clearSubmissionSchedule(channel, 'moddy');
+    assert.deepEqual([cleared.isOpen, cleared.opensAt, cleared.closesAt], [false, null, null]);
+  });
+
+  it('loads stored windows', async () => {
+    const channel = newChannel();
+    await saveSubmissionWindow(channel, { isOpen: false, opensAt: null, closesAt: null, updatedBy: 'cli' });
+    assert.ok(isSubmissionWindowOpen(channel));
+    await loadSubmissionWindows();
+    assert.equal(isSubmissionWindowOpen(channel), false);
+    assert.equal(getSubmissionWindow(channel).updatedBy, 'cli');
+  });
+});
+
+describe('!subday schedule', () => {
+  it('schedules, describes and clears changes', async () => {
+    const channel = newChannel();
+    const [scheduled] = await subday(channel, '!subday schedule close 2h');
+    assert.match(scheduled, /^@Moddy submissions are open \(closes \d{4}-\d\d-\d\d \d\d:\d\d UTC\)\.$/);
+    assert.ok(getSubmissionWindow(channel).closesAt > new Date(Date.now() + HOUR));
+
+    const [cleared] = await subday(channel, '!subday schedule clear');
+    assert.equal(cleared, '@Moddy schedule cleared, submissions are open.');
+    assert.equal(getSubmissionWindow(channel).closesAt, null);
+  });
+
+  it('refuses times in the past and explains the usage', async () => {
+    const channel = newChannel();
+    const [past] = await subday(channel, '!subday schedule open 2020-01-01T00:00Z');
+    assert.equal(past, '@Moddy 2020-01-01 00:00 UTC is in the past.');
+    const [usage] = await subday(channel, '!subday schedule later 30m');
+    assert.match(usage, /usage: !subday schedule open\|close/);
+    assert.equal(getSubmissionWindow(channel).opensAt, null);
+  });
+});
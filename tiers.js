@@ -0,0 +1,141 @@
+// Subscription tier tracking.
+// The subscriber badge version mostly encodes tenure, so the real tier is learned
+// from subscription USERNOTICE events (msg-param-sub-plan) and remembered per
+// user and channel. The badge heuristic is only used when no plan has been seen.
+import { getAllSubscriberTiers, upsertSubscriberTier } from "./db.js";
+import { normalizeChannel } from "./channels.js";
+
+const knownTiers = new Map(); // "channel:userId" -> { tier, plan, source, lastSeenAt }
+
+// Plans announced by submysterygift, applied to the subgift events that follow it
+const mysteryGiftPlans = new Map(); // origin ID -> { plan, timestamp }
+
+function tierKey(channel, userId) {
+  return `${channel}:${userId}`;
+}
+
+// Map a msg-param-sub-plan value (Prime, 1000, 2000, 3000) to a tier
+export function planToTier(plan) {
+  switch (plan) {
+    case 'Prime':
+    case '1000':
+      return "1";
+    case '2000':
+      return "2";
+    case '3000':
+      return "3";
+    default:
+      return null;
+  }
+}
+
+// Guess the tier from the subscriber badge version (2xxx/3xxx badges)
+export function getBadgeTier(badgeInfo) {
+  if (!badgeInfo || !badgeInfo.subscriber) return "1";
+  const subVersion = parseInt(badgeInfo.subscriber);
+  if (subVersion >= 3000) return "3";
+  if (subVersion >= 2000) return "2";
+  return "1";
+}
+
+// Load known tiers from the database into memory
+export async function loadSubscriberTiers() {
+  try {
+    const rows = await getAllSubscriberTiers();
+    for (const row of rows) {
+      knownTiers.set(tierKey(row.channel, row.user_id), {
+        tier: row.tier,
+        plan: row.plan,
+        source: row.source,
+        lastSeenAt: row.last_seen_at,
+      });
+    }
+    console.log(`Loaded ${rows.length} known subscription tiers`);
+  } catch (error) {
+    console.error("Error loading subscription tiers:", error);
+  }
+}
+
+// Get the tracked tier of a user, or null if no subscription event has been seen
+export function getKnownTier(channel, userId) {
+  if (!userId) return null;
+  return knownTiers.get(tierKey(normalizeChannel(channel), userId)) || null;
+}
+
+// Tier to store for a chatting user: the tracked plan if known, else the badge guess
+export function resolveSubscriberTier(channel, userId, badgeInfo) {
+  const known = getKnownTier(channel, userId);
+  return known ? known.tier : getBadgeTier(badgeInfo);
+}
+
+// Remember the plan of a subscription event. Returns the tier, or null if the
+// plan was missing or unrecognized.
+export async function recordSubscriptionPlan(channel, userId, login, plan, source) {
+  const tier = planToTier(plan);
+  if (!userId || !tier) {
+    console.log(`[TIERS] Ignoring ${source} event for ${login}: user ID ${userId}, plan ${plan}`);
+    return null;
+  }
+
+  const channelName = normalizeChannel(channel);
+  knownTiers.set(tierKey(channelName, userId), {
+    tier,
+    plan,
+    source,
+    lastSeenAt: new Date(),
+  });
+
+  try {
+    await upsertSubscriberTier(channelName, userId, login, tier, plan, source);
+    console.log(`[TIERS] ${login} in ${channelName} is tier ${tier} (${plan}, from ${source})`);
+  } catch (error) {
+    console.error(`[TIERS] Error saving tier for ${login}:`, error);
+  }
+  return tier;
+}
+
+// Listen for subscription events on a tmi client. onTierLearned(channel, userId, tier)
+// is called whenever a user's tier is recorded. Handlers return their promise
+// so a FakeChatClient can wait for them.
+export function registerTierHandlers(client, onTierLearned) {
+  const record = async (channel, userId, login, plan, source) => {
+    const tier = await recordSubscriptionPlan(channel, userId, login, plan, source);
+    if (tier && onTierLearned) {
+      try {
+        await onTierLearned(normalizeChannel(channel), userId, tier);
+      } catch (error) {
+        console.error(`[TIERS] Error applying tier for ${login}:`, error);
+      }
+    }
+  };
+
+  client.on("subscription", (channel, username, methods, msg, tags) => {
+    return record(channel, tags['user-id'], tags.login, methods?.plan, 'subscription');
+  });
+
+  client.on("resub", (channel, username, streakMonths, msg, tags, methods) => {
+    return record(channel, tags['user-id'], tags.login, methods?.plan, 'resub');
+  });
+
+  client.on("subgift", (channel, username, streakMonths, recipient, methods, tags) => {
+    const originId = tags['msg-param-origin-id'];
+    const plan = methods?.plan || mysteryGiftPlans.get(originId)?.plan;
+    return record(channel, tags['msg-param-recipient-id'], tags['msg-param-recipient-user-name'], plan, 'subgift');
+  });
+
+  // A mystery gift announces the plan; the recipients arrive as subgift events
+  client.on("submysterygift", (channel, username, giftSubCount, methods, tags) => {
+    const originId = tags['msg-param-origin-id'];
+    if (!originId || !methods?.plan) return;
+
+    // Forget announcements that are older than 10 minutes
+    const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
+    for (const [key, value] of mysteryGiftPlans.entries()) {
+      if (value.timestamp < tenMinutesAgo) {
+        mysteryGiftPlans.delete(key);
+      }
+    }
+    mysteryGiftPlans.set(originId, { plan: methods.plan, timestamp: Date.now() });
+    console.log(`[TIERS] ${username} is gifting ${giftSubCount} subs (${methods.plan}) in ${normalizeChannel(channel)}`);
+  });
+}
@@ -0,0 +1,369 @@
+// Export and import of submissions as CSV or JSON.
+//
+// Exports cover the current submissions of a channel or one of its sessions.
+// Imports read our own exports as well as CSV dumps of the Google Sheet that
+// submissions were kept in before the database (Username, Message, Tier and
+// optionally Timestamp columns). An import is planned first: the plan lists
+// what would be added or changed, and nothing is written unless it is applied.
+import {
+  getAllCommands, findActiveSession, getSessionById, getSessionEntries, getVoteTotals, importCommands,
+  SUBMISSION_TIERS, SUBMISSION_STATUSES,
+} from "./db.js";
+import { planToTier } from "./tiers.js";
+import { cleanSubmissionText } from "./validation.js";
+import { assignSubmissionGame } from "./games.js";
+import { cacheCommandRow } from "./cache.js";
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+export const EXPORT_COLUMNS = [
+  'id', 'session_id', 'channel', 'user_id', 'name', 'display_name', 'message',
+  'tier', 'slot', 'status', 'votes', 'created_at', 'updated_at',
+];
+
+// Header names accepted on import, compared without case, spaces or
+// underscores. The extra names cover the old sheet layout.
+const IMPORT_HEADERS = {
+  user_id: ['userid', 'twitchuserid', 'twitchid'],
+  name: ['name', 'login', 'user', 'username', 'twitchname', 'twitchusername', 'subscriber'],
+  display_name: ['displayname'],
+  message: ['message', 'submission', 'pick', 'game', 'command', 'request'],
+  tier: ['tier', 'subtier', 'subscriptiontier', 'plan'],
+  slot: ['slot'],
+  status: ['status'],
+  created_at: ['createdat', 'timestamp', 'date', 'time', 'submittedat'],
+  updated_at: ['updatedat', 'lastupdated'],
+};
+
+const MAX_SLOT = 9;
+
+function formatValue(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+function csvField(value) {
+  const text = formatValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows as CSV with a header line
+export function formatCsv(rows, columns = EXPORT_COLUMNS) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Parse CSV (RFC 4180: quoted fields may contain commas, quotes and newlines)
+// into an array of records, each an array of fields
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  text = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Submissions to export: the current ones of a channel, or those of a session
+// of that channel. Returns { session, rows }, or null if the session does not
+// belong to the channel (or the channel has no open session).
+export async function getExportRows(channel, sessionId = null) {
+  const session = sessionId ? await getSessionById(sessionId) : await findActiveSession(channel);
+  if (!session || session.channel !== channel) return null;
+
+  if (session.ended_at) {
+    return { session, rows: await getSessionEntries(session.id) };
+  }
+  const [rows, totals] = await Promise.all([getAllCommands(channel), getVoteTotals(channel)]);
+  const votes = new Map(totals.map(total => [total.submission_id, total.votes]));
+  return {
+    session,
+    rows: rows
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id)
+      .map(row => ({ ...row, session_id: session.id, votes: votes.get(row.id) || 0 })),
+  };
+}
+
+// Export file contents in the given format. Archived entries are exported with
+// the ID the submission had, so both kinds of export share their columns.
+export function formatExport(channel, { session, rows }, format = 'csv') {
+  const submissions = rows.map(row => Object.fromEntries(
+    EXPORT_COLUMNS.map(column => [column, column === 'id' ? row.command_id ?? row.id : row[column] ?? null])
+  ));
+  if (format === 'json') {
+    return JSON.stringify({ channel, session, submissions }, null, 2) + '\n';
+  }
+  return formatCsv(submissions);
+}
+
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+// Map each import field to its column index
+function mapHeaders(headers) {
+  const columns = {};
+  headers.forEach((header, index) => {
+    const key = headerKey(header);
+    for (const [field, names] of Object.entries(IMPORT_HEADERS)) {
+      if (names.includes(key) && columns[field] === undefined) {
+        columns[field] = index;
+      }
+    }
+  });
+  if (columns.name === undefined || columns.message === undefined) {
+    throw new Error('The file needs a name (or Username) and a message (or Submission) column');
+  }
+  return columns;
+}
+
+// Accepts 1/2/3, "Tier 2", "T3" and sub plans (Prime, 1000, 2000, 3000)
+function parseTier(value) {
+  const text = String(value ?? '').trim();
+  if (text === '') return '1';
+  if (SUBMISSION_TIERS.includes(text)) return text;
+  const planTier = planToTier(text.replace(/^prime$/i, 'Prime'));
+  if (planTier) return planTier;
+  const digit = text.match(/^(?:tier|t)\s*(\d)$/i)?.[1];
+  return SUBMISSION_TIERS.includes(digit) ? digit : null;
+}
+
+function parseTimestamp(value) {
+  const text = formatValue(value).trim();
+  if (text === '') return { date: null };
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? { error: `invalid date ${text}` } : { date };
+}
+
+// Check one imported record and turn it into a row, or { error }
+function normalizeEntry(record) {
+  const login = formatValue(record.name).trim().replace(/^@/, '');
+  const name = login.toLowerCase();
+  if (!/^[a-z0-9_]{1,25}$/.test(name)) {
+    return { error: login ? `invalid name ${login}` : 'missing name' };
+  }
+
+  const message = cleanSubmissionText(formatValue(record.message));
+  if (!message) {
+    return { error: 'missing message' };
+  }
+
+  const tier = parseTier(record.tier);
+  if (!tier) {
+    return { error: `invalid tier ${record.tier}` };
+  }
+
+  const slot = formatValue(record.slot).trim() === '' ? 1 : Number(record.slot);
+  if (!Number.isInteger(slot) || slot < 1 || slot > MAX_SLOT) {
+    return { error: `invalid slot ${record.slot}` };
+  }
+
+  const status = formatValue(record.status).trim().toLowerCase() || 'pending';
+  if (!SUBMISSION_STATUSES.includes(status)) {
+    return { error: `invalid status ${record.status}` };
+  }
+
+  const createdAt = parseTimestamp(record.created_at);
+  const updatedAt = parseTimestamp(record.updated_at);
+  if (createdAt.error || updatedAt.error) {
+    return { error: createdAt.error || updatedAt.error };
+  }
+
+  return {
+    row: {
+      user_id: formatValue(record.user_id).trim() || null,
+      name,
+      display_name: formatValue(record.display_name).trim() || (login !== name ? login : null),
+      message,
+      tier,
+      slot,
+      status,
+      created_at: createdAt.date,
+      updated_at: updatedAt.date,
+    },
+  };
+}
+
+// Read an import file: CSV (our export or the old sheet) or JSON (our export,
+// or an array of submissions). content may be already parsed JSON.
+// Returns { entries: [{ line, row }], invalid: [{ line, error }] } where line
+// is the line (CSV) or position (JSON) of the record.
+export function parseImportFile(content, format = null) {
+  const isCsv = typeof content === 'string' && (format === 'csv' || (!format && !/^\s*[[{]/.test(content)));
+  let records;
+  if (typeof content !== 'string') {
+    records = content;
+  } else if (!isCsv) {
+    try {
+      records = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  } else {
+    const [headers, ...lines] = parseCsv(content);
+    if (!headers) {
+      throw new Error('The file is empty');
+    }
+    const columns = mapHeaders(headers);
+    records = lines.map(fields => Object.fromEntries(
+      Object.entries(columns).map(([field, index]) => [field, fields[index]])
+    ));
+  }
+
+  if (records && !Array.isArray(records)) {
+    records = records.submissions;
+  }
+  if (!Array.isArray(records)) {
+    throw new Error('Expected an array of submissions or an export with "submissions"');
+  }
+
+  const entries = [];
+  const invalid = [];
+  records.forEach((record, index) => {
+    // CSV line numbers count the header; JSON positions start at 1
+    const line = isCsv ? index + 2 : index + 1;
+    const { row, error } = record && typeof record === 'object'
+      ? normalizeEntry(record)
+      : { error: 'not an object' };
+    if (error) {
+      invalid.push({ line, error });
+    } else {
+      entries.push({ line, row });
+    }
+  });
+  return { entries, invalid };
+}
+
+// Compare parsed entries with the current submissions of a channel. Later
+// lines for the same user and slot replace earlier ones.
+// Returns { added: [row], updated: [{ id, name, slot, changes }], unchanged, replaced: [line], invalid }
+// where changes maps each changed field to { from, to }.
+export async function planImport(channel, { entries, invalid = [] }) {
+  const byUserId = new Map();
+  const byName = new Map();
+  for (const row of await getAllCommands(channel)) {
+    if (row.user_id) byUserId.set(`${row.user_id}:${row.slot}`, row);
+    // A login matches the newest row of that name, with or without user ID
+    const current = byName.get(`${row.name}:${row.slot}`);
+    if (!current || new Date(row.updated_at) > new Date(current.updated_at)) {
+      byName.set(`${row.name}:${row.slot}`, row);
+    }
+  }
+
+  // Rows with a Twitch user ID match that user, or a legacy row of their
+  // login; rows without one (the old sheet) match by login
+  const findCurrent = row => {
+    if (!row.user_id) return byName.get(`${row.name}:${row.slot}`);
+    const legacy = byName.get(`${row.name}:${row.slot}`);
+    return byUserId.get(`${row.user_id}:${row.slot}`) || (legacy && !legacy.user_id ? legacy : undefined);
+  };
+
+  const latest = new Map();
+  const replaced = [];
+  for (const entry of entries) {
+    const key = `${entry.row.user_id || entry.row.name}:${entry.row.slot}`;
+    if (latest.has(key)) replaced.push(latest.get(key).line);
+    latest.set(key, entry);
+  }
+
+  const plan = { channel, added: [], updated: [], unchanged: 0, replaced, invalid };
+  for (const { line, row } of latest.values()) {
+    const current = findCurrent(row);
+    if (!current) {
+      plan.added.push({ line, ...row });
+      continue;
+    }
+    const changes = {};
+    for (const field of ['message', 'tier', 'status']) {
+      if (row[field] !== current[field]) {
+        changes[field] = { from: current[field], to: row[field] };
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      plan.unchanged++;
+      continue;
+    }
+    plan.updated.push({
+      line,
+      id: current.id,
+      name: current.name,
+      slot: current.slot,
+      changes,
+      row: { ...row, id: current.id },
+    });
+  }
+  return plan;
+}
+
+// Write a planned import. Returns the written rows.
+export async function applyImport(plan, importedBy) {
+  const rows = [...plan.added, ...plan.updated.map(update => update.row)];
+  const written = await importCommands(plan.channel, rows);
+  const matched = [];
+  for (const row of written) {
+    const updated = await assignSubmissionGame(row);
+    cacheCommandRow(updated);
+    matched.push(updated);
+  }
+  console.log(`[IMPORT] ${importedBy} imported ${plan.added.length} new and ${plan.updated.length} changed submissions into ${plan.channel}`);
+  return matched;
+}
+
+// Short report of a plan, one line per change
+export function describeImportPlan(plan) {
+  const lines = [];
+  for (const row of plan.added) {
+    lines.push(`+ ${row.name} (slot ${row.slot}, tier ${row.tier}, ${row.status}): ${row.message}`);
+  }
+  for (const update of plan.updated) {
+    const changes = Object.entries(update.changes)
+      .map(([field, { from, to }]) => `${field} ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    lines.push(`~ ${update.name} (slot ${update.slot}, #${update.id}): ${changes.join(', ')}`);
+  }
+  for (const line of plan.replaced) {
+    lines.push(`- line ${line}: replaced by a later line for the same user and slot`);
+  }
+  for (const { line, error } of plan.invalid) {
+    lines.push(`! line ${line}: ${error}`);
+  }
+  lines.push(`${plan.added.length} to add, ${plan.updated.length} to update, ${plan.unchanged} unchanged, ${plan.invalid.length} invalid`);
+  return lines.join('\n');
+}
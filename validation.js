@@ -0,0 +1,148 @@
+// Validation pipeline for % submissions. Each rule looks at the cleaned-up text
+// and returns a rejection ({ reason, detail }) or null. Rejections are recorded
+// in submission_rejections for mods to review.
+//
+// SUBMISSION_MIN_LENGTH / SUBMISSION_MAX_LENGTH: allowed length (default 2 / 200)
+// SUBMISSION_ALLOW_URLS: set to "true" to allow links (blocked by default)
+// BANNED_WORDS: comma separated words banned in every channel, on top of the
+// per-channel lists managed with !subday ban / unban
+import { getAllBannedWords, addBannedWord, removeBannedWord, recordRejection } from "./db.js";
+
+const bannedWords = new Map(); // channel -> Set of words
+
+const URL_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|gg|tv|ly|me|co|xyz|ru|de|uk)\b/i;
+
+function getLength(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Text used to compare submissions: lower case, single spaces
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Strip the % prefix and tidy whitespace
+export function cleanSubmissionText(rawText) {
+  return rawText.replace(/^%+/, '').replace(/\s+/g, ' ').trim();
+}
+
+// Load per-channel banned words into memory
+export async function loadBannedWords() {
+  try {
+    const rows = await getAllBannedWords();
+    for (const row of rows) {
+      getChannelBannedWords(row.channel).add(row.word);
+    }
+    console.log(`Loaded ${rows.length} banned words`);
+  } catch (error) {
+    console.error("Error loading banned words:", error);
+  }
+}
+
+function getChannelBannedWords(channel) {
+  if (!bannedWords.has(channel)) {
+    bannedWords.set(channel, new Set());
+  }
+  return bannedWords.get(channel);
+}
+
+// Banned words that apply to a channel, including BANNED_WORDS
+export function listBannedWords(channel) {
+  const words = new Set(getChannelBannedWords(channel));
+  for (const word of (process.env.BANNED_WORDS || '').split(',')) {
+    if (word.trim()) words.add(word.trim().toLowerCase());
+  }
+  return [...words].sort();
+}
+
+export async function banWord(channel, word, addedBy) {
+  const normalized = normalizeText(word);
+  const added = await addBannedWord(channel, normalized, addedBy);
+  getChannelBannedWords(channel).add(normalized);
+  return added;
+}
+
+export async function unbanWord(channel, word) {
+  const normalized = normalizeText(word);
+  const removed = await removeBannedWord(channel, normalized);
+  getChannelBannedWords(channel).delete(normalized);
+  return removed;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const rules = [
+  function minLength({ text }) {
+    const min = getLength('SUBMISSION_MIN_LENGTH', 2);
+    return text.length < min
+      ? { reason: 'too_short', detail: `at least ${min} characters` }
+      : null;
+  },
+
+  function maxLength({ text }) {
+    const max = getLength('SUBMISSION_MAX_LENGTH', 200);
+    return text.length > max
+      ? { reason: 'too_long', detail: `at most ${max} characters` }
+      : null;
+  },
+
+  function noUrls({ text }) {
+    if (process.env.SUBMISSION_ALLOW_URLS === 'true') return null;
+    const match = text.match(URL_PATTERN);
+    return match ? { reason: 'url', detail: match[0] } : null;
+  },
+
+  function noBannedWords({ channel, text }) {
+    const word = listBannedWords(channel).find(banned => {
+      return new RegExp(`(^|\\W)${escapeRegExp(banned)}($|\\W)`, 'i').test(text);
+    });
+    return word ? { reason: 'banned_word', detail: word } : null;
+  },
+
+  function notDuplicate({ text, current }) {
+    return current.some(pick => normalizeText(cleanSubmissionText(pick)) === normalizeText(text))
+      ? { reason: 'duplicate', detail: 'same as one of your current picks' }
+      : null;
+  },
+];
+
+// Messages shown to users for each rejection reason
+const REJECTION_MESSAGES = {
+  too_short: detail => `your pick is too short (${detail}).`,
+  too_long: detail => `your pick is too long (${detail}).`,
+  url: () => 'links are not allowed in picks.',
+  banned_word: () => 'your pick contains a word that is not allowed.',
+  duplicate: () => 'that is already one of your picks.',
+};
+
+export const REJECTION_REASONS = Object.keys(REJECTION_MESSAGES);
+
+export function describeRejection(rejection) {
+  const describe = REJECTION_MESSAGES[rejection.reason];
+  return describe ? describe(rejection.detail) : 'your pick was rejected.';
+}
+
+// Run a % message through the pipeline. current is the user's current message,
+// or a list of them when they hold several slots. Returns { ok: true, text }
+// with the cleaned-up text, or { ok: false, reason, detail } after recording
+// the rejection.
+export async function validateSubmission(channel, user, rawText, current = []) {
+  const text = cleanSubmissionText(rawText);
+  current = [].concat(current ?? []);
+  for (const rule of rules) {
+    const rejection = rule({ channel, user, text, current });
+    if (rejection) {
+      console.log(`[VALIDATION] Rejected ${user.login} in ${channel} (${rule.name}): ${rejection.reason} ${rejection.detail || ''}`);
+      try {
+        await recordRejection(channel, user, rawText, rejection.reason, rejection.detail || null);
+      } catch (error) {
+        console.error('[VALIDATION] Error recording rejection:', error);
+      }
+      return { ok: false, ...rejection };
+    }
+  }
+  return { ok: true, text };
+}
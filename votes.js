@@ -0,0 +1,80 @@
+// Viewer voting: anyone in chat can back one pending submission per session
+// with "!vote <id or title>". Votes can count more for subs and feed the draw.
+//
+// VOTE_TIER_WEIGHTS: weight of a vote per tier, 0 being non-subs, e.g.
+// "0:1,1:2,2:3,3:4". Every vote counts 1 by default.
+import { castVote, getCommandById } from "./db.js";
+import { findGameCluster } from "./games.js";
+import { sendSubmissionFeedback } from "./feedback.js";
+import { notifyChannelChanged } from "./events.js";
+
+const DEFAULT_VOTE_WEIGHTS = { '0': 1, '1': 1, '2': 1, '3': 1 };
+
+export function getVoteWeights() {
+  const weights = { ...DEFAULT_VOTE_WEIGHTS };
+  for (const pair of (process.env.VOTE_TIER_WEIGHTS || '').split(',')) {
+    const [tier, weight] = pair.split(':').map(part => part?.trim());
+    if (!tier || weight === undefined) continue;
+    const value = Number(weight);
+    if (!(tier in weights) || !Number.isFinite(value) || value < 0) {
+      console.warn(`Ignoring invalid VOTE_TIER_WEIGHTS entry: ${pair}`);
+      continue;
+    }
+    weights[tier] = value;
+  }
+  return weights;
+}
+
+export function isVoteCommand(msg) {
+  return /^!vote(\s|$)/i.test(msg.trim());
+}
+
+// The submission a vote refers to: "#12" / "12" by ID, otherwise the oldest
+// pending submission in the game group matching the text
+async function findVoteTarget(channel, target) {
+  const id = /^#?(\d+)$/.exec(target);
+  if (id) {
+    const row = await getCommandById(Number(id[1]));
+    return row?.channel === channel ? row : null;
+  }
+  const cluster = await findGameCluster(channel, target);
+  return cluster?.submissions.find(row => row.status === 'pending') || null;
+}
+
+// Handle "!vote <id or title>" from a chat user ({ userId, login, displayName }).
+// tier is the voter's subscription tier, "0" for non-subs.
+export async function handleVoteCommand(channel, user, msg, { tier, parentMsgId }) {
+  const target = msg.trim().replace(/^!vote\s*/i, '');
+  const tell = message => sendSubmissionFeedback(channel, user, parentMsgId, 'vote', message);
+
+  if (!user.userId) {
+    console.log(`* Ignoring !vote from ${user.login}: message has no user-id tag`);
+    return;
+  }
+  if (!target) {
+    await tell('usage: !vote <pick number or game>');
+    return;
+  }
+
+  const row = await findVoteTarget(channel, target);
+  if (!row || row.status !== 'pending') {
+    await tell(`no pending pick matches "${target}".`);
+    return;
+  }
+  if (row.user_id === user.userId) {
+    await tell('you cannot vote for your own pick.');
+    return;
+  }
+
+  const weight = getVoteWeights()[tier] ?? 1;
+  const result = await castVote(channel, row.id, user, tier, weight);
+  if (!result) {
+    await tell(`no pending pick matches "${target}".`);
+  } else if (result.existing) {
+    await tell(`you already voted this session (#${result.existing.command_id}).`);
+  } else {
+    console.log(`[VOTES] ${user.login} (tier ${tier}, weight ${weight}) voted for #${row.id} in ${channel}`);
+    notifyChannelChanged(channel, 'vote');
+    await tell(`your vote for #${row.id} ${row.message} was counted.`);
+  }
+}
@@ -0,0 +1,37 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// Local receiver for trying out webhooks: prints every call and checks the
+// signature of "json" webhooks.
+// node webhook-receiver.js [port] [secret] [number of calls to fail first]
+const port = parseInt(process.argv[2]) || 9000;
+const secret = process.argv[3] || null;
+let failuresLeft = parseInt(process.argv[4]) || 0;
+
+function checkSignature(req, body) {
+    if (!secret) return 'not checked (no secret given)';
+    const timestamp = req.headers['x-subdays-timestamp'];
+    const signature = req.headers['x-subdays-signature'];
+    if (!timestamp || !signature) return 'MISSING';
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    const valid = expected.length === signature.length
+        && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    return valid ? 'valid' : 'INVALID';
+}
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+        console.log(`${new Date().toISOString()} ${req.method} ${req.url} event=${req.headers['x-subdays-event'] || '-'} signature=${checkSignature(req, body)}`);
+        console.log(body);
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            res.writeHead(500).end('Failing on purpose');
+            return;
+        }
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port}`));
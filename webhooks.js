@@ -0,0 +1,278 @@
+// Outgoing webhooks for submission and draw events. Calls are queued in
+// webhook_deliveries and sent by a background worker that retries failures
+// with exponential backoff, so nothing is lost when a receiver is down or the
+// bot restarts. The same table is the delivery log.
+//
+// Formats: "json" (generic, signed with HMAC-SHA256 when the webhook has a
+// secret) and "discord" (a Discord webhook URL, posted as an embed).
+//
+// WEBHOOK_MAX_ATTEMPTS: attempts before a delivery is marked failed (default 8)
+// WEBHOOK_POLL_INTERVAL: seconds between queue checks (default 5)
+import crypto from "crypto";
+import {
+  getAllWebhooks, insertWebhook, updateWebhook, deleteWebhook,
+  enqueueWebhookDelivery, claimDueWebhookDeliveries, recordWebhookAttempt,
+} from "./db.js";
+
+export const WEBHOOK_EVENTS = ['submission.created', 'submission.updated', 'submission.rejected', 'draw.completed'];
+export const WEBHOOK_FORMATS = ['json', 'discord'];
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const REQUEST_TIMEOUT = 10 * 1000;
+const BATCH_SIZE = 20;
+// A batch is sent one delivery after another, so the claim has to outlast every
+// request in it timing out, or another instance claims and sends them again
+const LEASE_SECONDS = Math.ceil(BATCH_SIZE * REQUEST_TIMEOUT / 1000) + 60;
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+const webhooks = new Map(); // webhook ID -> row
+let processing = false;
+let workerStarted = false;
+
+function getMaxAttempts() {
+  const value = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS);
+  return Number.isInteger(value) && value > 0 ? value : 8;
+}
+
+// Load webhooks into memory
+export async function loadWebhooks() {
+  try {
+    const rows = await getAllWebhooks();
+    webhooks.clear();
+    for (const row of rows) {
+      webhooks.set(row.id, row);
+    }
+    console.log(`Loaded ${rows.length} webhooks`);
+  } catch (error) {
+    console.error("Error loading webhooks:", error);
+  }
+}
+
+export function listWebhooks() {
+  return [...webhooks.values()];
+}
+
+export function getWebhook(id) {
+  return webhooks.get(id) || null;
+}
+
+export async function createWebhook(fields) {
+  const row = await insertWebhook(fields);
+  webhooks.set(row.id, row);
+  return row;
+}
+
+export async function changeWebhook(id, changes) {
+  const row = await updateWebhook(id, changes);
+  if (row) webhooks.set(row.id, row);
+  return row;
+}
+
+export async function removeWebhook(id) {
+  const row = await deleteWebhook(id);
+  if (row) webhooks.delete(row.id);
+  return row;
+}
+
+function wantsEvent(webhook, channel, event) {
+  return webhook.enabled
+    && (!webhook.channel || webhook.channel === channel)
+    && (webhook.events.length === 0 || webhook.events.includes(event));
+}
+
+async function enqueue(webhook, channel, event, data) {
+  return enqueueWebhookDelivery(webhook.id, event, {
+    channel,
+    timestamp: new Date().toISOString(),
+    data,
+  });
+}
+
+// Send new deliveries right away, but only in the process that runs the
+// worker. Short-lived ones such as the CLI just queue them: they may exit
+// mid-send, leaving the delivery to be sent again.
+function sendSoon() {
+  if (workerStarted) {
+    setImmediate(processDueDeliveries);
+  }
+}
+
+// Queue an event for every webhook that wants it. Never throws: webhooks must
+// not get in the way of chat handling.
+export async function emitWebhookEvent(channel, event, data) {
+  const targets = listWebhooks().filter(webhook => wantsEvent(webhook, channel, event));
+  if (targets.length === 0) return;
+  try {
+    for (const webhook of targets) {
+      await enqueue(webhook, channel, event, data);
+    }
+    sendSoon();
+  } catch (error) {
+    console.error(`[WEBHOOKS] Error queueing ${event} for ${channel}:`, error);
+  }
+}
+
+// Queue a "ping" to one webhook, whatever its event filter
+export async function sendTestEvent(webhook) {
+  const delivery = await enqueue(webhook, webhook.channel, 'ping', { message: 'Test event from the subday bot' });
+  sendSoon();
+  return delivery;
+}
+
+// Submission fields sent with submission events
+export function submissionPayload(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    name: row.name,
+    display_name: row.display_name,
+    message: row.message,
+    tier: row.tier,
+    slot: row.slot,
+    status: row.status,
+  };
+}
+
+const DISCORD_COLORS = {
+  'submission.created': 0x2e7d32,
+  'submission.updated': 0x1565c0,
+  'submission.rejected': 0xc62828,
+  'draw.completed': 0x9146ff,
+  'ping': 0x888888,
+};
+
+function truncate(text, length) {
+  const value = String(text ?? '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function discordEmbed(event, { channel, timestamp, data }) {
+  const user = data.display_name || data.name;
+  const embeds = {
+    'submission.created': () => ({ title: `New pick in #${channel}`, description: data.message, fields: [['User', user], ['Tier', data.tier], ['Slot', data.slot]] }),
+    'submission.updated': () => ({ title: `Updated pick in #${channel}`, description: data.message, fields: [['User', user], ['Tier', data.tier], ['Slot', data.slot]] }),
+    'submission.rejected': () => ({ title: `Rejected pick in #${channel}`, description: data.text, fields: [['User', user], ['Reason', data.reason], ['Detail', data.detail]] }),
+    'draw.completed': () => ({ title: `Subday draw in #${channel}`, description: `${data.name}'s pick **${data.message}** wins!`, fields: [['Tier', data.tier], ['Entries', data.candidates?.length], ['Seed', data.seed]] }),
+    'ping': () => ({ title: 'Webhook test', description: data.message, fields: [] }),
+  };
+  const embed = embeds[event]();
+  return {
+    embeds: [{
+      title: truncate(embed.title, 256),
+      description: truncate(embed.description, 4096),
+      color: DISCORD_COLORS[event],
+      timestamp,
+      fields: embed.fields
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([name, value]) => ({ name, value: truncate(value, 1024), inline: true })),
+    }],
+  };
+}
+
+// Body and headers of a delivery
+export function buildWebhookRequest(webhook, delivery) {
+  if (webhook.format === 'discord') {
+    return {
+      body: JSON.stringify(discordEmbed(delivery.event, delivery.payload)),
+      headers: { 'Content-Type': 'application/json' },
+    };
+  }
+
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    channel: delivery.payload.channel,
+    created_at: delivery.payload.timestamp,
+    data: delivery.payload.data,
+  });
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Subdays-Event': delivery.event,
+    'X-Subdays-Delivery': String(delivery.id),
+  };
+  if (webhook.secret) {
+    // Receivers check HMAC-SHA256(secret, "<timestamp>.<body>") and reject old timestamps
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    headers['X-Subdays-Timestamp'] = timestamp;
+    headers['X-Subdays-Signature'] = `sha256=${signature}`;
+  }
+  return { body, headers };
+}
+
+function retryDelay(attempts, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds > 0) {
+    return Math.min(seconds * 1000, MAX_RETRY_DELAY);
+  }
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+async function deliver(delivery) {
+  const webhook = getWebhook(delivery.webhook_id);
+  if (!webhook || !webhook.enabled) {
+    await recordWebhookAttempt(delivery.id, { status: 'failed', error: 'Webhook disabled or removed' });
+    return;
+  }
+
+  let responseStatus = null;
+  let error = null;
+  let retryAfter = null;
+  try {
+    const { body, headers } = buildWebhookRequest(webhook, delivery);
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    responseStatus = response.status;
+    retryAfter = response.headers.get('Retry-After');
+    if (response.ok) {
+      await recordWebhookAttempt(delivery.id, { status: 'delivered', responseStatus });
+      console.log(`[WEBHOOKS] Delivered ${delivery.event} #${delivery.id} to webhook ${webhook.id}`);
+      return;
+    }
+    error = truncate(await response.text(), 1000) || `HTTP ${response.status}`;
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  if (attempts >= getMaxAttempts()) {
+    await recordWebhookAttempt(delivery.id, { status: 'failed', responseStatus, error });
+    console.error(`[WEBHOOKS] Giving up on ${delivery.event} #${delivery.id} to webhook ${webhook.id} after ${attempts} attempts: ${error}`);
+    return;
+  }
+  const nextAttemptAt = new Date(Date.now() + retryDelay(attempts, retryAfter));
+  await recordWebhookAttempt(delivery.id, { status: 'pending', responseStatus, error, nextAttemptAt });
+  console.warn(`[WEBHOOKS] ${delivery.event} #${delivery.id} to webhook ${webhook.id} failed (${error}), retrying at ${nextAttemptAt.toISOString()}`);
+}
+
+// Send every due delivery
+export async function processDueDeliveries() {
+  if (processing) return;
+  processing = true;
+  try {
+    let batch;
+    do {
+      batch = await claimDueWebhookDeliveries(BATCH_SIZE, LEASE_SECONDS);
+      for (const delivery of batch) {
+        await deliver(delivery);
+      }
+    } while (batch.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('[WEBHOOKS] Error processing deliveries:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+// Start the background job that sends queued and retried deliveries
+export function startWebhookWorker() {
+  workerStarted = true;
+  const seconds = parseInt(process.env.WEBHOOK_POLL_INTERVAL);
+  const interval = (Number.isInteger(seconds) && seconds > 0 ? seconds : 5) * 1000;
+  return setInterval(processDueDeliveries, interval);
+}
@@ -0,0 +1,164 @@
+// Submission windows: mods open and close % submissions per channel, either
+// right away or at a scheduled time. Channels without a stored window are open.
+import { getAllSubmissionWindows, saveSubmissionWindow } from "./db.js";
+import { say } from "./chat.js";
+import { notifyChannelChanged } from "./events.js";
+
+const windows = new Map(); // channel -> { isOpen, opensAt, closesAt, updatedBy, updatedAt }
+
+const SCHEDULER_INTERVAL = 30 * 1000; // 30 seconds
+
+function fromRow(row) {
+  return {
+    isOpen: row.is_open,
+    opensAt: row.opens_at ? new Date(row.opens_at) : null,
+    closesAt: row.closes_at ? new Date(row.closes_at) : null,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at ? new Date(row.updated_at) : null,
+  };
+}
+
+// Load stored windows into memory
+export async function loadSubmissionWindows() {
+  try {
+    const rows = await getAllSubmissionWindows();
+    for (const row of rows) {
+      windows.set(row.channel, fromRow(row));
+    }
+    console.log(`Loaded ${rows.length} submission windows`);
+  } catch (error) {
+    console.error("Error loading submission windows:", error);
+  }
+}
+
+// Apply scheduled opens/closes that are due, in the order they were due
+function resolveWindow(window, now) {
+  const resolved = { ...window };
+  const due = [];
+  if (resolved.opensAt && resolved.opensAt <= now) due.push({ at: resolved.opensAt, isOpen: true });
+  if (resolved.closesAt && resolved.closesAt <= now) due.push({ at: resolved.closesAt, isOpen: false });
+  due.sort((a, b) => a.at - b.at);
+  for (const transition of due) {
+    resolved.isOpen = transition.isOpen;
+    if (transition.isOpen) resolved.opensAt = null;
+    else resolved.closesAt = null;
+  }
+  return { resolved, changed: due.length > 0 };
+}
+
+// Current window of a channel: { isOpen, opensAt, closesAt, updatedBy }
+export function getSubmissionWindow(channel, now = new Date()) {
+  const window = windows.get(channel);
+  if (!window) {
+    return { isOpen: true, opensAt: null, closesAt: null, updatedBy: null };
+  }
+  return resolveWindow(window, now).resolved;
+}
+
+export function isSubmissionWindowOpen(channel) {
+  return getSubmissionWindow(channel).isOpen;
+}
+
+async function storeWindow(channel, window) {
+  const row = await saveSubmissionWindow(channel, window);
+  windows.set(channel, fromRow(row));
+  notifyChannelChanged(channel, 'window');
+  return getSubmissionWindow(channel);
+}
+
+// Open submissions now. Keeps a scheduled close, drops a scheduled open.
+export async function openSubmissions(channel, updatedBy) {
+  const current = getSubmissionWindow(channel);
+  return storeWindow(channel, { isOpen: true, opensAt: null, closesAt: current.closesAt, updatedBy });
+}
+
+// Close submissions now. Keeps a scheduled open, drops a scheduled close.
+export async function closeSubmissions(channel, updatedBy) {
+  const current = getSubmissionWindow(channel);
+  return storeWindow(channel, { isOpen: false, opensAt: current.opensAt, closesAt: null, updatedBy });
+}
+
+// Schedule submissions to open or close at a time. action is "open" or "close".
+export async function scheduleSubmissions(channel, action, at, updatedBy) {
+  const current = getSubmissionWindow(channel);
+  return storeWindow(channel, {
+    isOpen: current.isOpen,
+    opensAt: action === 'open' ? at : current.opensAt,
+    closesAt: action === 'close' ? at : current.closesAt,
+    updatedBy,
+  });
+}
+
+// Remove any scheduled open/close
+export async function clearSubmissionSchedule(channel, updatedBy) {
+  const current = getSubmissionWindow(channel);
+  return storeWindow(channel, { isOpen: current.isOpen, opensAt: null, closesAt: null, updatedBy });
+}
+
+// Parse "30m", "2h", "1h30m" (from now) or an ISO date/time. Returns a Date or null.
+export function parseScheduleTime(text, now = new Date()) {
+  const relative = /^(?:(\d+)h)?(?:(\d+)m)?$/i.exec(text || '');
+  if (relative && (relative[1] || relative[2])) {
+    const minutes = parseInt(relative[1] || '0') * 60 + parseInt(relative[2] || '0');
+    return new Date(now.getTime() + minutes * 60 * 1000);
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+export function formatTime(date) {
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// Describe a window for chat, e.g. "open (closes 2024-05-01 20:00 UTC)"
+export function describeSubmissionWindow(window) {
+  const scheduled = [];
+  if (window.opensAt) scheduled.push(`opens ${formatTime(window.opensAt)}`);
+  if (window.closesAt) scheduled.push(`closes ${formatTime(window.closesAt)}`);
+  return `${window.isOpen ? 'open' : 'closed'}${scheduled.length ? ` (${scheduled.join(', ')})` : ''}`;
+}
+
+// Persist and announce scheduled opens/closes once they are due
+async function applyDueTransitions() {
+  const now = new Date();
+  for (const [channel, window] of windows.entries()) {
+    const { resolved, changed } = resolveWindow(window, now);
+    if (!changed) continue;
+
+    try {
+      await storeWindow(channel, { ...resolved, updatedBy: 'schedule' });
+      if (resolved.isOpen !== window.isOpen) {
+        console.log(`[WINDOWS] Scheduled ${resolved.isOpen ? 'open' : 'close'} in ${channel}`);
+        await say(channel, resolved.isOpen
+          ? 'Subday submissions are now open! Subs can send %your pick.'
+          : 'Subday submissions are now closed.');
+      }
+    } catch (error) {
+      console.error(`[WINDOWS] Error applying schedule for ${channel}:`, error);
+    }
+  }
+}
+
+// Pick up windows stored by another process, like the command line tools
+async function reloadChangedWindows() {
+  try {
+    for (const row of await getAllSubmissionWindows()) {
+      const current = windows.get(row.channel);
+      const stored = fromRow(row);
+      if (current?.updatedAt && stored.updatedAt <= current.updatedAt) continue;
+      windows.set(row.channel, stored);
+      console.log(`[WINDOWS] Reloaded window of ${row.channel}, changed by ${stored.updatedBy}`);
+      notifyChannelChanged(row.channel, 'window');
+    }
+  } catch (error) {
+    console.error('[WINDOWS] Error reloading windows:', error);
+  }
+}
+
+// Start the background job that applies scheduled opens/closes
+export function startWindowScheduler() {
+  return setInterval(async () => {
+    await reloadChangedWindows();
+    await applyDueTransitions();
+  }, SCHEDULER_INTERVAL);
+}